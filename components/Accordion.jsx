@@ -0,0 +1,256 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useId,
+  useState,
+} from "react";
+import { useRovingTabIndex } from "../hooks/useRovingTabIndex";
+import { mergeProps } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+const AccordionContext = createContext(null);
+const AccordionItemContext = createContext(null);
+
+// Values end up in id attributes, which can't contain spaces
+const toIdPart = (value) => String(value).replace(/\s+/g, "-");
+
+/**
+ * useAccordion - Headless accordion (WAI-ARIA accordion pattern)
+ *
+ * `type: 'single'` keeps one section open (`collapsible` lets it close
+ * too); `type: 'multiple'` opens any number. Headers stay in the Tab order
+ * and ↑/↓/Home/End move between them.
+ *
+ * Usage:
+ *   const accordion = useAccordion({ type: 'multiple', defaultValue: ['faq-1'] });
+ *   <div {...accordion.getRootProps()}>
+ *     <h3><button {...accordion.getTriggerProps({ value: 'faq-1' })}>Question</button></h3>
+ *     <div {...accordion.getPanelProps({ value: 'faq-1' })}>Answer</div>
+ *   </div>
+ *
+ * @param {object} options
+ * @param {'single'|'multiple'} [options.type] - Default: 'single'
+ * @param {string|string[]} [options.value] - Controlled open item(s) (+ onValueChange)
+ * @param {string|string[]} [options.defaultValue] - Initially open item(s)
+ * @param {boolean} [options.collapsible] - Single mode: allow closing the open item
+ * @returns {{ value, isItemOpen, toggleItem, getRootProps, getTriggerProps, getPanelProps }}
+ */
+export function useAccordion(options = {}) {
+  const {
+    type = "single",
+    collapsible = false,
+    onValueChange,
+    orientation = "vertical",
+  } = options;
+  const multiple = type === "multiple";
+  const id = useId();
+
+  const [uncontrolledValue, setUncontrolledValue] = useState(
+    options.defaultValue ?? (multiple ? [] : null)
+  );
+  const isControlled = options.value !== undefined;
+  const value = isControlled ? options.value : uncontrolledValue;
+
+  const setValue = useCallback(
+    (next) => {
+      if (!isControlled) setUncontrolledValue(next);
+      onValueChange?.(next);
+    },
+    [isControlled, onValueChange]
+  );
+
+  const isItemOpen = (itemValue) =>
+    multiple ? value.includes(itemValue) : value === itemValue;
+
+  const toggleItem = (itemValue) => {
+    const open = isItemOpen(itemValue);
+    if (multiple) {
+      setValue(
+        open
+          ? value.filter((current) => current !== itemValue)
+          : [...value, itemValue]
+      );
+    } else if (!open) setValue(itemValue);
+    else if (collapsible) setValue(null);
+  };
+
+  const roving = useRovingTabIndex({ orientation, roving: false });
+
+  const getRootProps = (props = {}) => roving.getContainerProps(props);
+
+  const getTriggerProps = ({
+    value: itemValue,
+    disabled = false,
+    ...props
+  }) => {
+    const open = isItemOpen(itemValue);
+    // The open section of a non-collapsible single accordion can't be closed
+    const locked = open && !multiple && !collapsible;
+    return roving.getItemProps(
+      { itemId: itemValue, disabled },
+      mergeProps(
+        {
+          type: "button",
+          id: `${id}-trigger-${toIdPart(itemValue)}`,
+          "aria-expanded": open,
+          "aria-controls": `${id}-panel-${toIdPart(itemValue)}`,
+          "aria-disabled": locked || undefined,
+          disabled,
+          onClick: () => toggleItem(itemValue),
+        },
+        props
+      )
+    );
+  };
+
+  const getPanelProps = ({ value: itemValue, ...props }) =>
+    mergeProps(
+      {
+        id: `${id}-panel-${toIdPart(itemValue)}`,
+        role: "region",
+        "aria-labelledby": `${id}-trigger-${toIdPart(itemValue)}`,
+        hidden: !isItemOpen(itemValue),
+      },
+      props
+    );
+
+  return {
+    value,
+    isItemOpen,
+    toggleItem,
+    getRootProps,
+    getTriggerProps,
+    getPanelProps,
+  };
+}
+
+/**
+ * Accordion - Stacked sections that expand one at a time (or several)
+ *
+ * Takes the useAccordion options as props. Each trigger sits in a heading
+ * (`headingLevel`, default 3) as the pattern requires.
+ *
+ * Usage:
+ *   <Accordion type="single" collapsible defaultValue="billing">
+ *     <Accordion.Item value="billing">
+ *       <Accordion.Trigger>Billing</Accordion.Trigger>
+ *       <Accordion.Panel>Invoices are sent monthly.</Accordion.Panel>
+ *     </Accordion.Item>
+ *     <Accordion.Item value="security" disabled>...</Accordion.Item>
+ *   </Accordion>
+ */
+export default function Accordion({
+  children,
+  type,
+  value,
+  defaultValue,
+  onValueChange,
+  collapsible,
+  headingLevel = 3,
+  className = "",
+  ...props
+}) {
+  const accordion = useAccordion({
+    type,
+    value,
+    defaultValue,
+    onValueChange,
+    collapsible,
+  });
+  return (
+    <AccordionContext.Provider value={{ ...accordion, headingLevel }}>
+      <div
+        {...accordion.getRootProps(props)}
+        className={mergeClasses(
+          "divide-y divide-gray-200 rounded border border-gray-200",
+          className
+        )}
+      >
+        {children}
+      </div>
+    </AccordionContext.Provider>
+  );
+}
+
+function useAccordionContext(component) {
+  const context = useContext(AccordionContext);
+  const item = useContext(AccordionItemContext);
+  if (!context || !item) {
+    throw new Error(`${component} must be used within <Accordion.Item>`);
+  }
+  return { ...context, item };
+}
+
+export function AccordionItem({
+  value,
+  disabled = false,
+  children,
+  className = "",
+  ...props
+}) {
+  const context = useContext(AccordionContext);
+  if (!context) {
+    throw new Error("Accordion.Item must be used within <Accordion>");
+  }
+  const open = context.isItemOpen(value);
+  return (
+    <AccordionItemContext.Provider value={{ value, disabled }}>
+      <div
+        data-state={open ? "open" : "closed"}
+        {...props}
+        className={className || undefined}
+      >
+        {children}
+      </div>
+    </AccordionItemContext.Provider>
+  );
+}
+
+export function AccordionTrigger({ children, className = "", ...props }) {
+  const { getTriggerProps, isItemOpen, headingLevel, item } =
+    useAccordionContext("Accordion.Trigger");
+  const Heading = `h${headingLevel}`;
+  const open = isItemOpen(item.value);
+  return (
+    <Heading className="m-0">
+      <button
+        {...getTriggerProps({ ...item, ...props })}
+        className={mergeClasses(
+          "flex w-full items-center justify-between gap-2 px-4 py-3 text-left text-sm font-medium text-gray-800 hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 disabled:cursor-not-allowed disabled:opacity-50",
+          className
+        )}
+      >
+        {children}
+        <span
+          aria-hidden="true"
+          className={mergeClasses(
+            "text-gray-500 transition-transform",
+            open && "rotate-180"
+          )}
+        >
+          ▾
+        </span>
+      </button>
+    </Heading>
+  );
+}
+
+export function AccordionPanel({ children, className = "", ...props }) {
+  const { getPanelProps, item } = useAccordionContext("Accordion.Panel");
+  return (
+    <div
+      {...getPanelProps({ value: item.value, ...props })}
+      className={mergeClasses(
+        "px-4 pb-4 pt-1 text-sm text-gray-700",
+        className
+      )}
+    >
+      {children}
+    </div>
+  );
+}
+
+Accordion.Item = AccordionItem;
+Accordion.Trigger = AccordionTrigger;
+Accordion.Panel = AccordionPanel;
@@ -0,0 +1,293 @@
+import React, { useLayoutEffect, useMemo, useRef } from "react";
+import ReactDOM from "react-dom";
+import { useCombobox } from "../hooks/useCombobox";
+import { useFloating } from "../hooks/useFloating";
+import { useElementSize } from "../hooks/useElementSize";
+import { useVirtualizer } from "../hooks/useVirtualizer";
+import { useLayer } from "../hooks/useLayer";
+import { mergeRefs } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+/**
+ * Combobox - Searchable select / autocomplete built on useCombobox
+ *
+ * Filters `items` as you type, or loads options with `loadOptions(query,
+ * { signal })` (debounced, stale requests aborted). `multiple` shows the
+ * selection as removable tags. Lists longer than `virtualizeThreshold`
+ * only render the options in view, so `optionHeight` must match the
+ * rendered option height.
+ *
+ * `value`/`onChange` are the selected item (or items with `multiple`);
+ * other props go to the input.
+ *
+ * Usage:
+ *   <Combobox
+ *     label="Reviewers"
+ *     multiple
+ *     loadOptions={(q, { signal }) => request(`/api/users?q=${q}`, { signal })}
+ *     itemToString={(user) => user?.name ?? ''}
+ *     itemToKey={(user) => user.id}
+ *     value={reviewers}
+ *     onChange={setReviewers}
+ *   />
+ */
+export default function Combobox({
+  label,
+  items,
+  loadOptions,
+  debounce,
+  minQueryLength,
+  filter,
+  itemToString,
+  itemToKey,
+  isItemDisabled,
+  multiple = false,
+  value,
+  defaultValue,
+  onChange,
+  inputValue,
+  defaultInputValue,
+  onInputValueChange,
+  openOnFocus,
+  renderOption,
+  emptyMessage = "No results",
+  loadingMessage = "Loading…",
+  virtualizeThreshold = 100,
+  optionHeight = 36,
+  maxHeight = 288,
+  disabled = false,
+  className = "",
+  listboxClassName = "",
+  ...inputProps
+}) {
+  const listRef = useRef(null);
+  const virtualizerRef = useRef(null);
+
+  const combobox = useCombobox({
+    items,
+    loadOptions,
+    debounce,
+    minQueryLength,
+    filter,
+    itemToString,
+    itemToKey,
+    isItemDisabled,
+    multiple,
+    ...(multiple
+      ? {
+          selectedItems: value,
+          defaultSelectedItems: defaultValue,
+          onSelectedItemsChange: onChange,
+        }
+      : {
+          selectedItem: value,
+          defaultSelectedItem: defaultValue,
+          onSelectedItemChange: onChange,
+        }),
+    inputValue,
+    defaultInputValue,
+    onInputValueChange,
+    openOnFocus,
+    scrollToIndex: (index) => {
+      if (virtualizerRef.current) virtualizerRef.current.scrollToIndex(index);
+      else {
+        listRef.current?.children[index]?.scrollIntoView?.({
+          block: "nearest",
+        });
+      }
+    },
+  });
+  const {
+    isOpen,
+    items: options,
+    highlightedIndex,
+    selectedItems,
+    isSelected,
+    isLoading,
+    error,
+  } = combobox;
+  const toString = combobox.itemToString;
+  const toKey = combobox.itemToKey;
+  // Without a visible label, the input's aria-label names the list too
+  const labelProps = label
+    ? {}
+    : { "aria-labelledby": undefined, "aria-label": inputProps["aria-label"] };
+
+  const { refs, floating, floatingStyles } = useFloating({
+    open: isOpen,
+    placement: "bottom-start",
+    offset: 4,
+  });
+  // Inside a Modal, picking an option isn't a click outside the dialog
+  useLayer(isOpen, { contains: (node) => Boolean(floating?.contains(node)) });
+  const { ref: sizeRef, width } = useElementSize({ box: "border-box" });
+
+  const virtualized = options.length > virtualizeThreshold;
+  const virtualizer = useVirtualizer({
+    count: virtualized ? options.length : 0,
+    itemSize: optionHeight,
+    overscan: 5,
+  });
+  // A layout effect: useCombobox scrolls to the highlight from its own
+  // effects, which run before any plain effect declared here
+  useLayoutEffect(() => {
+    virtualizerRef.current = virtualized ? virtualizer : null;
+  });
+
+  const controlRef = useMemo(
+    () => mergeRefs(refs.setReference, sizeRef),
+    [refs.setReference, sizeRef]
+  );
+  const listboxRef = useMemo(
+    () => mergeRefs(listRef, virtualized ? virtualizer.scrollRef : null),
+    [virtualized, virtualizer.scrollRef]
+  );
+
+  const renderOptionItem = (item, index, style) => {
+    const selected = isSelected(item);
+    const highlighted = index === highlightedIndex;
+    const optionDisabled = isItemDisabled?.(item) ?? false;
+    return (
+      <li
+        key={toKey(item)}
+        {...combobox.getOptionProps({ item, index })}
+        aria-setsize={virtualized ? options.length : undefined}
+        aria-posinset={virtualized ? index + 1 : undefined}
+        style={style}
+        className={mergeClasses(
+          "flex items-center gap-2 px-3 py-2 text-sm cursor-pointer select-none",
+          highlighted && "bg-blue-50",
+          selected && "font-medium",
+          optionDisabled && "cursor-not-allowed text-gray-400"
+        )}
+      >
+        {multiple && (
+          <span
+            aria-hidden="true"
+            className={mergeClasses(
+              "w-4 text-center text-blue-600",
+              !selected && "invisible"
+            )}
+          >
+            ✓
+          </span>
+        )}
+        {renderOption
+          ? renderOption(item, { selected, highlighted })
+          : toString(item)}
+      </li>
+    );
+  };
+
+  let message = null;
+  if (isLoading) message = loadingMessage;
+  else if (error) message = "Couldn't load options";
+  else if (options.length === 0) message = emptyMessage;
+
+  return (
+    <div className={mergeClasses("w-full", className)}>
+      {label && (
+        <label
+          {...combobox.getLabelProps()}
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          {label}
+        </label>
+      )}
+      <div
+        ref={controlRef}
+        className={mergeClasses(
+          "flex flex-wrap items-center gap-1 rounded border border-gray-300 bg-white px-2 py-1 focus-within:border-blue-500 focus-within:ring-1 focus-within:ring-blue-500",
+          disabled && "cursor-not-allowed bg-gray-100 opacity-60"
+        )}
+      >
+        {multiple &&
+          selectedItems.map((item) => (
+            <span
+              key={toKey(item)}
+              className="inline-flex items-center gap-1 rounded bg-gray-100 py-0.5 pl-2 pr-1 text-sm text-gray-800"
+            >
+              {toString(item)}
+              {!disabled && (
+                <button
+                  {...combobox.getTagRemoveProps({ item })}
+                  className="rounded px-1 text-gray-500 hover:bg-gray-200 hover:text-gray-700"
+                >
+                  <span aria-hidden="true">×</span>
+                </button>
+              )}
+            </span>
+          ))}
+        <input
+          {...combobox.getInputProps({
+            ...labelProps,
+            ...inputProps,
+            disabled,
+          })}
+          className="min-w-[6rem] flex-1 border-0 bg-transparent py-1 text-sm outline-none"
+        />
+        <button
+          {...combobox.getToggleButtonProps({ disabled })}
+          className="px-1 text-gray-500 hover:text-gray-700"
+        >
+          <span aria-hidden="true">{isOpen ? "▴" : "▾"}</span>
+        </button>
+      </div>
+
+      {isOpen &&
+        ReactDOM.createPortal(
+          <div
+            ref={refs.setFloating}
+            style={{ ...floatingStyles, width }}
+            className="z-50 overflow-hidden rounded border border-gray-200 bg-white shadow-lg"
+            onMouseDown={(event) => event.preventDefault()}
+          >
+            <ul
+              {...combobox.getListboxProps({
+                ...labelProps,
+                ref: listboxRef,
+              })}
+              style={{ maxHeight }}
+              className={mergeClasses(
+                "relative overflow-auto",
+                !virtualized && "py-1",
+                listboxClassName
+              )}
+            >
+              {virtualized ? (
+                <>
+                  {/* Spacer sized to the whole list; options sit on top */}
+                  <li
+                    role="presentation"
+                    style={{ height: virtualizer.totalSize }}
+                  />
+                  {virtualizer.virtualItems.map(({ index, start }) =>
+                    renderOptionItem(options[index], index, {
+                      position: "absolute",
+                      top: 0,
+                      left: 0,
+                      width: "100%",
+                      height: optionHeight,
+                      transform: `translateY(${start}px)`,
+                    })
+                  )}
+                </>
+              ) : (
+                options.map((item, index) => renderOptionItem(item, index))
+              )}
+            </ul>
+            <div
+              role="status"
+              className={
+                message ? "px-3 py-2 text-sm text-gray-500" : "sr-only"
+              }
+            >
+              {message ??
+                `${options.length} result${options.length === 1 ? "" : "s"}`}
+            </div>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useId,
+  useState,
+} from "react";
+import { mergeProps } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+const DisclosureContext = createContext(null);
+
+/**
+ * useDisclosure - Headless show/hide section (WAI-ARIA disclosure pattern)
+ *
+ * The button is a native <button>, so Enter and Space work without extra
+ * key handling; it points at the panel with `aria-controls`.
+ *
+ * Usage:
+ *   const { getButtonProps, getPanelProps } = useDisclosure();
+ *   <button {...getButtonProps()}>Details</button>
+ *   <div {...getPanelProps()}>...</div>
+ *
+ * @param {object} options
+ * @param {boolean} [options.open] - Controlled state (+ onOpenChange)
+ * @param {boolean} [options.defaultOpen] - Initial state when uncontrolled
+ * @param {boolean} [options.disabled]
+ * @returns {{ isOpen, open, close, toggle, getButtonProps, getPanelProps }}
+ */
+export function useDisclosure(options = {}) {
+  const { defaultOpen = false, onOpenChange, disabled = false } = options;
+  const id = useId();
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen);
+  const isControlled = options.open !== undefined;
+  const isOpen = isControlled ? options.open : uncontrolledOpen;
+
+  const setOpen = useCallback(
+    (next) => {
+      if (!isControlled) setUncontrolledOpen(next);
+      onOpenChange?.(next);
+    },
+    [isControlled, onOpenChange]
+  );
+
+  const getButtonProps = (props = {}) =>
+    mergeProps(
+      {
+        type: "button",
+        id: `${id}-button`,
+        "aria-expanded": isOpen,
+        "aria-controls": `${id}-panel`,
+        disabled,
+        onClick: () => setOpen(!isOpen),
+      },
+      props
+    );
+
+  const getPanelProps = (props = {}) =>
+    mergeProps({ id: `${id}-panel`, hidden: !isOpen }, props);
+
+  return {
+    isOpen,
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    toggle: () => setOpen(!isOpen),
+    getButtonProps,
+    getPanelProps,
+  };
+}
+
+/**
+ * Disclosure - Button that shows and hides a panel
+ *
+ * Usage:
+ *   <Disclosure defaultOpen>
+ *     <Disclosure.Button>Shipping details</Disclosure.Button>
+ *     <Disclosure.Panel>Ships in 2-3 days.</Disclosure.Panel>
+ *   </Disclosure>
+ *
+ * Children may also be a function of `{ isOpen, toggle }`.
+ */
+export default function Disclosure({ children, className = "", ...options }) {
+  const disclosure = useDisclosure(options);
+  return (
+    <DisclosureContext.Provider value={disclosure}>
+      <div className={className || undefined}>
+        {typeof children === "function" ? children(disclosure) : children}
+      </div>
+    </DisclosureContext.Provider>
+  );
+}
+
+function useDisclosureContext(component) {
+  const context = useContext(DisclosureContext);
+  if (!context) {
+    throw new Error(`${component} must be used within <Disclosure>`);
+  }
+  return context;
+}
+
+export function DisclosureButton({ children, className = "", ...props }) {
+  const { isOpen, getButtonProps } = useDisclosureContext("Disclosure.Button");
+  return (
+    <button
+      {...getButtonProps(props)}
+      className={mergeClasses(
+        "flex w-full items-center justify-between gap-2 rounded px-3 py-2 text-left text-sm font-medium text-gray-800 hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 disabled:cursor-not-allowed disabled:opacity-50",
+        className
+      )}
+    >
+      {children}
+      <span
+        aria-hidden="true"
+        className={mergeClasses(
+          "text-gray-500 transition-transform",
+          isOpen && "rotate-180"
+        )}
+      >
+        ▾
+      </span>
+    </button>
+  );
+}
+
+export function DisclosurePanel({ children, className = "", ...props }) {
+  const { getPanelProps } = useDisclosureContext("Disclosure.Panel");
+  return (
+    <div
+      {...getPanelProps(props)}
+      className={mergeClasses("px-3 py-2 text-sm text-gray-700", className)}
+    >
+      {children}
+    </div>
+  );
+}
+
+Disclosure.Button = DisclosureButton;
+Disclosure.Panel = DisclosurePanel;
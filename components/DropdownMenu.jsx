@@ -0,0 +1,410 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useId,
+  useRef,
+  useState,
+} from "react";
+import ReactDOM from "react-dom";
+import { useFloating } from "../hooks/useFloating";
+import { useEventListener } from "../hooks/useEventListener";
+import { useRovingTabIndex } from "../hooks/useRovingTabIndex";
+import { useLayer } from "../hooks/useLayer";
+import { mergeProps } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+const MenuContext = createContext(null);
+
+/**
+ * useMenu - Headless menu button and submenus (WAI-ARIA menu pattern)
+ *
+ * Trigger: Enter, Space and ↓ open the menu on its first item, ↑ on its
+ * last. Menu: ↑/↓/Home/End move, typing jumps to the matching item,
+ * Enter/Space select, Escape closes one level and returns focus, Tab closes
+ * the whole menu. In a submenu → opens it and ← closes it. Selecting an
+ * item closes every level unless `onSelect` calls `event.preventDefault()`.
+ *
+ * Pass `parent` (the parent level's useMenu result) for a submenu: its
+ * trigger becomes an item of the parent, and opening it closes sibling
+ * submenus.
+ *
+ * Usage:
+ *   const menu = useMenu();
+ *   <button {...menu.getTriggerProps()}>Actions</button>
+ *   {menu.isOpen && createPortal(
+ *     <div {...menu.getMenuProps()} style={menu.floatingStyles}>
+ *       <div {...menu.getItemProps({ itemId: 'rename', onSelect: rename })}>Rename</div>
+ *       <div {...menu.getItemProps({ itemId: 'delete', disabled: !canDelete })}>Delete</div>
+ *     </div>,
+ *     document.body
+ *   )}
+ *
+ * @param {object} options
+ * @param {boolean} [options.open] - Controlled state of a root menu (+ onOpenChange)
+ * @param {boolean} [options.defaultOpen]
+ * @param {object} [options.parent] - Parent menu, for submenus
+ * @param {string} [options.placement] - Default: 'bottom-start' ('right-start' for submenus)
+ * @param {number} [options.offset] - Default: 4
+ * @returns {object} State, actions, floatingStyles and prop getters
+ */
+export function useMenu(options = {}) {
+  const { parent = null, defaultOpen = false, onOpenChange } = options;
+  const placement =
+    options.placement ?? (parent ? "right-start" : "bottom-start");
+  const id = useId();
+  const treeId = parent ? parent.treeId : id;
+
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen);
+  const isControlled = options.open !== undefined;
+  // A submenu is open while its parent says so, which closes siblings
+  const isOpen = parent
+    ? parent.openSubmenu === id
+    : isControlled
+      ? options.open
+      : uncontrolledOpen;
+
+  const [openSubmenu, setOpenSubmenu] = useState(null);
+  // Where focus goes once the menu renders: 'first', 'last' or nowhere
+  // (submenus opened by hovering)
+  const initialFocusRef = useRef(null);
+
+  const { refs, reference, floatingStyles } = useFloating({
+    open: isOpen,
+    placement,
+    offset: options.offset ?? (parent ? 0 : 4),
+  });
+
+  const setOpen = useCallback(
+    (next, focus = null) => {
+      initialFocusRef.current = next ? focus : null;
+      if (parent) {
+        parent.setOpenSubmenu(next ? id : null);
+        return;
+      }
+      if (!isControlled) setUncontrolledOpen(next);
+      onOpenChange?.(next);
+    },
+    [parent, id, isControlled, onOpenChange]
+  );
+
+  const close = useCallback(
+    ({ focusTrigger = true } = {}) => {
+      setOpen(false);
+      if (focusTrigger) reference?.focus();
+    },
+    [setOpen, reference]
+  );
+
+  // Closes every level, from any level
+  const closeAll = parent ? parent.closeAll : close;
+
+  const roving = useRovingTabIndex({ typeahead: true });
+  const { focusItem } = roving;
+
+  useEffect(() => {
+    if (!isOpen) {
+      setOpenSubmenu(null);
+      return;
+    }
+    if (initialFocusRef.current) {
+      focusItem(initialFocusRef.current);
+      initialFocusRef.current = null;
+    }
+  }, [isOpen, focusItem]);
+
+  const inMenuTree = (node) =>
+    Boolean(node.closest?.(`[data-menu-tree="${treeId}"]`));
+
+  // The whole tree is one layer, so a Modal it was opened from ignores
+  // clicks on any level; Escape is handled (and prevented) by the menu
+  useLayer(!parent && isOpen, { contains: inMenuTree });
+
+  // Root only: clicks outside the trigger and every level of the menu
+  useEventListener(
+    "mousedown",
+    (event) => {
+      if (parent || !isOpen) return;
+      if (reference?.contains(event.target)) return;
+      if (inMenuTree(event.target)) return;
+      close({ focusTrigger: false });
+    },
+    typeof document !== "undefined" ? document : null
+  );
+
+  const getTriggerProps = (props = {}) => {
+    if (parent) {
+      const { disabled, textValue, ...rest } = props;
+      return parent.getItemProps(
+        { itemId: id, submenuId: id, disabled, textValue },
+        mergeProps(
+          {
+            ref: refs.setReference,
+            id: `${id}-trigger`,
+            "aria-haspopup": "menu",
+            "aria-expanded": isOpen,
+            "aria-controls": isOpen ? `${id}-menu` : undefined,
+            onKeyDown: (event) => {
+              if (disabled) return;
+              if (["ArrowRight", "Enter", " "].includes(event.key)) {
+                event.preventDefault();
+                if (isOpen) focusItem("first");
+                else setOpen(true, "first");
+              }
+            },
+          },
+          rest
+        )
+      );
+    }
+
+    return mergeProps(
+      {
+        ref: refs.setReference,
+        type: "button",
+        id: `${id}-trigger`,
+        "aria-haspopup": "menu",
+        "aria-expanded": isOpen,
+        "aria-controls": isOpen ? `${id}-menu` : undefined,
+        onClick: () => (isOpen ? close() : setOpen(true, "first")),
+        onKeyDown: (event) => {
+          if (["ArrowDown", "Enter", " "].includes(event.key)) {
+            // Also stops the click Enter/Space would fire
+            event.preventDefault();
+            setOpen(true, "first");
+          } else if (event.key === "ArrowUp") {
+            event.preventDefault();
+            setOpen(true, "last");
+          }
+        },
+      },
+      props
+    );
+  };
+
+  const getMenuProps = (props = {}) =>
+    roving.getContainerProps(
+      mergeProps(
+        {
+          ref: refs.setFloating,
+          id: `${id}-menu`,
+          role: "menu",
+          "aria-orientation": "vertical",
+          "aria-labelledby": `${id}-trigger`,
+          "data-menu-tree": treeId,
+          tabIndex: -1,
+          onKeyDown: (event) => {
+            // Already handled by a submenu rendered inside this one
+            if (event.defaultPrevented) return;
+            if (
+              event.key === "Escape" ||
+              (parent && event.key === "ArrowLeft")
+            ) {
+              event.preventDefault();
+              close();
+            } else if (event.key === "Tab") {
+              // Focus is back on the trigger before the browser moves it,
+              // so Tab continues from there
+              closeAll();
+            }
+          },
+        },
+        props
+      )
+    );
+
+  const getItemProps = (
+    { itemId, disabled = false, textValue, onSelect, submenuId = null },
+    props = {}
+  ) =>
+    roving.getItemProps(
+      { itemId, disabled, textValue },
+      mergeProps(
+        {
+          role: "menuitem",
+          "aria-disabled": disabled || undefined,
+          onClick: (event) => {
+            if (disabled) return;
+            if (submenuId) {
+              setOpenSubmenu(submenuId);
+              return;
+            }
+            onSelect?.(event);
+            if (!event.defaultPrevented) closeAll();
+          },
+          onKeyDown: (event) => {
+            if (event.defaultPrevented) return;
+            if (event.key === "Enter" || event.key === " ") {
+              event.preventDefault();
+              event.currentTarget.click();
+            }
+          },
+          // Pointer and keyboard share one highlight: the focused item
+          onPointerMove: (event) => {
+            if (event.pointerType === "touch") return;
+            if (!disabled && document.activeElement !== event.currentTarget) {
+              event.currentTarget.focus();
+            }
+            if (openSubmenu !== submenuId) setOpenSubmenu(submenuId);
+          },
+        },
+        props
+      )
+    );
+
+  return {
+    isOpen,
+    open: (focus = "first") => setOpen(true, focus),
+    close,
+    closeAll,
+    treeId,
+    openSubmenu,
+    setOpenSubmenu,
+    floatingStyles,
+    getTriggerProps,
+    getMenuProps,
+    getItemProps,
+  };
+}
+
+/**
+ * DropdownMenu - Menu button with items, separators and submenus
+ *
+ * Works controlled (`open` + `onOpenChange`) or uncontrolled. The menu
+ * renders in a portal, positioned by useFloating.
+ *
+ * Usage:
+ *   <DropdownMenu>
+ *     <DropdownMenu.Trigger>Actions</DropdownMenu.Trigger>
+ *     <DropdownMenu.Content>
+ *       <DropdownMenu.Item onSelect={duplicate}>Duplicate</DropdownMenu.Item>
+ *       <DropdownMenu.Sub>
+ *         <DropdownMenu.SubTrigger>Move to</DropdownMenu.SubTrigger>
+ *         <DropdownMenu.SubContent>
+ *           {folders.map((f) => (
+ *             <DropdownMenu.Item key={f.id} onSelect={() => move(f.id)}>{f.name}</DropdownMenu.Item>
+ *           ))}
+ *         </DropdownMenu.SubContent>
+ *       </DropdownMenu.Sub>
+ *       <DropdownMenu.Separator />
+ *       <DropdownMenu.Item onSelect={remove} disabled={!canDelete}>Delete</DropdownMenu.Item>
+ *     </DropdownMenu.Content>
+ *   </DropdownMenu>
+ */
+export default function DropdownMenu({
+  children,
+  open,
+  defaultOpen,
+  onOpenChange,
+  placement,
+}) {
+  const menu = useMenu({ open, defaultOpen, onOpenChange, placement });
+  return <MenuContext.Provider value={menu}>{children}</MenuContext.Provider>;
+}
+
+function useMenuContext(component) {
+  const context = useContext(MenuContext);
+  if (!context) {
+    throw new Error(`${component} must be used within <DropdownMenu>`);
+  }
+  return context;
+}
+
+const menuClasses =
+  "z-50 min-w-[10rem] rounded border border-gray-200 bg-white py-1 shadow-lg outline-none";
+
+const itemClasses =
+  "flex w-full cursor-pointer select-none items-center justify-between gap-4 px-3 py-1.5 text-left text-sm text-gray-800 outline-none focus:bg-gray-100 aria-disabled:cursor-not-allowed aria-disabled:text-gray-400";
+
+export function DropdownMenuTrigger({ children, className = "", ...props }) {
+  const { getTriggerProps } = useMenuContext("DropdownMenu.Trigger");
+  return (
+    <button
+      {...getTriggerProps(props)}
+      className={mergeClasses(
+        "inline-flex items-center gap-1 rounded border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-800 hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500",
+        className
+      )}
+    >
+      {children}
+      <span aria-hidden="true" className="text-gray-500">
+        ▾
+      </span>
+    </button>
+  );
+}
+
+export function DropdownMenuContent({ children, className = "", ...props }) {
+  const menu = useMenuContext("DropdownMenu.Content");
+  if (!menu.isOpen) return null;
+  return ReactDOM.createPortal(
+    <div
+      {...menu.getMenuProps(props)}
+      style={menu.floatingStyles}
+      className={mergeClasses(menuClasses, className)}
+    >
+      {children}
+    </div>,
+    document.body
+  );
+}
+
+export function DropdownMenuItem({
+  children,
+  onSelect,
+  disabled = false,
+  textValue,
+  className = "",
+  ...props
+}) {
+  const menu = useMenuContext("DropdownMenu.Item");
+  const itemId = useId();
+  return (
+    <div
+      {...menu.getItemProps({ itemId, disabled, textValue, onSelect }, props)}
+      className={mergeClasses(itemClasses, className)}
+    >
+      {children}
+    </div>
+  );
+}
+
+export function DropdownMenuSeparator({ className = "" }) {
+  return (
+    <div
+      role="separator"
+      className={mergeClasses("my-1 h-px bg-gray-200", className)}
+    />
+  );
+}
+
+export function DropdownMenuSub({ children, placement }) {
+  const parent = useMenuContext("DropdownMenu.Sub");
+  const menu = useMenu({ parent, placement });
+  return <MenuContext.Provider value={menu}>{children}</MenuContext.Provider>;
+}
+
+export function DropdownMenuSubTrigger({ children, className = "", ...props }) {
+  const { getTriggerProps } = useMenuContext("DropdownMenu.SubTrigger");
+  return (
+    <div
+      {...getTriggerProps(props)}
+      className={mergeClasses(itemClasses, className)}
+    >
+      {children}
+      <span aria-hidden="true" className="text-gray-500">
+        ▸
+      </span>
+    </div>
+  );
+}
+
+DropdownMenu.Trigger = DropdownMenuTrigger;
+DropdownMenu.Content = DropdownMenuContent;
+DropdownMenu.Item = DropdownMenuItem;
+DropdownMenu.Separator = DropdownMenuSeparator;
+DropdownMenu.Sub = DropdownMenuSub;
+DropdownMenu.SubTrigger = DropdownMenuSubTrigger;
+// Same element as Content; the context from DropdownMenu.Sub makes it a submenu
+DropdownMenu.SubContent = DropdownMenuContent;
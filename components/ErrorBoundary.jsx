@@ -0,0 +1,186 @@
+import React, { createContext, useContext, useMemo, useState } from "react";
+import { captureError } from "../utils/telemetry";
+
+const ErrorBoundaryContext = createContext(null);
+
+const INITIAL_STATE = { didCatch: false, error: null };
+
+const hasArrayChanged = (a = [], b = []) =>
+  a.length !== b.length || a.some((item, index) => !Object.is(item, b[index]));
+
+function DefaultFallback({ error, resetErrorBoundary }) {
+  return (
+    <div
+      role="alert"
+      className="rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-800"
+    >
+      <p className="font-semibold">Something went wrong.</p>
+      {error?.message && <p className="mt-1 text-red-700">{error.message}</p>}
+      <button
+        type="button"
+        onClick={resetErrorBoundary}
+        className="mt-3 rounded bg-red-600 px-3 py-1.5 font-medium text-white hover:bg-red-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-500 focus-visible:ring-offset-2"
+      >
+        Try again
+      </button>
+    </div>
+  );
+}
+
+/**
+ * ErrorBoundary - Catch render errors below it and show a fallback
+ *
+ * Fallback, in order of precedence:
+ * - `fallbackRender({ error, resetErrorBoundary })`
+ * - `FallbackComponent` (receives the same props)
+ * - `fallback` (a plain element)
+ * - a default alert with a "Try again" button
+ *
+ * `resetErrorBoundary()` clears the error and renders children again; so
+ * does any change to `resetKeys` (e.g. the route or the selected record).
+ * Errors thrown from event handlers and async code don't reach boundaries
+ * on their own: pass them to `showBoundary` from useErrorBoundary().
+ * Caught errors go to `onError` and to the initTelemetry() client, if any.
+ *
+ * Usage:
+ *   <ErrorBoundary
+ *     FallbackComponent={ReportError}
+ *     resetKeys={[reportId]}
+ *     onError={(error, info) => reportError(error, info.componentStack)}
+ *     onReset={() => invalidate(`/api/reports/${reportId}`)}
+ *   >
+ *     <Report id={reportId} />
+ *   </ErrorBoundary>
+ */
+export default class ErrorBoundary extends React.Component {
+  state = INITIAL_STATE;
+
+  static getDerivedStateFromError(error) {
+    return { didCatch: true, error };
+  }
+
+  resetErrorBoundary = (...args) => {
+    if (!this.state.didCatch) return;
+    this.props.onReset?.({ reason: "imperative-api", args });
+    this.setState(INITIAL_STATE);
+  };
+
+  componentDidCatch(error, info) {
+    captureError(error, {
+      source: "boundary",
+      componentStack: info?.componentStack,
+    });
+    if (this.props.onError) {
+      try {
+        this.props.onError(error, info);
+      } catch (err) {
+        console.error("[ErrorBoundary][onError] Error reporting error:", err);
+      }
+    } else {
+      console.error("[ErrorBoundary] Uncaught error:", error, info);
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    const { resetKeys } = this.props;
+    // Only reset for key changes after the error was shown, not for the
+    // render that threw it
+    if (
+      this.state.didCatch &&
+      prevState.didCatch &&
+      hasArrayChanged(prevProps.resetKeys, resetKeys)
+    ) {
+      this.props.onReset?.({
+        reason: "keys",
+        prev: prevProps.resetKeys,
+        next: resetKeys,
+      });
+      this.setState(INITIAL_STATE);
+    }
+  }
+
+  render() {
+    const { children, fallback, FallbackComponent, fallbackRender } =
+      this.props;
+    const { didCatch, error } = this.state;
+
+    let content = children;
+    if (didCatch) {
+      const props = { error, resetErrorBoundary: this.resetErrorBoundary };
+      if (typeof fallbackRender === "function") content = fallbackRender(props);
+      else if (FallbackComponent) content = <FallbackComponent {...props} />;
+      else if (fallback !== undefined) content = fallback;
+      else content = <DefaultFallback {...props} />;
+    }
+
+    return (
+      <ErrorBoundaryContext.Provider
+        value={{
+          didCatch,
+          error,
+          resetErrorBoundary: this.resetErrorBoundary,
+        }}
+      >
+        {content}
+      </ErrorBoundaryContext.Provider>
+    );
+  }
+}
+
+/**
+ * useErrorBoundary - Send errors from event handlers and async code to the
+ * nearest ErrorBoundary
+ *
+ * Usage:
+ *   const { showBoundary } = useErrorBoundary();
+ *   const save = () => request('/api/save', { method: 'POST' }).catch(showBoundary);
+ *
+ * Inside a fallback, `resetBoundary()` does the same as resetErrorBoundary.
+ *
+ * @returns {{ showBoundary: Function, resetBoundary: Function }}
+ */
+export function useErrorBoundary() {
+  const context = useContext(ErrorBoundaryContext);
+  if (!context) {
+    throw new Error("useErrorBoundary must be used within <ErrorBoundary>");
+  }
+
+  const { resetErrorBoundary } = context;
+  const [state, setState] = useState({ error: null, hasError: false });
+  // Re-throw during render so React routes it to the boundary
+  if (state.hasError) throw state.error;
+
+  return useMemo(
+    () => ({
+      showBoundary: (error) => setState({ error, hasError: true }),
+      resetBoundary: () => {
+        resetErrorBoundary();
+        setState({ error: null, hasError: false });
+      },
+    }),
+    [resetErrorBoundary]
+  );
+}
+
+/**
+ * withErrorBoundary - Wrap a component in an ErrorBoundary
+ *
+ * Usage:
+ *   export default withErrorBoundary(Chart, { fallback: <ChartPlaceholder /> });
+ *
+ * @param {React.ComponentType} Component
+ * @param {Object} boundaryProps - Any ErrorBoundary props (except children)
+ */
+export function withErrorBoundary(Component, boundaryProps = {}) {
+  function Wrapped(props) {
+    return (
+      <ErrorBoundary {...boundaryProps}>
+        <Component {...props} />
+      </ErrorBoundary>
+    );
+  }
+
+  const name = Component.displayName || Component.name || "Component";
+  Wrapped.displayName = `withErrorBoundary(${name})`;
+  return Wrapped;
+}
@@ -0,0 +1,34 @@
+import React, { useState } from "react";
+import { HotkeysContext } from "../hooks/useHotkeys";
+import {
+  createHotkeyManager,
+  DEFAULT_SEQUENCE_TIMEOUT,
+  GLOBAL_SCOPE,
+} from "../utils/hotkeys";
+
+/**
+ * HotkeysProvider - Own hotkey registry and scopes for a subtree
+ *
+ * Optional: useHotkeys falls back to a shared registry without it.
+ *
+ * Usage:
+ *   <HotkeysProvider initialScopes={['global', 'editor']}>
+ *     <App />
+ *   </HotkeysProvider>
+ */
+export default function HotkeysProvider({
+  children,
+  initialScopes = [GLOBAL_SCOPE],
+  sequenceTimeout = DEFAULT_SEQUENCE_TIMEOUT,
+}) {
+  // Created once; later prop changes don't rebuild the registry
+  const [manager] = useState(() =>
+    createHotkeyManager({ scopes: initialScopes, sequenceTimeout })
+  );
+
+  return (
+    <HotkeysContext.Provider value={manager}>
+      {children}
+    </HotkeysContext.Provider>
+  );
+}
@@ -1,19 +1,267 @@
-import React from "react";
+import React, { useCallback, useEffect, useId, useRef, useState } from "react";
 import ReactDOM from "react-dom";
+import { useEventListener } from "../hooks/useEventListener";
+import { useOutsideClick } from "../hooks/useOutsideClick";
+import { useHotkeyScope } from "../hooks/useHotkeys";
+import { useLayer } from "../hooks/useLayer";
+import { mergeClasses } from "../utils/classNames";
 
-export default function Modal({ isOpen, onClose, children }) {
-  if (!isOpen) return null;
+const FOCUSABLE =
+  'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+
+let scrollLocks = 0;
+let savedBodyStyle = null;
+
+function lockScroll() {
+  if (scrollLocks++ > 0) return;
+  const { body, documentElement } = document;
+  savedBodyStyle = {
+    overflow: body.style.overflow,
+    paddingRight: body.style.paddingRight,
+  };
+  // Keep the layout from shifting when the scrollbar disappears
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+  body.style.overflow = "hidden";
+  if (scrollbarWidth > 0) body.style.paddingRight = `${scrollbarWidth}px`;
+}
+
+function unlockScroll() {
+  if (--scrollLocks > 0) return;
+  Object.assign(document.body.style, savedBodyStyle);
+  savedBodyStyle = null;
+}
+
+// Make everything next to the modal inert; returns an undo function
+function inertSiblings(node) {
+  if (!node?.parentElement) return () => {};
+  const changed = [...node.parentElement.children].filter(
+    (el) => el !== node && !el.inert && el.tagName !== "SCRIPT"
+  );
+  changed.forEach((el) => {
+    el.inert = true;
+  });
+  return () =>
+    changed.forEach((el) => {
+      el.inert = false;
+    });
+}
+
+function getFocusable(container) {
+  return [...container.querySelectorAll(FOCUSABLE)].filter(
+    (el) => !el.closest("[inert]") && el.getClientRects().length > 0
+  );
+}
+
+/**
+ * Modal - Accessible dialog rendered in a portal
+ *
+ * - `role="dialog"` + `aria-modal`, labelled by `title` or `aria-labelledby`
+ * - Focus is trapped inside and restored to the trigger on close
+ * - Escape and backdrop clicks close the top-most modal only; popovers,
+ *   menus and tooltips opened from inside it get Escape first, and clicks
+ *   and focus inside them leave the modal alone
+ * - Body scroll is locked and background content is made `inert`
+ * - Waits for the exit transition before unmounting
+ * - `hotkeyScope` activates a useHotkeys scope while open
+ *
+ * Usage:
+ *   const inputRef = useRef(null);
+ *   <Modal isOpen={open} onClose={() => setOpen(false)} title="Rename file" initialFocusRef={inputRef}>
+ *     <input ref={inputRef} />
+ *   </Modal>
+ */
+export default function Modal({
+  isOpen,
+  onClose,
+  children,
+  title,
+  initialFocusRef,
+  closeOnEscape = true,
+  closeOnBackdropClick = true,
+  showCloseButton = true,
+  transitionDuration = 200,
+  hotkeyScope,
+  className = "",
+  "aria-labelledby": labelledBy,
+  "aria-describedby": describedBy,
+}) {
+  const id = useId();
+  const titleId = `${id}-title`;
+  const rootRef = useRef(null);
+  const panelRef = useRef(null);
+
+  const [mounted, setMounted] = useState(isOpen);
+  const [visible, setVisible] = useState(false);
+  const active = isOpen && mounted;
+
+  useHotkeyScope(hotkeyScope, isOpen && Boolean(hotkeyScope));
+
+  // Escape is consumed even with closeOnEscape off, so it doesn't close
+  // whatever the modal was opened from
+  const layer = useLayer(active, {
+    modal: true,
+    contains: (node) => rootRef.current?.contains(node),
+    onEscape: () => {
+      if (closeOnEscape) onClose?.();
+    },
+  });
+
+  // Enter: mount first, then flip `visible` on the next frame so the
+  // transition runs
+  useEffect(() => {
+    if (!isOpen) {
+      setVisible(false);
+      return;
+    }
+    setMounted(true);
+    const frame = requestAnimationFrame(() => setVisible(true));
+    return () => cancelAnimationFrame(frame);
+  }, [isOpen]);
+
+  // Exit: unmount once the panel's transition ends (or after a fallback)
+  useEffect(() => {
+    if (isOpen || !mounted) return;
+
+    const panel = panelRef.current;
+    const finish = () => setMounted(false);
+    const onTransitionEnd = (event) => {
+      if (event.target === panel) finish();
+    };
+    const timer = setTimeout(finish, transitionDuration + 50);
+    panel?.addEventListener("transitionend", onTransitionEnd);
+
+    return () => {
+      clearTimeout(timer);
+      panel?.removeEventListener("transitionend", onTransitionEnd);
+    };
+  }, [isOpen, mounted, transitionDuration]);
+
+  useEffect(() => {
+    if (!active) return;
+
+    lockScroll();
+    const restoreInert = inertSiblings(rootRef.current);
+
+    return () => {
+      unlockScroll();
+      restoreInert();
+    };
+  }, [active]);
+
+  const initialFocus = useRef(initialFocusRef);
+  useEffect(() => {
+    initialFocus.current = initialFocusRef;
+  });
+
+  // Move focus in on mount, give it back to the trigger on unmount
+  useEffect(() => {
+    if (!mounted) return;
+
+    const previouslyFocused = document.activeElement;
+    const panel = panelRef.current;
+    const target =
+      initialFocus.current?.current ?? getFocusable(panel)[0] ?? panel;
+    target?.focus();
+
+    return () => {
+      if (previouslyFocused && document.contains(previouslyFocused)) {
+        previouslyFocused.focus();
+      }
+    };
+  }, [mounted]);
+
+  const handleKeyDown = (event) => {
+    if (event.key !== "Tab" || !active || !layer.isTopModal()) return;
+    // Focus inside a popover opened from the modal moves on its own
+    if (layer.containsAbove(document.activeElement)) return;
+
+    const panel = panelRef.current;
+    const focusable = getFocusable(panel);
+    if (focusable.length === 0) {
+      event.preventDefault();
+      panel.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const current = document.activeElement;
+
+    if (event.shiftKey && (current === first || !panel.contains(current))) {
+      event.preventDefault();
+      last.focus();
+    } else if (
+      !event.shiftKey &&
+      (current === last || !panel.contains(current))
+    ) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  useEventListener(
+    "keydown",
+    handleKeyDown,
+    typeof document !== "undefined" ? document : null
+  );
+
+  const handleOutsideClick = useCallback(
+    (event) => {
+      if (
+        active &&
+        closeOnBackdropClick &&
+        layer.isTopModal() &&
+        !layer.containsAbove(event.target)
+      ) {
+        onClose?.();
+      }
+    },
+    [active, closeOnBackdropClick, layer, onClose]
+  );
+
+  useOutsideClick(panelRef, handleOutsideClick);
+
+  if (!mounted) return null;
 
   return ReactDOM.createPortal(
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
-      <div className="bg-white p-4 rounded shadow-lg relative">
-        <button
-          onClick={onClose}
-          className="absolute top-2 right-2 text-gray-600"
-        >
-          ✕
-        </button>
+    <div
+      ref={rootRef}
+      className={`fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 transition-opacity motion-reduce:transition-none ${
+        visible ? "opacity-100" : "opacity-0"
+      }`}
+      style={{ transitionDuration: `${transitionDuration}ms` }}
+    >
+      <div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy ?? (title ? titleId : undefined)}
+        aria-describedby={describedBy}
+        tabIndex={-1}
+        className={mergeClasses(
+          "bg-white p-4 rounded shadow-lg relative outline-none transition motion-reduce:transition-none",
+          visible ? "opacity-100 scale-100" : "opacity-0 scale-95",
+          className
+        )}
+        style={{ transitionDuration: `${transitionDuration}ms` }}
+      >
+        {title && (
+          <h2 id={titleId} className="mb-2 pr-6 text-lg font-semibold">
+            {title}
+          </h2>
+        )}
         {children}
+        {/* Last in DOM order so initial focus lands on the content first */}
+        {showCloseButton && (
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close"
+            className="absolute top-2 right-2 text-gray-600"
+          >
+            ✕
+          </button>
+        )}
       </div>
     </div>,
     document.body
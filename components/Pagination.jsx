@@ -1,21 +1,117 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
+import { usePagination } from "../hooks/usePagination";
 
-export default function Pagination({ current, total, onChange }) {
-  const pages = Array.from({ length: total }, (_, i) => i + 1);
+const LABELS = {
+  first: "«",
+  previous: "‹",
+  next: "›",
+  last: "»",
+};
+
+const ARIA_LABELS = {
+  first: "Go to first page",
+  previous: "Go to previous page",
+  next: "Go to next page",
+  last: "Go to last page",
+};
+
+/**
+ * Pagination - Windowed page navigation built on usePagination
+ *
+ * Arrow keys move between pages, Home/End jump to the first/last page.
+ * `busy` marks the nav as loading without disabling the buttons, so focus
+ * stays on the page that was just selected.
+ * Takes its props straight from usePaginatedFetch:
+ *   const { pagination } = usePaginatedFetch('/api/users');
+ *   <Pagination {...pagination} />
+ */
+export default function Pagination({
+  current,
+  total,
+  onChange,
+  disabled = false,
+  busy = false,
+  siblingCount = 1,
+  boundaryCount = 1,
+  showFirstLast = true,
+  showPrevNext = true,
+  label = "Pagination",
+  className = "",
+}) {
+  const {
+    items,
+    current: page,
+    goTo,
+  } = usePagination({
+    total,
+    current,
+    onChange,
+    siblingCount,
+    boundaryCount,
+    showFirstLast,
+    showPrevNext,
+    disabled,
+  });
+
+  const navRef = useRef(null);
+  const keyboardNavRef = useRef(false);
+
+  // After keyboard navigation, keep focus on the newly current page
+  useEffect(() => {
+    if (!keyboardNavRef.current) return;
+    keyboardNavRef.current = false;
+    navRef.current?.querySelector('[aria-current="page"]')?.focus();
+  }, [page]);
+
+  const handleKeyDown = (event) => {
+    if (disabled) return;
+    const targets = {
+      ArrowLeft: page - 1,
+      ArrowRight: page + 1,
+      Home: 1,
+      End: total,
+    };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    keyboardNavRef.current = true;
+    goTo(targets[event.key]);
+  };
+
+  if (total < 1) return null;
 
   return (
-    <div className="flex gap-2">
-      {pages.map((page) => (
-        <button
-          key={page}
-          className={`px-3 py-1 rounded ${
-            page === current ? "bg-blue-500 text-white" : "bg-gray-200"
-          }`}
-          onClick={() => onChange(page)}
-        >
-          {page}
-        </button>
-      ))}
-    </div>
+    <nav
+      ref={navRef}
+      aria-label={label}
+      aria-busy={busy || disabled || undefined}
+      onKeyDown={handleKeyDown}
+      className={className}
+    >
+      <ul className="flex gap-2">
+        {items.map((item) => (
+          <li key={item.key}>
+            {item.type === "ellipsis" ? (
+              <span className="px-2 py-1 text-gray-500" aria-hidden="true">
+                …
+              </span>
+            ) : (
+              <button
+                type="button"
+                className={`px-3 py-1 rounded ${
+                  item.selected ? "bg-blue-500 text-white" : "bg-gray-200"
+                } disabled:opacity-50`}
+                disabled={item.disabled}
+                aria-current={item.selected ? "page" : undefined}
+                aria-label={ARIA_LABELS[item.type] ?? `Go to page ${item.page}`}
+                onClick={item.onClick}
+              >
+                {LABELS[item.type] ?? item.page}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </nav>
   );
 }
@@ -0,0 +1,184 @@
+import React, {
+  cloneElement,
+  useCallback,
+  useEffect,
+  useId,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import ReactDOM from "react-dom";
+import { useFloating } from "../hooks/useFloating";
+import { useOutsideClick } from "../hooks/useOutsideClick";
+import { useLayer } from "../hooks/useLayer";
+import { mergeRefs, getElementRef, chainHandlers } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+/**
+ * Popover - Interactive floating panel anchored to a trigger
+ *
+ * Opens on click (default) or hover/focus, closes on Escape and outside
+ * clicks, and returns focus to the trigger when dismissed with Escape.
+ * Works controlled (`open` + `onOpenChange`) or uncontrolled. Opened from
+ * a Modal, it sits above it: Escape and clicks inside the panel don't reach
+ * the modal.
+ *
+ * Usage:
+ *   <Popover trigger={<button>Filters</button>} placement="bottom-start">
+ *     <FilterForm />
+ *   </Popover>
+ */
+export default function Popover({
+  trigger,
+  children,
+  open: controlledOpen,
+  defaultOpen = false,
+  onOpenChange,
+  triggerOn = "click", // 'click' | 'hover'
+  placement = "bottom",
+  offset = 8,
+  openDelay = 0,
+  closeDelay = 150,
+  showArrow = false,
+  closeOnOutsideClick = true,
+  className = "",
+  "aria-label": ariaLabel,
+}) {
+  const id = useId();
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen);
+  const isControlled = controlledOpen !== undefined;
+  const open = isControlled ? controlledOpen : uncontrolledOpen;
+
+  const timerRef = useRef(null);
+  const triggerNodeRef = useRef(null);
+  const panelRef = useRef(null);
+
+  const { refs, floatingStyles, arrowStyles } = useFloating({
+    open,
+    placement,
+    offset,
+  });
+
+  const setOpen = useCallback(
+    (next) => {
+      clearTimeout(timerRef.current);
+      if (!isControlled) setUncontrolledOpen(next);
+      onOpenChange?.(next);
+    },
+    [isControlled, onOpenChange]
+  );
+
+  const setOpenAfter = (next, delay) => {
+    clearTimeout(timerRef.current);
+    if (delay > 0) timerRef.current = setTimeout(() => setOpen(next), delay);
+    else setOpen(next);
+  };
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  // Move focus into click-opened popovers so keyboard users land inside
+  useEffect(() => {
+    if (open && triggerOn === "click") panelRef.current?.focus();
+  }, [open, triggerOn]);
+
+  const layer = useLayer(open, {
+    contains: (node) => panelRef.current?.contains(node),
+    onEscape: () => {
+      setOpen(false);
+      triggerNodeRef.current?.focus();
+    },
+  });
+
+  const handleOutsideClick = useCallback(
+    (event) => {
+      if (!open || !closeOnOutsideClick) return;
+      // The trigger toggles on its own, nested popovers close themselves
+      if (triggerNodeRef.current?.contains(event.target)) return;
+      if (layer.containsAbove(event.target)) return;
+      setOpen(false);
+    },
+    [open, closeOnOutsideClick, setOpen, layer]
+  );
+
+  useOutsideClick(panelRef, handleOutsideClick);
+
+  const hoverProps =
+    triggerOn === "hover"
+      ? {
+          onPointerEnter: (event) => {
+            if (event.pointerType !== "touch") setOpenAfter(true, openDelay);
+          },
+          onPointerLeave: (event) => {
+            if (event.pointerType !== "touch") setOpenAfter(false, closeDelay);
+          },
+        }
+      : {};
+
+  // Keep hover popovers open while the pointer is over the panel
+  const cancelClose = () => clearTimeout(timerRef.current);
+
+  const triggerProps = {
+    "aria-haspopup": "dialog",
+    "aria-expanded": open,
+    "aria-controls": open ? id : undefined,
+    onClick: () => setOpen(!open),
+    ...hoverProps,
+    ...(triggerOn === "hover"
+      ? {
+          onFocus: () => setOpenAfter(true, 0),
+          onBlur: (event) => {
+            if (!panelRef.current?.contains(event.relatedTarget)) {
+              setOpenAfter(false, closeDelay);
+            }
+          },
+        }
+      : {}),
+  };
+
+  const childRef = getElementRef(trigger);
+  const triggerRef = useMemo(
+    () => mergeRefs(childRef, triggerNodeRef, refs.setReference),
+    [childRef, refs]
+  );
+  const panelRefs = useMemo(
+    () => mergeRefs(panelRef, refs.setFloating),
+    [refs]
+  );
+
+  return (
+    <>
+      {cloneElement(trigger, {
+        ...chainHandlers(trigger.props, triggerProps),
+        ref: triggerRef,
+      })}
+      {open &&
+        ReactDOM.createPortal(
+          <div
+            ref={panelRefs}
+            id={id}
+            role="dialog"
+            aria-label={ariaLabel}
+            tabIndex={-1}
+            style={floatingStyles}
+            className={mergeClasses(
+              "z-50 bg-white p-3 rounded shadow-lg outline-none",
+              className
+            )}
+            {...hoverProps}
+            onPointerEnter={cancelClose}
+          >
+            {children}
+            {showArrow && (
+              <span
+                ref={refs.setArrow}
+                style={arrowStyles}
+                className="w-2 h-2 rotate-45 bg-white"
+                aria-hidden="true"
+              />
+            )}
+          </div>,
+          document.body
+        )}
+    </>
+  );
+}
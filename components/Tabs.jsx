@@ -0,0 +1,256 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useId,
+  useState,
+} from "react";
+import { useRovingTabIndex } from "../hooks/useRovingTabIndex";
+import { mergeProps } from "../utils/mergeProps";
+import { mergeClasses } from "../utils/classNames";
+
+const TabsContext = createContext(null);
+
+// Values end up in id attributes, which can't contain spaces
+const toIdPart = (value) => String(value).replace(/\s+/g, "-");
+
+/**
+ * useTabs - Headless tabs (WAI-ARIA tabs pattern)
+ *
+ * The tab list is a single Tab stop; arrow keys (←/→, or ↑/↓ when
+ * vertical), Home and End move between tabs. With `activation:
+ * 'automatic'` focusing a tab selects it; with `'manual'` the user moves
+ * focus freely and selects with Enter or Space, which suits panels that
+ * are slow to render.
+ *
+ * Usage:
+ *   const tabs = useTabs({ defaultValue: 'profile' });
+ *   <div {...tabs.getTabListProps({ 'aria-label': 'Settings' })}>
+ *     <button {...tabs.getTabProps({ value: 'profile' })}>Profile</button>
+ *     <button {...tabs.getTabProps({ value: 'billing' })}>Billing</button>
+ *   </div>
+ *   <div {...tabs.getPanelProps({ value: 'profile' })}>...</div>
+ *
+ * @param {object} options
+ * @param {string} [options.value] - Controlled selected tab (+ onValueChange)
+ * @param {string} [options.defaultValue] - Initially selected tab
+ * @param {'horizontal'|'vertical'} [options.orientation] - Default: 'horizontal'
+ * @param {'automatic'|'manual'} [options.activation] - Default: 'automatic'
+ * @param {boolean} [options.loop] - Wrap around the ends (default: true)
+ * @returns {{ value, setValue, getTabListProps, getTabProps, getPanelProps }}
+ */
+export function useTabs(options = {}) {
+  const {
+    defaultValue = null,
+    onValueChange,
+    orientation = "horizontal",
+    activation = "automatic",
+    loop = true,
+  } = options;
+  const id = useId();
+
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue);
+  const isControlled = options.value !== undefined;
+  const value = isControlled ? options.value : uncontrolledValue;
+
+  const setValue = useCallback(
+    (next) => {
+      if (!isControlled) setUncontrolledValue(next);
+      onValueChange?.(next);
+    },
+    [isControlled, onValueChange]
+  );
+
+  const roving = useRovingTabIndex({
+    orientation,
+    loop,
+    defaultActiveId: value == null ? null : String(value),
+  });
+
+  // Tabbing into the list lands on the selected tab
+  const { setActiveId } = roving;
+  useEffect(() => {
+    if (value != null) setActiveId(String(value));
+  }, [value, setActiveId]);
+
+  const getTabListProps = (props = {}) =>
+    roving.getContainerProps(
+      mergeProps(
+        {
+          role: "tablist",
+          "aria-orientation": orientation,
+          // In manual mode focus can wander from the selection; the Tab
+          // stop goes back to the selected tab once focus leaves the list
+          onBlur: (event) => {
+            if (
+              value != null &&
+              !event.currentTarget.contains(event.relatedTarget)
+            ) {
+              setActiveId(String(value));
+            }
+          },
+        },
+        props
+      )
+    );
+
+  const getTabProps = ({ value: tabValue, disabled = false, ...props }) => {
+    const selected = tabValue === value;
+    return roving.getItemProps(
+      { itemId: tabValue, disabled },
+      mergeProps(
+        {
+          type: "button",
+          role: "tab",
+          id: `${id}-tab-${toIdPart(tabValue)}`,
+          "aria-selected": selected,
+          "aria-controls": `${id}-panel-${toIdPart(tabValue)}`,
+          "data-state": selected ? "active" : "inactive",
+          disabled,
+          onClick: () => {
+            if (!selected) setValue(tabValue);
+          },
+          onFocus: () => {
+            if (activation === "automatic" && !selected && !disabled) {
+              setValue(tabValue);
+            }
+          },
+        },
+        props
+      )
+    );
+  };
+
+  const getPanelProps = ({ value: tabValue, ...props }) =>
+    mergeProps(
+      {
+        role: "tabpanel",
+        id: `${id}-panel-${toIdPart(tabValue)}`,
+        "aria-labelledby": `${id}-tab-${toIdPart(tabValue)}`,
+        // Lets keyboard users reach panels without focusable content
+        tabIndex: 0,
+        hidden: tabValue !== value,
+      },
+      props
+    );
+
+  return { value, setValue, getTabListProps, getTabProps, getPanelProps };
+}
+
+/**
+ * Tabs - Switch between panels of related content
+ *
+ * Takes the useTabs options as props.
+ *
+ * Usage:
+ *   <Tabs defaultValue="overview" activation="manual">
+ *     <Tabs.List aria-label="Project">
+ *       <Tabs.Tab value="overview">Overview</Tabs.Tab>
+ *       <Tabs.Tab value="activity">Activity</Tabs.Tab>
+ *       <Tabs.Tab value="settings" disabled>Settings</Tabs.Tab>
+ *     </Tabs.List>
+ *     <Tabs.Panel value="overview"><Overview /></Tabs.Panel>
+ *     <Tabs.Panel value="activity"><ActivityFeed /></Tabs.Panel>
+ *   </Tabs>
+ */
+export default function Tabs({
+  children,
+  value,
+  defaultValue,
+  onValueChange,
+  orientation = "horizontal",
+  activation,
+  loop,
+  className = "",
+  ...props
+}) {
+  const tabs = useTabs({
+    value,
+    defaultValue,
+    onValueChange,
+    orientation,
+    activation,
+    loop,
+  });
+  return (
+    <TabsContext.Provider value={{ ...tabs, orientation }}>
+      <div
+        {...props}
+        className={mergeClasses(
+          orientation === "vertical" && "flex gap-4",
+          className
+        )}
+      >
+        {children}
+      </div>
+    </TabsContext.Provider>
+  );
+}
+
+function useTabsContext(component) {
+  const context = useContext(TabsContext);
+  if (!context) throw new Error(`${component} must be used within <Tabs>`);
+  return context;
+}
+
+export function TabList({ children, className = "", ...props }) {
+  const { getTabListProps, orientation } = useTabsContext("Tabs.List");
+  return (
+    <div
+      {...getTabListProps(props)}
+      className={mergeClasses(
+        "flex",
+        orientation === "vertical"
+          ? "flex-col border-r border-gray-200"
+          : "border-b border-gray-200",
+        className
+      )}
+    >
+      {children}
+    </div>
+  );
+}
+
+export function Tab({ value, disabled, children, className = "", ...props }) {
+  const {
+    getTabProps,
+    orientation,
+    value: selectedValue,
+  } = useTabsContext("Tabs.Tab");
+  const selected = value === selectedValue;
+  return (
+    <button
+      {...getTabProps({ value, disabled, ...props })}
+      className={mergeClasses(
+        "px-4 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 disabled:cursor-not-allowed disabled:opacity-50",
+        orientation === "vertical"
+          ? "-mr-px border-r-2 text-left"
+          : "-mb-px border-b-2",
+        selected ? "border-blue-600 text-blue-700" : "border-transparent",
+        className
+      )}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function TabPanel({ value, children, className = "", ...props }) {
+  const { getPanelProps } = useTabsContext("Tabs.Panel");
+  return (
+    <div
+      {...getPanelProps({ value, ...props })}
+      className={mergeClasses(
+        "py-4 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500",
+        className
+      )}
+    >
+      {children}
+    </div>
+  );
+}
+
+Tabs.List = TabList;
+Tabs.Tab = Tab;
+Tabs.Panel = TabPanel;
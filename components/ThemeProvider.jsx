@@ -0,0 +1,116 @@
+"use client";
+
+import React, {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useState,
+} from "react";
+import { ThemeContext } from "../hooks/useTheme";
+import { useMediaQuery } from "../hooks/useMediaQuery";
+import { useEventListener } from "../hooks/useEventListener";
+import {
+  COLOR_SCHEME_QUERY,
+  DEFAULT_STORAGE_KEY,
+  DEFAULT_SYSTEM_THEMES,
+  DEFAULT_THEMES,
+  SYSTEM_THEME,
+  applyTheme,
+  getStoredTheme,
+  resolveTheme,
+} from "../utils/theme";
+
+/**
+ * ThemeProvider - Named themes, live system mode and cross-tab sync
+ *
+ * - `'system'` follows `prefers-color-scheme`, including later OS changes,
+ *   applying `systemThemes.light` or `systemThemes.dark`
+ * - Each theme maps to CSS custom properties set on <html>
+ * - The choice is saved to localStorage and synced to other tabs
+ * - Pair with getThemeScript() in <head> to avoid a flash before hydration
+ *
+ * Usage:
+ *   <ThemeProvider themes={{ light: { "--bg": "#fff" }, dark: { "--bg": "#000" } }}>
+ *     <App />
+ *   </ThemeProvider>
+ */
+export default function ThemeProvider({
+  children,
+  themes = DEFAULT_THEMES,
+  systemThemes = DEFAULT_SYSTEM_THEMES,
+  defaultTheme = SYSTEM_THEME,
+  enableSystem = true,
+  storageKey = DEFAULT_STORAGE_KEY,
+  attribute = "class",
+}) {
+  const isValid = useCallback(
+    (name) =>
+      Boolean(name) && (name === SYSTEM_THEME ? enableSystem : name in themes),
+    [themes, enableSystem]
+  );
+
+  // The server can't see localStorage: render defaultTheme first so
+  // hydration matches, then switch to the saved choice before paint.
+  // getThemeScript() has already applied it, so nothing flashes.
+  const [chosenTheme, setThemeState] = useState(null);
+  useLayoutEffect(() => {
+    setThemeState(getStoredTheme(storageKey));
+  }, [storageKey]);
+  const theme = isValid(chosenTheme) ? chosenTheme : defaultTheme;
+
+  const systemTheme = useMediaQuery(COLOR_SCHEME_QUERY) ? "dark" : "light";
+  const resolvedTheme = resolveTheme(theme, systemTheme, systemThemes);
+
+  useEffect(() => {
+    applyTheme(resolvedTheme, themes, attribute, systemThemes);
+  }, [resolvedTheme, themes, attribute, systemThemes]);
+
+  const setTheme = useCallback(
+    (next) => {
+      const value = typeof next === "function" ? next(theme) : next;
+      if (!isValid(value)) return;
+      setThemeState(value);
+      try {
+        localStorage.setItem(storageKey, value);
+      } catch (err) {
+        console.error(`[ThemeProvider] Error saving theme "${value}":`, err);
+      }
+    },
+    [theme, isValid, storageKey]
+  );
+
+  const toggleTheme = useCallback(() => {
+    setTheme(
+      resolvedTheme === systemThemes.dark
+        ? systemThemes.light
+        : systemThemes.dark
+    );
+  }, [resolvedTheme, systemThemes, setTheme]);
+
+  // Another tab changed the theme
+  useEventListener(
+    "storage",
+    (event) => {
+      if (event.key !== storageKey) return;
+      setThemeState(event.newValue);
+    },
+    typeof window !== "undefined" ? window : null
+  );
+
+  const value = useMemo(
+    () => ({
+      theme,
+      resolvedTheme,
+      systemTheme,
+      themes: Object.keys(themes),
+      setTheme,
+      toggleTheme,
+    }),
+    [theme, resolvedTheme, systemTheme, themes, setTheme, toggleTheme]
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+}
@@ -0,0 +1,58 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { hydrateRoot } from "react-dom/client";
+import { renderToString } from "react-dom/server";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useTheme } from "../hooks/useTheme";
+import ThemeProvider from "./ThemeProvider";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("ThemeProvider", () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    vi.stubGlobal("matchMedia", (query) => ({
+      matches: false,
+      media: query,
+      addEventListener() {},
+      removeEventListener() {},
+    }));
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    localStorage.clear();
+    document.documentElement.className = "";
+    vi.unstubAllGlobals();
+  });
+
+  function CurrentTheme() {
+    return <span>{useTheme().theme}</span>;
+  }
+
+  const app = (
+    <ThemeProvider>
+      <CurrentTheme />
+    </ThemeProvider>
+  );
+
+  it("hydrates with the server's theme, then switches to the saved one", () => {
+    container.innerHTML = renderToString(app);
+    expect(container.textContent).toBe("system");
+
+    localStorage.setItem("theme", "dark");
+    const onRecoverableError = vi.fn();
+    act(() => {
+      root = hydrateRoot(container, app, { onRecoverableError });
+    });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.textContent).toBe("dark");
+    expect(document.documentElement.classList.contains("dark")).toBe(true);
+  });
+});
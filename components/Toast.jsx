@@ -1,6 +1,239 @@
-import React, { useEffect, useState } from "react";
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
 
-export default function Toast({ message, duration = 3000 }) {
+const DEFAULT_DURATION = 4000;
+const EXIT_DURATION = 200;
+const SWIPE_THRESHOLD = 80;
+
+// --- Store -----------------------------------------------------------------
+// Lives at module level so `toast()` works from event handlers, effects and
+// plain JS, not just from components under the provider.
+
+let toasts = [];
+let nextId = 0;
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const getSnapshot = () => toasts;
+
+function upsert(options) {
+  const id = options.id ?? `toast-${++nextId}`;
+  const existing = toasts.find((t) => t.id === id);
+
+  if (existing) {
+    toasts = toasts.map((t) =>
+      t.id === id
+        ? { ...t, ...options, dismissed: false, updatedAt: Date.now() }
+        : t
+    );
+  } else {
+    toasts = [
+      ...toasts,
+      {
+        type: "default",
+        dismissible: true,
+        ...options,
+        id,
+        dismissed: false,
+        updatedAt: Date.now(),
+      },
+    ];
+  }
+  emit();
+  return id;
+}
+
+function dismiss(id) {
+  toasts = toasts.map((t) =>
+    id === undefined || t.id === id ? { ...t, dismissed: true } : t
+  );
+  emit();
+
+  // Give the exit animation time to play before removing
+  setTimeout(() => {
+    toasts = toasts.filter(
+      (t) => !(t.dismissed && (id === undefined || t.id === id))
+    );
+    emit();
+  }, EXIT_DURATION);
+}
+
+const normalize = (message, options) =>
+  typeof message === "object" &&
+  message !== null &&
+  !React.isValidElement(message)
+    ? message
+    : { ...options, message };
+
+/**
+ * toast - Show a notification from anywhere
+ *
+ * Usage:
+ *   toast("Saved");
+ *   toast.success("Profile updated", { description: "Changes are live." });
+ *   toast.error("Upload failed", { action: { label: "Retry", onClick: retry } });
+ *   toast.promise(saveUser(), {
+ *     loading: "Saving…",
+ *     success: (user) => `Saved ${user.name}`,
+ *     error: (err) => err.message,
+ *   });
+ *
+ * @param {string|ReactNode} message
+ * @param {Object} [options]
+ * @param {string} [options.id] - Reuse an id to update a toast in place
+ * @param {ReactNode} [options.description]
+ * @param {number} [options.duration] - ms before auto-dismiss; Infinity to keep it
+ * @param {{ label: string, onClick: Function }} [options.action]
+ * @param {boolean} [options.dismissible] - Show a close button and allow swiping (default: true)
+ * @returns {string} toast id
+ */
+export function toast(message, options = {}) {
+  return upsert(normalize(message, options));
+}
+
+toast.success = (message, options) =>
+  upsert({ ...normalize(message, options), type: "success" });
+toast.error = (message, options) =>
+  upsert({ ...normalize(message, options), type: "error" });
+toast.info = (message, options) =>
+  upsert({ ...normalize(message, options), type: "info" });
+toast.loading = (message, options) =>
+  upsert({
+    ...normalize(message, options),
+    type: "loading",
+    duration: Infinity,
+  });
+toast.dismiss = dismiss;
+
+toast.promise = (promise, { loading, success, error }, options = {}) => {
+  const id = toast.loading(loading, options);
+  const resolve = (value, arg) =>
+    typeof value === "function" ? value(arg) : value;
+  // Reset the loading toast's Infinity duration so the result auto-dismisses
+  const settled = { ...options, id, duration: options.duration };
+
+  Promise.resolve(promise).then(
+    (data) =>
+      upsert({ ...settled, type: "success", message: resolve(success, data) }),
+    (err) => upsert({ ...settled, type: "error", message: resolve(error, err) })
+  );
+
+  return promise;
+};
+
+// --- React -----------------------------------------------------------------
+
+const api = { toast, dismiss };
+const ToastContext = createContext(api);
+
+const PLACEMENTS = {
+  "top-left": "top-4 left-4 items-start",
+  "top-center": "top-4 left-1/2 -translate-x-1/2 items-center",
+  "top-right": "top-4 right-4 items-end",
+  "bottom-left": "bottom-4 left-4 items-start flex-col-reverse",
+  "bottom-center":
+    "bottom-4 left-1/2 -translate-x-1/2 items-center flex-col-reverse",
+  "bottom-right": "bottom-4 right-4 items-end flex-col-reverse",
+};
+
+const TYPE_STYLES = {
+  default: "bg-gray-900 text-white",
+  info: "bg-blue-600 text-white",
+  success: "bg-green-600 text-white",
+  error: "bg-red-600 text-white",
+  loading: "bg-gray-900 text-white",
+};
+
+/**
+ * ToastProvider - Renders queued toasts in an aria-live region
+ *
+ * Usage:
+ *   <ToastProvider placement="bottom-right" maxVisible={3}>
+ *     <App />
+ *   </ToastProvider>
+ *
+ * Toasts beyond `maxVisible` wait in the queue until a visible one closes.
+ * Hovering or focusing the stack pauses every visible timer.
+ */
+export function ToastProvider({
+  children,
+  placement = "bottom-right",
+  maxVisible = 3,
+  duration = DEFAULT_DURATION,
+}) {
+  const all = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  const [paused, setPaused] = useState(false);
+  const visible = all.slice(0, maxVisible);
+
+  return (
+    <ToastContext.Provider value={api}>
+      {children}
+      <section
+        aria-label="Notifications"
+        onMouseEnter={() => setPaused(true)}
+        onMouseLeave={() => setPaused(false)}
+        onFocus={() => setPaused(true)}
+        onBlur={() => setPaused(false)}
+      >
+        <ol
+          aria-live="polite"
+          aria-relevant="additions text"
+          className={`fixed z-50 flex gap-2 ${PLACEMENTS[placement] ?? PLACEMENTS["bottom-right"]}`}
+        >
+          {visible.map((t) => (
+            <ToastItem
+              key={t.id}
+              toast={t}
+              paused={paused}
+              duration={t.duration ?? duration}
+              onDismiss={() => dismiss(t.id)}
+            />
+          ))}
+        </ol>
+      </section>
+    </ToastContext.Provider>
+  );
+}
+
+/**
+ * useToast - Access the toast API (and the current queue) from a component
+ *
+ * Usage:
+ *   const { toast } = useToast();
+ *   toast.success("Copied!");
+ */
+export function useToast() {
+  const context = useContext(ToastContext);
+  const all = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  return { ...context, toasts: all };
+}
+
+/**
+ * Toast - A single notification
+ *
+ * ToastProvider renders queued toasts with `toast`. Without it, `message`
+ * shows a standalone toast that hides itself after `duration` (3s), as
+ * before the provider existed:
+ *   {saved && <Toast message="Saved" />}
+ */
+export default function Toast({ toast, message, duration, ...props }) {
+  if (toast) return <ToastItem toast={toast} duration={duration} {...props} />;
+  return <StandaloneToast message={message} duration={duration} />;
+}
+
+function StandaloneToast({ message, duration = 3000 }) {
   const [visible, setVisible] = useState(true);
 
   useEffect(() => {
@@ -11,8 +244,120 @@ export default function Toast({ message, duration = 3000 }) {
   if (!visible) return null;
 
   return (
-    <div className="fixed bottom-4 right-4 bg-gray-900 text-white p-3 rounded shadow">
+    <div
+      role="status"
+      className="fixed bottom-4 right-4 bg-gray-900 text-white p-3 rounded shadow"
+    >
       {message}
     </div>
   );
 }
+
+function ToastItem({
+  toast: t,
+  paused = false,
+  duration = DEFAULT_DURATION,
+  onDismiss,
+}) {
+  const remainingRef = useRef(duration);
+  // The provider passes a new onDismiss every render; that mustn't restart
+  // the timer
+  const onDismissRef = useRef(onDismiss);
+  useEffect(() => {
+    onDismissRef.current = onDismiss;
+  });
+  const [dragX, setDragX] = useState(0);
+  const dragStartRef = useRef(null);
+
+  // Restart the countdown when the toast is updated (e.g. toast.promise)
+  useEffect(() => {
+    remainingRef.current = duration;
+  }, [t.updatedAt, duration]);
+
+  useEffect(() => {
+    if (paused || t.dismissed || !Number.isFinite(duration)) return;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(
+      () => onDismissRef.current?.(),
+      remainingRef.current
+    );
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [paused, t.dismissed, t.updatedAt, duration]);
+
+  const handlePointerDown = (event) => {
+    if (!t.dismissible || event.target.closest("button")) return;
+    dragStartRef.current = event.clientX;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragStartRef.current === null) return;
+    setDragX(event.clientX - dragStartRef.current);
+  };
+
+  const handlePointerUp = () => {
+    if (dragStartRef.current === null) return;
+    dragStartRef.current = null;
+    if (Math.abs(dragX) > SWIPE_THRESHOLD) onDismiss();
+    else setDragX(0);
+  };
+
+  return (
+    <li
+      role={t.type === "error" ? "alert" : "status"}
+      aria-atomic="true"
+      className={`flex items-start gap-3 p-3 rounded shadow min-w-64 max-w-sm transition-all duration-200 touch-pan-y ${
+        TYPE_STYLES[t.type] ?? TYPE_STYLES.default
+      } ${t.dismissed ? "opacity-0 scale-95" : "opacity-100"}`}
+      style={{
+        transform: dragX ? `translateX(${dragX}px)` : undefined,
+        opacity: dragX
+          ? 1 - Math.min(Math.abs(dragX) / (SWIPE_THRESHOLD * 2), 0.8)
+          : undefined,
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {t.type === "loading" && (
+        <span
+          aria-hidden="true"
+          className="mt-1 h-3 w-3 rounded-full border-2 border-white/40 border-t-white animate-spin"
+        />
+      )}
+      <div className="flex-1">
+        <div>{t.message}</div>
+        {t.description && (
+          <div className="text-sm opacity-80">{t.description}</div>
+        )}
+      </div>
+      {t.action && (
+        <button
+          type="button"
+          className="text-sm font-semibold underline"
+          onClick={() => {
+            t.action.onClick?.();
+            onDismiss();
+          }}
+        >
+          {t.action.label}
+        </button>
+      )}
+      {t.dismissible && (
+        <button
+          type="button"
+          aria-label="Dismiss notification"
+          className="opacity-70"
+          onClick={onDismiss}
+        >
+          ✕
+        </button>
+      )}
+    </li>
+  );
+}
@@ -1,20 +1,143 @@
-import React, { useState } from "react";
+import React, {
+  cloneElement,
+  isValidElement,
+  useEffect,
+  useId,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import ReactDOM from "react-dom";
+import { useFloating } from "../hooks/useFloating";
+import { useLayer } from "../hooks/useLayer";
+import { mergeRefs, getElementRef, chainHandlers } from "../utils/mergeProps";
 
-export default function Tooltip({ children, label }) {
-  const [show, setShow] = useState(false);
+/**
+ * Tooltip - Short description shown on hover, focus or touch
+ *
+ * Rendered in a portal and positioned with computePosition, so it flips at
+ * the viewport edge and isn't clipped by `overflow: hidden` parents. The
+ * trigger gets `aria-describedby` while the tooltip is shown; Escape hides it
+ * (and only it, inside a Modal).
+ *
+ * Usage:
+ *   <Tooltip label="Copy to clipboard" placement="top">
+ *     <button onClick={copy}>📋</button>
+ *   </Tooltip>
+ */
+export default function Tooltip({
+  children,
+  label,
+  placement = "top",
+  offset = 8,
+  openDelay = 300,
+  closeDelay = 100,
+  touchDuration = 1500,
+  showArrow = true,
+  disabled = false,
+}) {
+  const id = useId();
+  const [open, setOpen] = useState(false);
+  const timerRef = useRef(null);
+  // Set from a tap until the trigger loses focus
+  const touchedRef = useRef(false);
+  const { refs, floatingStyles, arrowStyles } = useFloating({
+    open,
+    placement,
+    offset,
+  });
 
-  return (
-    <span
-      className="relative"
-      onMouseEnter={() => setShow(true)}
-      onMouseLeave={() => setShow(false)}
-    >
+  const childRef = isValidElement(children) ? getElementRef(children) : null;
+  const triggerRef = useMemo(
+    () => mergeRefs(childRef, refs.setReference),
+    [childRef, refs]
+  );
+
+  const setOpenAfter = (next, delay) => {
+    clearTimeout(timerRef.current);
+    if (delay > 0) timerRef.current = setTimeout(() => setOpen(next), delay);
+    else setOpen(next);
+  };
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useEffect(() => {
+    if (disabled) setOpenAfter(false, 0);
+  }, [disabled]);
+
+  useLayer(open && Boolean(label), {
+    onEscape: () => setOpenAfter(false, 0),
+  });
+
+  const triggerProps = {
+    "aria-describedby": open ? id : undefined,
+    onPointerEnter: (event) => {
+      // Touch devices fire pointerenter on tap; handled in onPointerDown
+      if (!disabled && event.pointerType !== "touch") {
+        setOpenAfter(true, openDelay);
+      }
+    },
+    onPointerLeave: (event) => {
+      if (event.pointerType !== "touch") setOpenAfter(false, closeDelay);
+    },
+    onPointerDown: (event) => {
+      if (!disabled && event.pointerType === "touch") {
+        touchedRef.current = true;
+        setOpenAfter(true, 0);
+        timerRef.current = setTimeout(() => setOpen(false), touchDuration);
+      }
+    },
+    onFocus: () => {
+      // The tap focuses the trigger too; opening again would cancel the
+      // touchDuration timer and leave the tooltip up
+      if (!disabled && !touchedRef.current) setOpenAfter(true, 0);
+    },
+    onBlur: () => {
+      touchedRef.current = false;
+      setOpenAfter(false, 0);
+    },
+  };
+
+  const trigger = isValidElement(children) ? (
+    cloneElement(children, {
+      ...chainHandlers(children.props, triggerProps),
+      "aria-describedby":
+        [children.props["aria-describedby"], triggerProps["aria-describedby"]]
+          .filter(Boolean)
+          .join(" ") || undefined,
+      ref: triggerRef,
+    })
+  ) : (
+    <span ref={refs.setReference} tabIndex={0} {...triggerProps}>
       {children}
-      {show && (
-        <span className="absolute bottom-full mb-2 px-2 py-1 text-sm bg-black text-white rounded">
-          {label}
-        </span>
-      )}
     </span>
   );
+
+  return (
+    <>
+      {trigger}
+      {open &&
+        label &&
+        ReactDOM.createPortal(
+          <div
+            ref={refs.setFloating}
+            id={id}
+            role="tooltip"
+            style={floatingStyles}
+            className="z-50 px-2 py-1 text-sm bg-black text-white rounded pointer-events-none"
+          >
+            {label}
+            {showArrow && (
+              <span
+                ref={refs.setArrow}
+                style={arrowStyles}
+                className="w-2 h-2 rotate-45 bg-black"
+                aria-hidden="true"
+              />
+            )}
+          </div>,
+          document.body
+        )}
+    </>
+  );
 }
@@ -0,0 +1,136 @@
+import React, { useEffect, useImperativeHandle, useRef } from "react";
+import { useVirtualizer } from "../hooks/useVirtualizer";
+import { mergeClasses } from "../utils/classNames";
+
+/**
+ * VirtualList - Renders only the rows in view, built on useVirtualizer
+ *
+ * Pass `itemSize` for fixed sizes; leave it out and rows are measured as
+ * they render (`estimateSize` is the guess until then). `reverse` gives a
+ * chat-style list that starts at the bottom and follows new messages.
+ * `ref` exposes `scrollToIndex(index, { align, behavior })` and
+ * `scrollToOffset(offset)`.
+ *
+ * Usage:
+ *   <VirtualList
+ *     items={messages}
+ *     height={480}
+ *     estimateSize={64}
+ *     reverse
+ *     getItemKey={(i) => messages[i].id}
+ *     renderItem={({ item }) => <Message {...item} />}
+ *   />
+ */
+export default function VirtualList({
+  items,
+  count = items?.length ?? 0,
+  renderItem,
+  itemSize,
+  estimateSize,
+  overscan,
+  horizontal = false,
+  reverse = false,
+  stickyIndices,
+  getItemKey,
+  gap,
+  paddingStart,
+  paddingEnd,
+  height = 400,
+  width = "100%",
+  onRangeChange,
+  className = "",
+  itemClassName = "",
+  ref,
+  ...rest
+}) {
+  const virtualizer = useVirtualizer({
+    count,
+    itemSize,
+    estimateSize,
+    overscan,
+    horizontal,
+    reverse,
+    stickyIndices,
+    getItemKey,
+    gap,
+    paddingStart,
+    paddingEnd,
+  });
+  const {
+    scrollRef,
+    virtualItems,
+    totalSize,
+    measureElement,
+    scrollToIndex,
+    scrollToOffset,
+    range,
+  } = virtualizer;
+
+  useImperativeHandle(ref, () => ({ scrollToIndex, scrollToOffset }), [
+    scrollToIndex,
+    scrollToOffset,
+  ]);
+
+  const onRangeChangeRef = useRef(onRangeChange);
+  useEffect(() => {
+    onRangeChangeRef.current = onRangeChange;
+  });
+  const { startIndex, endIndex } = range;
+  useEffect(() => {
+    if (endIndex >= startIndex) {
+      onRangeChangeRef.current?.({ startIndex, endIndex });
+    }
+  }, [startIndex, endIndex]);
+
+  const measured = itemSize === undefined;
+  const axis = horizontal ? "X" : "Y";
+
+  return (
+    <div
+      ref={scrollRef}
+      role="list"
+      {...rest}
+      className={mergeClasses("relative overflow-auto", className)}
+      style={{ height, width, ...rest.style }}
+    >
+      <div
+        style={{
+          position: "relative",
+          [horizontal ? "width" : "height"]: totalSize,
+          [horizontal ? "height" : "width"]: "100%",
+        }}
+      >
+        {virtualItems.map((virtualItem) => {
+          const { index, start, size, isActiveSticky } = virtualItem;
+          // The active sticky item sits in flow so `position: sticky` can
+          // pin it; everything else is placed absolutely
+          const position = isActiveSticky
+            ? { position: "sticky", zIndex: 1 }
+            : {
+                position: "absolute",
+                transform: `translate${axis}(${start}px)`,
+              };
+          return (
+            <div
+              key={virtualItem.key}
+              role="listitem"
+              data-index={index}
+              ref={measured ? measureElement : undefined}
+              className={itemClassName}
+              style={{
+                top: 0,
+                left: 0,
+                ...(horizontal
+                  ? { height: "100%", width: measured ? undefined : size }
+                  : { width: "100%", height: measured ? undefined : size }),
+                ...position,
+              }}
+            >
+              {renderItem({ index, item: items?.[index], ...virtualItem })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
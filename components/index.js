@@ -1,5 +1,20 @@
 export { default as Loader } from "./Loader";
 export { default as Modal } from "./Modal";
 export { default as Tooltip } from "./Tooltip";
-export { default as Toast } from "./Toast";
+export { default as Popover } from "./Popover";
+export { default as Combobox } from "./Combobox";
+export { default as DropdownMenu, useMenu } from "./DropdownMenu";
+export { default as Tabs, useTabs } from "./Tabs";
+export { default as Accordion, useAccordion } from "./Accordion";
+export { default as Disclosure, useDisclosure } from "./Disclosure";
+export { default as Toast, ToastProvider, useToast, toast } from "./Toast";
 export { default as Pagination } from "./Pagination";
+export { default as ThemeProvider } from "./ThemeProvider";
+export { default as HotkeysProvider } from "./HotkeysProvider";
+export { default as VirtualList } from "./VirtualList";
+export { default as VirtualGrid } from "./VirtualGrid";
+export {
+  default as ErrorBoundary,
+  useErrorBoundary,
+  withErrorBoundary,
+} from "./ErrorBoundary";
@@ -1,10 +1,39 @@
 export * from "./useDebounce";
+export * from "./useDebouncedCallback";
+export * from "./useThrottledCallback";
+export * from "./useRelativeTime";
 export * from "./useFetch";
+export * from "./useMutation";
+export * from "./useForm";
+export * from "./usePaginatedFetch";
+export * from "./useInfiniteFetch";
+export * from "./usePagination";
 export * from "./useEventListener";
 export * from "./useMediaQuery";
 export * from "./useTheme";
+export * from "./useHotkeys";
+export * from "./useStorageState";
 export * from "./useClipboard";
 export * from "./useOnlineStatus";
+export * from "./useNetworkState";
 export * from "./useHover";
+export * from "./usePress";
+export * from "./useLongPress";
+export * from "./useIntersectionObserver";
+export * from "./useResizeObserver";
+export * from "./useElementSize";
+export * from "./useMutationObserver";
+export * from "./useVirtualizer";
 export * from "./useOutsideClick";
+export * from "./useLayer";
+export * from "./useFloating";
+export * from "./useCombobox";
+export * from "./useRovingTabIndex";
 export * from "./useToggle";
+export * from "./useBoolean";
+export * from "./usePrevious";
+export * from "./useCounter";
+export * from "./useList";
+export * from "./useMap";
+export * from "./useSet";
+export * from "./useStateHistory";
@@ -0,0 +1,33 @@
+import { useState, useMemo } from "react";
+
+/**
+ * useBoolean - Boolean state with named, stable setters
+ *
+ * Usage:
+ * const dialog = useBoolean();
+ * <button onClick={dialog.setTrue}>Open</button>
+ * <Modal isOpen={dialog.value} onClose={dialog.setFalse} />
+ *
+ * @param {boolean} initialValue - Starting state (default: false)
+ * @returns {{ value: boolean, setValue: Function, setTrue: Function, setFalse: Function, toggle: Function }}
+ */
+export function useBoolean(initialValue = false) {
+  const [value, setValue] = useState(initialValue);
+
+  const actions = useMemo(
+    () => ({
+      setValue,
+      setTrue: () => setValue(true),
+      setFalse: () => setValue(false),
+      toggle: () => setValue((current) => !current),
+    }),
+    []
+  );
+
+  return { value, ...actions };
+}
+
+// Example usage:
+// const { value: isEditing, setTrue: startEditing, setFalse: stopEditing } = useBoolean();
+// <input onFocus={startEditing} onBlur={stopEditing} />
+export default useBoolean;
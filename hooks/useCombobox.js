@@ -0,0 +1,520 @@
+import {
+  useState,
+  useRef,
+  useEffect,
+  useLayoutEffect,
+  useId,
+  useMemo,
+  useCallback,
+} from "react";
+import { useDebounce } from "./useDebounce";
+import { mergeProps } from "../utils/mergeProps";
+
+const defaultItemToString = (item) =>
+  item == null
+    ? ""
+    : typeof item === "object"
+      ? (item.label ?? "")
+      : String(item);
+
+const defaultFilter = (item, query, itemToString) =>
+  itemToString(item).toLowerCase().includes(query.toLowerCase());
+
+// Controlled when `value` is defined, otherwise internal state
+function useControllable(value, defaultValue, onChange) {
+  const [internal, setInternal] = useState(defaultValue);
+  const isControlled = value !== undefined;
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  const setValue = useCallback(
+    (next) => {
+      if (!isControlled) setInternal(next);
+      onChangeRef.current?.(next);
+    },
+    [isControlled]
+  );
+
+  return [isControlled ? value : internal, setValue];
+}
+
+/**
+ * useCombobox - Headless combobox/autocomplete (WAI-ARIA 1.2 pattern)
+ *
+ * Focus stays in the input; the highlighted option is announced through
+ * `aria-activedescendant`. Typing filters the options and highlights the
+ * best match (prefix matches first), so Enter picks it.
+ *
+ * Keyboard: ↓/↑ open and move (wrapping, skipping disabled options),
+ * Alt+↓ opens, Enter selects, Escape closes (or clears when closed),
+ * Backspace in an empty multi-select input removes the last tag.
+ *
+ * Options come from `items` (filtered locally) or `loadOptions(query,
+ * { signal })`, which is called with a debounced query; superseded
+ * requests are aborted.
+ *
+ * For long, virtualized lists pass `scrollToIndex` (e.g. from
+ * useVirtualizer) so the highlighted option is rendered and in view.
+ *
+ * Usage:
+ * const combobox = useCombobox({
+ *   loadOptions: (q, { signal }) => request(`/api/users?q=${q}`, { signal }),
+ *   itemToString: (user) => user?.name ?? '',
+ * });
+ * <label {...combobox.getLabelProps()}>Assignee</label>
+ * <input {...combobox.getInputProps()} />
+ * <ul {...combobox.getListboxProps()}>
+ *   {combobox.isOpen && combobox.items.map((user, index) => (
+ *     <li key={user.id} {...combobox.getOptionProps({ item: user, index })}>{user.name}</li>
+ *   ))}
+ * </ul>
+ *
+ * @param {object} options
+ * @param {Array} [options.items] - Static options
+ * @param {Function} [options.loadOptions] - (query, { signal }) => Promise<items>
+ * @param {number} [options.debounce] - Query debounce for loadOptions in ms (default: 300)
+ * @param {number} [options.minQueryLength] - Don't load below this length (default: 0)
+ * @param {Function} [options.filter] - (item, query, itemToString) => boolean, for static items
+ * @param {Function} [options.itemToString] - Option label (default: item.label or String(item))
+ * @param {Function} [options.itemToKey] - Identity for selection (default: item.value ?? label)
+ * @param {Function} [options.isItemDisabled] - (item) => boolean
+ * @param {boolean} [options.multiple] - Multi-select with tags
+ * @param {any} [options.selectedItem] - Controlled single selection (+ defaultSelectedItem, onSelectedItemChange)
+ * @param {Array} [options.selectedItems] - Controlled multi selection (+ defaultSelectedItems, onSelectedItemsChange)
+ * @param {string} [options.inputValue] - Controlled input text (+ defaultInputValue, onInputValueChange)
+ * @param {boolean} [options.openOnFocus] - Open when the input is focused (default: false)
+ * @param {Function} [options.scrollToIndex] - (index) => void, replaces the default scrollIntoView
+ * @returns {object} State, actions and prop getters
+ */
+export function useCombobox(options = {}) {
+  const {
+    items: staticItems = [],
+    loadOptions,
+    debounce: debounceDelay = 300,
+    minQueryLength = 0,
+    filter = defaultFilter,
+    itemToString = defaultItemToString,
+    itemToKey = (item) =>
+      item != null && typeof item === "object" && "value" in item
+        ? item.value
+        : itemToString(item),
+    isItemDisabled = () => false,
+    multiple = false,
+    openOnFocus = false,
+    scrollToIndex,
+  } = options;
+
+  const baseId = useId();
+  const ids = {
+    label: `${baseId}-label`,
+    input: `${baseId}-input`,
+    listbox: `${baseId}-listbox`,
+    option: (index) => `${baseId}-option-${index}`,
+  };
+
+  const [selectedItem, setSelectedItem] = useControllable(
+    options.selectedItem,
+    options.defaultSelectedItem ?? null,
+    options.onSelectedItemChange
+  );
+  const [selectedItems, setSelectedItems] = useControllable(
+    options.selectedItems,
+    options.defaultSelectedItems ?? [],
+    options.onSelectedItemsChange
+  );
+  const [inputValue, setInputValue] = useControllable(
+    options.inputValue,
+    options.defaultInputValue ??
+      (multiple ? "" : itemToString(options.defaultSelectedItem ?? null)),
+    options.onInputValueChange
+  );
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  // What the user typed since the last selection; showing the selected
+  // label in the input shouldn't filter the list down to one option
+  const [query, setQuery] = useState("");
+
+  // --- Async options -------------------------------------------------------
+  const debouncedQuery = useDebounce(query, debounceDelay);
+  const [remote, setRemote] = useState({
+    items: [],
+    status: "idle",
+    error: null,
+  });
+  const loadOptionsRef = useRef(loadOptions);
+  useEffect(() => {
+    loadOptionsRef.current = loadOptions;
+  });
+
+  useEffect(() => {
+    if (!loadOptionsRef.current || !isOpen) return;
+    if (debouncedQuery.length < minQueryLength) {
+      setRemote({ items: [], status: "idle", error: null });
+      return;
+    }
+
+    const controller = new AbortController();
+    setRemote((previous) => ({ ...previous, status: "loading", error: null }));
+    Promise.resolve(
+      loadOptionsRef.current(debouncedQuery, { signal: controller.signal })
+    ).then(
+      (items) => {
+        if (controller.signal.aborted) return;
+        setRemote({ items: items ?? [], status: "success", error: null });
+      },
+      (error) => {
+        if (controller.signal.aborted || error?.name === "AbortError") return;
+        setRemote((previous) => ({ ...previous, status: "error", error }));
+      }
+    );
+
+    return () => controller.abort();
+  }, [debouncedQuery, isOpen, minQueryLength]);
+
+  const isRemote = Boolean(loadOptions);
+  const items = useMemo(
+    () =>
+      isRemote
+        ? remote.items
+        : query
+          ? staticItems.filter((item) => filter(item, query, itemToString))
+          : staticItems,
+    [isRemote, remote.items, staticItems, query, filter, itemToString]
+  );
+
+  // --- Highlight ------------------------------------------------------------
+  const itemsRef = useRef(items);
+  useEffect(() => {
+    itemsRef.current = items;
+  });
+
+  const isSelected = (item) =>
+    multiple
+      ? selectedItems.some(
+          (selected) => itemToKey(selected) === itemToKey(item)
+        )
+      : selectedItem != null && itemToKey(selectedItem) === itemToKey(item);
+
+  const findEnabled = (start, step) => {
+    const list = itemsRef.current;
+    for (let n = 0; n < list.length; n++) {
+      const index =
+        (((start + step * n) % list.length) + list.length) % list.length;
+      if (!isItemDisabled(list[index])) return index;
+    }
+    return -1;
+  };
+
+  const scrollToIndexRef = useRef(scrollToIndex);
+  useEffect(() => {
+    scrollToIndexRef.current = scrollToIndex;
+  });
+
+  const highlight = useCallback(
+    (index) => {
+      setHighlightedIndex(index);
+      if (index < 0) return;
+      if (scrollToIndexRef.current) scrollToIndexRef.current(index);
+      else {
+        document
+          .getElementById(`${baseId}-option-${index}`)
+          ?.scrollIntoView?.({ block: "nearest" });
+      }
+    },
+    [baseId]
+  );
+
+  // Drop a highlight that's past the end of a shorter list
+  useEffect(() => {
+    setHighlightedIndex((current) => (current >= items.length ? -1 : current));
+  }, [items.length]);
+
+  const highlightBestMatchRef = useRef(null);
+  useLayoutEffect(() => {
+    highlightBestMatchRef.current = () => {
+      if (!query) return;
+      const lower = query.toLowerCase();
+      const prefix = items.findIndex(
+        (item) =>
+          !isItemDisabled(item) &&
+          itemToString(item).toLowerCase().startsWith(lower)
+      );
+      highlight(prefix !== -1 ? prefix : findEnabled(0, 1));
+    };
+  });
+
+  // Highlight the best match for what was typed when the query (or, with
+  // loadOptions, its results) changes. Not on every new `items` array: a
+  // parent re-rendering with an inline list would undo arrow-key moves.
+  const results = isRemote ? remote.items : query;
+  useEffect(() => {
+    if (isOpen) highlightBestMatchRef.current();
+  }, [isOpen, results]);
+
+  // --- Actions --------------------------------------------------------------
+  const open = useCallback(() => {
+    setIsOpen(true);
+  }, []);
+
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setHighlightedIndex(-1);
+  }, []);
+
+  const selectItem = (item) => {
+    if (item == null || isItemDisabled(item)) return;
+    setQuery("");
+    if (multiple) {
+      setSelectedItems(
+        isSelected(item)
+          ? selectedItems.filter((s) => itemToKey(s) !== itemToKey(item))
+          : [...selectedItems, item]
+      );
+      setInputValue("");
+    } else {
+      setSelectedItem(item);
+      setInputValue(itemToString(item));
+      close();
+    }
+  };
+
+  const removeItem = (item) => {
+    if (multiple) {
+      setSelectedItems(
+        selectedItems.filter((s) => itemToKey(s) !== itemToKey(item))
+      );
+    } else if (
+      selectedItem != null &&
+      itemToKey(selectedItem) === itemToKey(item)
+    ) {
+      setSelectedItem(null);
+      setInputValue("");
+    }
+  };
+
+  const clear = () => {
+    setQuery("");
+    setInputValue("");
+    if (multiple) setSelectedItems([]);
+    else setSelectedItem(null);
+  };
+
+  const openAndHighlight = (step) => {
+    open();
+    const list = itemsRef.current;
+    const selectedIndex = list.findIndex((item) => isSelected(item));
+    if (selectedIndex !== -1) highlight(selectedIndex);
+    else
+      highlight(
+        step > 0 ? findEnabled(0, 1) : findEnabled(list.length - 1, -1)
+      );
+  };
+
+  // --- Prop getters ---------------------------------------------------------
+  const getLabelProps = (props = {}) => ({
+    id: ids.label,
+    htmlFor: ids.input,
+    ...props,
+  });
+
+  const getInputProps = (props = {}) => {
+    const activeId =
+      isOpen && highlightedIndex >= 0
+        ? ids.option(highlightedIndex)
+        : undefined;
+
+    return mergeProps(
+      {
+        id: ids.input,
+        role: "combobox",
+        type: "text",
+        autoComplete: "off",
+        "aria-autocomplete": "list",
+        "aria-expanded": isOpen,
+        "aria-controls": ids.listbox,
+        "aria-labelledby": ids.label,
+        "aria-activedescendant": activeId,
+        value: inputValue,
+        onChange: (event) => {
+          const { value } = event.target;
+          setInputValue(value);
+          setQuery(value);
+          if (!multiple && value === "" && selectedItem != null) {
+            setSelectedItem(null);
+          }
+          open();
+        },
+        onKeyDown: (event) => {
+          if (event.defaultPrevented) return;
+          const count = itemsRef.current.length;
+
+          switch (event.key) {
+            case "ArrowDown":
+              event.preventDefault();
+              if (!isOpen) {
+                if (event.altKey) open();
+                else openAndHighlight(1);
+              } else if (count) {
+                highlight(findEnabled(highlightedIndex + 1, 1));
+              }
+              break;
+            case "ArrowUp":
+              event.preventDefault();
+              if (!isOpen) openAndHighlight(-1);
+              else if (event.altKey) close();
+              else if (count) {
+                highlight(
+                  findEnabled(
+                    highlightedIndex <= 0 ? count - 1 : highlightedIndex - 1,
+                    -1
+                  )
+                );
+              }
+              break;
+            case "Enter":
+              if (!isOpen || highlightedIndex < 0) return;
+              // Don't submit the surrounding form
+              event.preventDefault();
+              selectItem(itemsRef.current[highlightedIndex]);
+              break;
+            case "Escape":
+              if (isOpen) {
+                event.preventDefault();
+                close();
+              } else if (inputValue) {
+                event.preventDefault();
+                clear();
+              }
+              break;
+            case "Backspace":
+              if (multiple && inputValue === "" && selectedItems.length) {
+                removeItem(selectedItems[selectedItems.length - 1]);
+              }
+              break;
+            default:
+          }
+        },
+        onFocus: () => {
+          if (openOnFocus) open();
+        },
+        onBlur: (event) => {
+          const listbox = document.getElementById(ids.listbox);
+          if (listbox?.contains(event.relatedTarget)) return;
+          close();
+          // Leaving a single-select restores the selected label
+          if (!multiple) {
+            setQuery("");
+            setInputValue(itemToString(selectedItem));
+          }
+        },
+      },
+      props
+    );
+  };
+
+  const getListboxProps = (props = {}) =>
+    mergeProps(
+      {
+        id: ids.listbox,
+        role: "listbox",
+        "aria-labelledby": ids.label,
+        "aria-multiselectable": multiple || undefined,
+        // Clicks inside the list must not move focus out of the input
+        onMouseDown: (event) => event.preventDefault(),
+      },
+      props
+    );
+
+  const getOptionProps = ({ item, index, ...props }) => {
+    const disabled = isItemDisabled(item);
+    return mergeProps(
+      {
+        id: ids.option(index),
+        role: "option",
+        "aria-selected": isSelected(item),
+        "aria-disabled": disabled || undefined,
+        "data-highlighted": index === highlightedIndex || undefined,
+        onMouseMove: () => {
+          if (index !== highlightedIndex && !disabled)
+            setHighlightedIndex(index);
+        },
+        onClick: () => selectItem(item),
+      },
+      props
+    );
+  };
+
+  const getToggleButtonProps = (props = {}) =>
+    mergeProps(
+      {
+        type: "button",
+        tabIndex: -1,
+        "aria-label": isOpen ? "Close options" : "Show options",
+        "aria-controls": ids.listbox,
+        "aria-expanded": isOpen,
+        onMouseDown: (event) => event.preventDefault(),
+        onClick: () => {
+          document.getElementById(ids.input)?.focus();
+          if (isOpen) close();
+          else {
+            setQuery("");
+            open();
+          }
+        },
+      },
+      props
+    );
+
+  const getTagRemoveProps = ({ item, ...props }) =>
+    mergeProps(
+      {
+        type: "button",
+        tabIndex: -1,
+        "aria-label": `Remove ${itemToString(item)}`,
+        onMouseDown: (event) => event.preventDefault(),
+        onClick: () => removeItem(item),
+      },
+      props
+    );
+
+  return {
+    isOpen,
+    open,
+    close,
+    items,
+    highlightedIndex,
+    setHighlightedIndex: highlight,
+    inputValue,
+    setInputValue,
+    selectedItem,
+    selectedItems,
+    selectItem,
+    removeItem,
+    clear,
+    isSelected,
+    itemToString,
+    itemToKey,
+    status: loadOptions ? remote.status : "success",
+    // Also true while the debounce is pending, so "No results" doesn't flash
+    isLoading:
+      Boolean(loadOptions) &&
+      isOpen &&
+      (remote.status === "loading" || query !== debouncedQuery),
+    error: remote.error,
+    getLabelProps,
+    getInputProps,
+    getListboxProps,
+    getOptionProps,
+    getToggleButtonProps,
+    getTagRemoveProps,
+  };
+}
+
+// Example usage:
+// const { getInputProps, getListboxProps, getOptionProps, items, isOpen } = useCombobox({ items: countries });
+// <input {...getInputProps({ placeholder: 'Country' })} />
+// <ul {...getListboxProps()}>{isOpen && items.map((c, i) => <li key={c} {...getOptionProps({ item: c, index: i })}>{c}</li>)}</ul>
+export default useCombobox;
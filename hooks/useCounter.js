@@ -0,0 +1,46 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+
+/**
+ * useCounter - Numeric state with bounded increment/decrement
+ *
+ * Usage:
+ * const [quantity, { increment, decrement, reset }] = useCounter(1, { min: 1, max: 10 });
+ * <button onClick={() => decrement()}>-</button> {quantity} <button onClick={() => increment()}>+</button>
+ *
+ * @param {number} initialValue - Starting count (default: 0)
+ * @param {object} options
+ * @param {number} [options.min] - Lower bound (inclusive)
+ * @param {number} [options.max] - Upper bound (inclusive)
+ * @param {number} [options.step] - Default amount for increment/decrement (default: 1)
+ * @returns {[number, { increment: Function, decrement: Function, set: Function, reset: Function }]}
+ */
+export function useCounter(initialValue = 0, options = {}) {
+  const { min = -Infinity, max = Infinity, step = 1 } = options;
+
+  const clamp = (n) => Math.min(Math.max(n, min), max);
+  const [count, setCount] = useState(() => clamp(initialValue));
+
+  // Latest bounds for the stable actions below
+  const configRef = useRef({ clamp, step, initialValue });
+  useEffect(() => {
+    configRef.current = { clamp, step, initialValue };
+  });
+
+  const actions = useMemo(() => {
+    const update = (fn) =>
+      setCount((current) => configRef.current.clamp(fn(current)));
+    return {
+      increment: (by = configRef.current.step) => update((c) => c + by),
+      decrement: (by = configRef.current.step) => update((c) => c - by),
+      set: (next) =>
+        update((c) => (typeof next === "function" ? next(c) : next)),
+      reset: () => update(() => configRef.current.initialValue),
+    };
+  }, []);
+
+  return [count, actions];
+}
+
+// Example usage:
+// const [page, { increment: nextPage, decrement: prevPage }] = useCounter(1, { min: 1, max: totalPages });
+export default useCounter;
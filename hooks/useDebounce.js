@@ -1,28 +1,31 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useDebouncedCallback } from "./useDebouncedCallback";
 
 /**
  * useDebounce - Debounces a value over a given delay
  *
  * Usage:
  * const debouncedSearch = useDebounce(searchTerm, 500);
+ * const position = useDebounce(pointer, 100, { maxWait: 250 });
  *
  * @param {any} value - The value to debounce
  * @param {number} delay - Delay in milliseconds
+ * @param {object} options - `leading`, `trailing`, `maxWait` (see utils/debounce)
  * @returns {any} - Debounced value
  */
-export function useDebounce(value, delay = 300) {
+export function useDebounce(value, delay = 300, options = {}) {
   const [debouncedValue, setDebouncedValue] = useState(value);
+  const update = useDebouncedCallback(setDebouncedValue, delay, options);
+  const mountedRef = useRef(false);
 
   useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedValue(value);
-    }, delay);
-
-    // Cleanup timeout if value or delay changes or on unmount
-    return () => {
-      clearTimeout(handler);
-    };
-  }, [value, delay]);
+    // The initial value is already in state; don't spend the leading edge on it
+    if (!mountedRef.current) {
+      mountedRef.current = true;
+      return;
+    }
+    update(value);
+  }, [value, update]);
 
   return debouncedValue;
 }
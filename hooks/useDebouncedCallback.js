@@ -0,0 +1,44 @@
+import { useEffect, useMemo, useRef } from "react";
+import { debounce } from "../utils/debounce";
+
+/**
+ * useDebouncedCallback - Stable debounced function that always calls the
+ * latest `callback` and cancels itself on unmount
+ *
+ * Usage:
+ * const search = useDebouncedCallback((q) => fetchResults(q), 300);
+ * <input onChange={(e) => search(e.target.value)} onBlur={search.flush} />
+ *
+ * @param {Function} callback - Function to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @param {object} options - `leading`, `trailing`, `maxWait` (see utils/debounce)
+ * @returns {Function} - Debounced function with cancel(), flush() and pending()
+ */
+export function useDebouncedCallback(callback, delay = 300, options = {}) {
+  const { leading, trailing, maxWait } = options;
+
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  const debounced = useMemo(
+    () =>
+      debounce((...args) => callbackRef.current(...args), delay, {
+        leading,
+        trailing,
+        maxWait,
+      }),
+    [delay, leading, trailing, maxWait]
+  );
+
+  // Drop pending calls when the options change and on unmount
+  useEffect(() => () => debounced.cancel(), [debounced]);
+
+  return debounced;
+}
+
+// Example usage:
+// const saveDraft = useDebouncedCallback((text) => api.save(text), 1000, { maxWait: 5000 });
+// <textarea onChange={(e) => saveDraft(e.target.value)} />
+export default useDebouncedCallback;
@@ -0,0 +1,49 @@
+import { useState, useCallback } from "react";
+import { useResizeObserver } from "./useResizeObserver";
+
+/**
+ * useElementSize - Width and height of an element, kept up to date
+ *
+ * For container-responsive layouts: re-renders only when the rounded size
+ * actually changes.
+ *
+ * Usage:
+ * const { ref, width } = useElementSize();
+ * <div ref={ref}>{width < 400 ? <CompactCard /> : <WideCard />}</div>
+ *
+ * @param {object} options
+ * @param {'content-box'|'border-box'} [options.box] - default 'content-box'
+ * @returns {{ ref: Function, width: number, height: number }}
+ */
+export function useElementSize(options = {}) {
+  const { box = "content-box" } = options;
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  const onResize = useCallback(
+    (entry) => {
+      const boxSize =
+        box === "border-box" ? entry.borderBoxSize : entry.contentBoxSize;
+      // Older Safari only has contentRect
+      const measured = boxSize?.[0] ?? boxSize;
+      const width = Math.round(measured?.inlineSize ?? entry.contentRect.width);
+      const height = Math.round(
+        measured?.blockSize ?? entry.contentRect.height
+      );
+      setSize((current) =>
+        current.width === width && current.height === height
+          ? current
+          : { width, height }
+      );
+    },
+    [box]
+  );
+
+  const { ref } = useResizeObserver({ box, onResize });
+
+  return { ref, ...size };
+}
+
+// Example usage:
+// const { ref, width, height } = useElementSize({ box: 'border-box' });
+// <canvas ref={ref} width={width} height={height} />
+export default useElementSize;
@@ -1,60 +1,136 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
+import { queryCache, hashKey } from "../utils/queryCache";
+import { request, buildUrl } from "../utils/http";
+import { useEventListener } from "./useEventListener";
 
 /**
- * useFetch - Data fetching hook with abort and retry support
+ * useFetch - Cached data fetching hook with deduplication and revalidation
+ *
+ * Requests are stored in the shared `queryCache`, keyed by URL and params.
+ * Components asking for the same key share one request and one result;
+ * stale data keeps rendering while a fresh copy is fetched in the
+ * background.
+ *
+ * Failed responses reject with an `HttpError` carrying the status, headers
+ * and parsed body. Retries use exponential backoff with jitter and honour
+ * `Retry-After`.
  *
  * Usage:
  * const { data, error, loading, refetch } = useFetch('https://api.example.com/data');
+ * const { data } = useFetch('/api/users', { params: { page: 2 }, staleTime: 30000 });
+ * const { data } = useFetch('/api/report', { retry: 3, timeout: 5000 });
  *
  * @param {string} url - The API endpoint
- * @param {object} options - Fetch options (headers, method, body, etc.)
+ * @param {object} options - Fetch options (headers, method, body, etc.) plus:
+ * @param {object} [options.params] - Query params, appended to the URL and part of the cache key
+ * @param {Array} [options.key] - Custom cache key (default: [url, params])
+ * @param {number} [options.staleTime] - ms before cached data is refetched (default: 0)
+ * @param {number} [options.cacheTime] - ms to keep unused data (default: 5 minutes)
+ * @param {boolean} [options.refetchOnWindowFocus] - Revalidate when the window regains focus (default: true)
+ * @param {boolean} [options.refetchOnReconnect] - Revalidate when the browser comes back online (default: true)
+ * @param {number|Function} [options.retry] - Retries for network errors, timeouts, 429 and 5xx (default: 0)
+ * @param {number|Function} [options.retryDelay] - Base backoff delay in ms (default: 500)
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {string|Function} [options.parseAs] - 'auto' | 'json' | 'text' | 'blob' | 'arrayBuffer' (default: 'auto')
  * @param {boolean} immediate - If true, fetches immediately (default: true)
  */
 export function useFetch(url, options = {}, immediate = true) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(immediate);
-  const controllerRef = useRef(null);
-
-  const fetchData = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-
-    controllerRef.current = new AbortController();
-    const signal = controllerRef.current.signal;
-
-    try {
-      const response = await fetch(url, { ...options, signal });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      setData(result);
-    } catch (err) {
-      if (err.name !== "AbortError") {
-        setError(err);
-      }
-    } finally {
-      setLoading(false);
-    }
-  }, [url, options]);
+  const {
+    params,
+    key,
+    staleTime,
+    cacheTime,
+    refetchOnWindowFocus = true,
+    refetchOnReconnect = true,
+    ...init
+  } = options;
+
+  const hash = hashKey(key ?? [url, params ?? null]);
+  // Read back from the hash: equal keys give the same array, so an inline
+  // key doesn't resubscribe on every render
+  const queryKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  // Keep the latest request config in a ref so an inline options object
+  // doesn't trigger a new request on every render
+  const config = { queryKey, url, params, init, staleTime, cacheTime };
+  const configRef = useRef(config);
+  // Declared before the effects below, so they see this render's config
+  useEffect(() => {
+    configRef.current = config;
+  });
+
+  const fetcher = useCallback(({ signal }) => {
+    const { url, params, init } = configRef.current;
+    return request(buildUrl(url, params), { ...init, signal });
+  }, []);
+
+  const subscribe = useCallback(
+    (onChange) => queryCache.subscribe(queryKey, onChange),
+    [queryKey]
+  );
+  const getSnapshot = () => queryCache.getState(queryKey);
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  const run = useCallback(
+    (force) => {
+      const { queryKey, staleTime, cacheTime } = configRef.current;
+      return queryCache
+        .fetch(queryKey, fetcher, { staleTime, cacheTime, force })
+        .catch(() => undefined); // surfaced through `error`
+    },
+    [fetcher]
+  );
+
+  const refetch = useCallback(() => run(true), [run]);
 
   useEffect(() => {
-    if (immediate) fetchData();
+    if (immediate) run(false);
+  }, [hash, immediate, run]);
 
-    return () => {
-      controllerRef.current?.abort(); // Cancel ongoing request on unmount
-    };
-  }, [fetchData, immediate]);
+  const revalidate = () => {
+    if (immediate && queryCache.isStale(queryKey, staleTime)) run(false);
+  };
 
-  return { data, error, loading, refetch: fetchData };
+  useEventListener(
+    "focus",
+    refetchOnWindowFocus ? revalidate : noop,
+    typeof window !== "undefined" ? window : null
+  );
+  useEventListener(
+    "online",
+    refetchOnReconnect ? revalidate : noop,
+    typeof window !== "undefined" ? window : null
+  );
+
+  return {
+    data: state.data ?? null,
+    error: state.error,
+    loading:
+      state.status === "loading" || (immediate && state.status === "idle"),
+    isFetching: state.isFetching,
+    isStale: queryCache.isStale(queryKey, staleTime),
+    refetch,
+  };
 }
 
+function noop() {}
+
+export { invalidate, optimisticUpdate, queryCache } from "../utils/queryCache";
+export { HttpError, ParseError, TimeoutError } from "../utils/http";
+
 // Example usage:
 // const { data, error, loading, refetch } = useFetch('https://api.example.com/users');
 // if (loading) return <p>Loading...</p>;
+// if (error?.status === 404) return <p>Not found</p>;
 // if (error) return <p>Error: {error.message}</p>;
 // return <pre>{JSON.stringify(data, null, 2)}</pre>;
-export default useFetch;
\ No newline at end of file
+//
+// After a write, mark every cached /users request as stale:
+// invalidate('https://api.example.com/users');
+export default useFetch;
@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { queryCache, useFetch } from "./useFetch";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useFetch", () => {
+  let container;
+  let root;
+  let result;
+  let version;
+
+  beforeEach(() => {
+    version = 0;
+    vi.stubGlobal("fetch", async () => Response.json({ version: ++version }));
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    queryCache.clear();
+    vi.unstubAllGlobals();
+  });
+
+  function User() {
+    result = useFetch("/api/user");
+    return null;
+  }
+
+  const settle = () => act(() => new Promise((resolve) => setTimeout(resolve)));
+
+  it("keeps updating a mounted component after its entry is removed", async () => {
+    act(() => root.render(<User />));
+    await settle();
+    expect(result.data).toEqual({ version: 1 });
+
+    act(() => queryCache.remove("/api/user"));
+    expect(result.data).toBe(null);
+
+    await act(() => result.refetch());
+    expect(result.data).toEqual({ version: 2 });
+  });
+
+  it("keeps updating a mounted component after the cache is cleared", async () => {
+    act(() => root.render(<User />));
+    await settle();
+
+    act(() => queryCache.clear());
+    await act(() =>
+      queryCache.fetch(["/api/user", null], async () => ({ version: 10 }))
+    );
+    expect(result.data).toEqual({ version: 10 });
+  });
+});
@@ -0,0 +1,110 @@
+import { useState, useLayoutEffect, useMemo } from "react";
+import { computePosition, autoUpdate } from "../utils/computePosition";
+
+/**
+ * useFloating - Keep a floating element positioned next to its anchor
+ *
+ * Wraps computePosition + autoUpdate: while `open`, the position is
+ * recalculated on scroll, resize and size changes of either element.
+ *
+ * Usage:
+ * const { refs, floatingStyles, side } = useFloating({ open, placement: 'top' });
+ * <button ref={refs.setReference}>Anchor</button>
+ * {open && createPortal(<div ref={refs.setFloating} style={floatingStyles}>Hi</div>, document.body)}
+ *
+ * @param {object} options - computePosition options plus:
+ * @param {boolean} [options.open] - Only track position while open (default: true)
+ * @returns {{ refs, reference, floating, x, y, side, placement, isPositioned, floatingStyles, arrowStyles }}
+ */
+export function useFloating({
+  open = true,
+  placement = "bottom",
+  offset = 8,
+  flip = true,
+  shift = true,
+  padding = 8,
+} = {}) {
+  const [reference, setReference] = useState(null);
+  const [floating, setFloating] = useState(null);
+  const [arrow, setArrow] = useState(null);
+  const [position, setPosition] = useState(INITIAL_POSITION);
+
+  useLayoutEffect(() => {
+    if (!open || !reference || !floating) {
+      setPosition(INITIAL_POSITION);
+      return;
+    }
+
+    return autoUpdate(reference, floating, () => {
+      setPosition({
+        ...computePosition(reference, floating, {
+          placement,
+          offset,
+          flip,
+          shift,
+          padding,
+          arrow,
+        }),
+        isPositioned: true,
+      });
+    });
+  }, [
+    open,
+    reference,
+    floating,
+    arrow,
+    placement,
+    offset,
+    flip,
+    shift,
+    padding,
+  ]);
+
+  const refs = useMemo(() => ({ setReference, setFloating, setArrow }), []);
+
+  return {
+    refs,
+    reference,
+    floating,
+    ...position,
+    floatingStyles: {
+      position: "fixed",
+      left: position.x,
+      top: position.y,
+      // Avoid a flash at 0,0 before the first measurement
+      visibility: position.isPositioned ? undefined : "hidden",
+    },
+    arrowStyles: {
+      position: "absolute",
+      left: position.arrow?.x,
+      top: position.arrow?.y,
+      [ARROW_SIDE[position.side]]: arrow
+        ? -Math.round(arrow.offsetWidth / 2)
+        : undefined,
+    },
+  };
+}
+
+const INITIAL_POSITION = {
+  x: 0,
+  y: 0,
+  side: "bottom",
+  placement: "bottom",
+  arrow: null,
+  isPositioned: false,
+};
+
+// The arrow sits on the edge facing the reference
+const ARROW_SIDE = {
+  top: "bottom",
+  bottom: "top",
+  left: "right",
+  right: "left",
+};
+
+// Example usage:
+// const { refs, floatingStyles, arrowStyles } = useFloating({ open, placement: 'right' });
+// <div ref={refs.setFloating} style={floatingStyles}>
+//   Menu <span ref={refs.setArrow} style={arrowStyles} className="w-2 h-2 rotate-45 bg-white" />
+// </div>
+export default useFloating;
@@ -0,0 +1,619 @@
+import { useReducer, useRef, useEffect, useCallback, useMemo } from "react";
+import { debounce } from "../utils/debounce";
+import {
+  getIn,
+  setIn,
+  toKey,
+  flattenErrors,
+  toSchemaAdapter,
+} from "../utils/form";
+
+const EMPTY = {};
+
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date)
+    return a.getTime() === b.getTime();
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => isEqual(a[key], b[key]));
+}
+
+// Event or raw value -> field value
+function readValue(eventOrValue) {
+  const target = eventOrValue?.target;
+  if (!target || typeof eventOrValue.preventDefault !== "function") {
+    return eventOrValue;
+  }
+  switch (target.type) {
+    case "checkbox":
+      return target.checked;
+    case "number":
+    case "range":
+      return target.value === "" ? "" : target.valueAsNumber;
+    case "file":
+      return target.files;
+    default:
+      if (target.multiple && target.selectedOptions) {
+        return Array.from(target.selectedOptions, (option) => option.value);
+      }
+      return target.value;
+  }
+}
+
+// Re-key flat `arrayKey.<index>...` entries after a field array operation;
+// `mapIndex` returns the new index, or -1 to drop the entry
+function remapIndices(map, arrayKey, mapIndex) {
+  const prefix = `${arrayKey}.`;
+  const next = {};
+  Object.entries(map).forEach(([key, value]) => {
+    if (!key.startsWith(prefix)) {
+      next[key] = value;
+      return;
+    }
+    const [index, ...rest] = key.slice(prefix.length).split(".");
+    const target = mapIndex(Number(index));
+    if (target >= 0) next[[arrayKey, target, ...rest].join(".")] = value;
+  });
+  return next;
+}
+
+const createState = (values) => ({
+  values,
+  errors: EMPTY,
+  touched: EMPTY,
+  validating: EMPTY,
+  isSubmitting: false,
+  isSubmitSuccessful: false,
+  submitCount: 0,
+  submitError: null,
+});
+
+function reducer(state, action) {
+  switch (action.type) {
+    case "values":
+      return { ...state, values: action.values };
+    case "errors": {
+      const errors = action.replace
+        ? { ...action.errors }
+        : { ...state.errors, ...action.errors };
+      Object.keys(errors).forEach((key) => {
+        if (!errors[key]) delete errors[key];
+      });
+      return isEqual(errors, state.errors) ? state : { ...state, errors };
+    }
+    case "touched":
+      return { ...state, touched: { ...state.touched, ...action.touched } };
+    case "validating": {
+      if (Boolean(state.validating[action.key]) === action.value) return state;
+      const validating = { ...state.validating };
+      if (action.value) validating[action.key] = true;
+      else delete validating[action.key];
+      return { ...state, validating };
+    }
+    case "remap":
+      return {
+        ...state,
+        values: action.values,
+        errors: remapIndices(state.errors, action.key, action.mapIndex),
+        touched: remapIndices(state.touched, action.key, action.mapIndex),
+      };
+    case "submitStart":
+      return {
+        ...state,
+        isSubmitting: true,
+        isSubmitSuccessful: false,
+        submitCount: state.submitCount + 1,
+        submitError: null,
+      };
+    case "submitEnd":
+      return {
+        ...state,
+        isSubmitting: false,
+        isSubmitSuccessful: action.success,
+        submitError: action.error ?? null,
+      };
+    case "reset":
+      return createState(action.values);
+    default:
+      return state;
+  }
+}
+
+let nextFieldId = 0;
+
+/**
+ * useForm - Form values, validation, touched/dirty tracking and submit
+ *
+ * Field names are paths (`email`, `address.city`, `items.0.title`).
+ * `errors` and `touched` are flat maps keyed by those paths.
+ *
+ * Validation sources, all optional and combined (first message wins):
+ * - per field: `register(name, { validate, validateAsync })`. Async
+ *   validators are debounced and only run once the sync ones pass
+ * - form level: `validate(values)` returning `{ [path]: message }`
+ *   (nested objects are fine), sync or async
+ * - `schema`: a zod/yup/Standard Schema object or any adapter function
+ *   (see utils/form)
+ *
+ * With the default `mode: 'blur'`, a field is validated when it loses focus
+ * and then on every change; after a submit attempt, every change
+ * revalidates.
+ *
+ * Usage:
+ * const { register, handleSubmit, errors, touched, isSubmitting } = useForm({
+ *   initialValues: { email: '', password: '' },
+ *   schema: signupSchema,
+ * });
+ *
+ * <form onSubmit={handleSubmit((values) => request('/api/signup', { method: 'POST', body: JSON.stringify(values) }))}>
+ *   <input type="email" {...register('email', { validateAsync: checkEmailFree })} />
+ *   {touched.email && errors.email && <p role="alert">{errors.email}</p>}
+ *   <button disabled={isSubmitting}>Sign up</button>
+ * </form>
+ *
+ * @param {object} options
+ * @param {object} [options.initialValues] - Read on mount; use reset() to change
+ * @param {Function} [options.validate] - (values) => errors | Promise<errors>
+ * @param {object|Function} [options.schema] - Schema or adapter (values) => errors
+ * @param {'change'|'blur'|'submit'} [options.mode] - When fields first validate (default: 'blur')
+ * @param {number} [options.asyncDebounce] - Delay for validateAsync in ms (default: 300)
+ * @returns {object} Form state and helpers (see README)
+ */
+export function useForm(options = {}) {
+  const { initialValues = EMPTY } = options;
+
+  const [state, dispatch] = useReducer(reducer, initialValues, createState);
+
+  // Latest options and state for the stable handlers below
+  const optionsRef = useRef(options);
+  const stateRef = useRef(state);
+  useEffect(() => {
+    optionsRef.current = options;
+    stateRef.current = state;
+  });
+
+  // Values are read by handlers before React re-renders, so keep the
+  // latest copy outside of state as well
+  const valuesRef = useRef(state.values);
+  const initialRef = useRef(initialValues);
+  const rulesRef = useRef(new Map()); // key -> { validate, validateAsync, ... }
+  const elementsRef = useRef(new Map()); // key -> element | null
+  const refCallbacksRef = useRef(new Map());
+  const versionsRef = useRef({}); // key -> validation run, to drop stale results
+  const asyncRef = useRef(new Map()); // key -> debounced validateAsync
+  const arrayIdsRef = useRef(new Map()); // field array key -> item ids
+
+  const adapter = useMemo(
+    () => toSchemaAdapter(options.schema),
+    [options.schema]
+  );
+
+  useEffect(() => {
+    const pending = asyncRef.current;
+    return () => pending.forEach((run) => run.cancel());
+  }, []);
+
+  // Fields that mounted an element and then unmounted (conditional inputs,
+  // removed array rows) no longer validate
+  const isActive = useCallback(
+    (key) =>
+      !elementsRef.current.has(key) || elementsRef.current.get(key) !== null,
+    []
+  );
+
+  // Sync field validators + form validate + schema
+  const collectErrors = useCallback(
+    async (values) => {
+      const errors = {};
+      rulesRef.current.forEach((rules, key) => {
+        if (!isActive(key) || !rules.validate) return;
+        const message = rules.validate(getIn(values, key), values);
+        if (message) errors[key] = message;
+      });
+
+      const [formErrors, schemaErrors] = await Promise.all([
+        optionsRef.current.validate?.(values),
+        adapter?.(values),
+      ]);
+      [formErrors, schemaErrors].forEach((result) => {
+        Object.entries(flattenErrors(result)).forEach(([key, message]) => {
+          if (!(key in errors)) errors[key] = message;
+        });
+      });
+      return errors;
+    },
+    [adapter, isActive]
+  );
+
+  const runAsync = useCallback(async (key, version) => {
+    const rules = rulesRef.current.get(key);
+    const values = valuesRef.current;
+    let message;
+    try {
+      message = await rules?.validateAsync?.(getIn(values, key), values);
+    } catch (err) {
+      console.error(`[useForm][validateAsync] Error validating "${key}":`, err);
+    }
+    if (versionsRef.current[key] !== version) return undefined;
+    dispatch({ type: "validating", key, value: false });
+    return message || null;
+  }, []);
+
+  const getAsyncValidator = useCallback(
+    (key) => {
+      if (!asyncRef.current.has(key)) {
+        const delay =
+          rulesRef.current.get(key)?.asyncDebounce ??
+          optionsRef.current.asyncDebounce ??
+          300;
+        const run = debounce(async (version) => {
+          const message = await runAsync(key, version);
+          if (message !== undefined) {
+            dispatch({ type: "errors", errors: { [key]: message } });
+          }
+        }, delay);
+        asyncRef.current.set(key, run);
+      }
+      return asyncRef.current.get(key);
+    },
+    [runAsync]
+  );
+
+  const validateField = useCallback(
+    async (name) => {
+      const key = toKey(name);
+      const version = (versionsRef.current[key] ?? 0) + 1;
+      versionsRef.current[key] = version;
+
+      const errors = await collectErrors(valuesRef.current);
+      if (versionsRef.current[key] !== version) return errors[key];
+
+      // Refresh this field plus any error already on screen, so fixing one
+      // field clears dependent errors (e.g. "passwords don't match")
+      const { touched, errors: current } = stateRef.current;
+      const keys = new Set([
+        key,
+        ...Object.keys(current),
+        ...Object.keys(touched),
+      ]);
+      const update = {};
+      keys.forEach((k) => {
+        update[k] = errors[k] ?? null;
+      });
+
+      const rules = rulesRef.current.get(key);
+      if (!errors[key] && rules?.validateAsync) {
+        // Keep the previous async message until the new result arrives
+        update[key] = current[key] ?? null;
+        dispatch({ type: "validating", key, value: true });
+        getAsyncValidator(key)(version);
+      } else {
+        asyncRef.current.get(key)?.cancel();
+        dispatch({ type: "validating", key, value: false });
+      }
+
+      dispatch({ type: "errors", errors: update });
+      return errors[key];
+    },
+    [collectErrors, getAsyncValidator]
+  );
+
+  /**
+   * Validate everything now (async validators undebounced).
+   * @returns {Promise<object>} errors
+   */
+  const validate = useCallback(async () => {
+    const values = valuesRef.current;
+    // Anything still pending is superseded by this run
+    const versions = {};
+    rulesRef.current.forEach((_, key) => {
+      versions[key] = (versionsRef.current[key] ?? 0) + 1;
+      versionsRef.current[key] = versions[key];
+      asyncRef.current.get(key)?.cancel();
+    });
+
+    const errors = await collectErrors(values);
+    await Promise.all(
+      [...rulesRef.current].map(async ([key, rules]) => {
+        if (errors[key] || !rules.validateAsync || !isActive(key)) return;
+        dispatch({ type: "validating", key, value: true });
+        const message = await runAsync(key, versions[key]);
+        if (message) errors[key] = message;
+      })
+    );
+
+    dispatch({ type: "errors", errors, replace: true });
+    return errors;
+  }, [collectErrors, runAsync, isActive]);
+
+  const shouldValidate = useCallback((key, event) => {
+    const { touched, submitCount } = stateRef.current;
+    const mode = optionsRef.current.mode ?? "blur";
+    if (submitCount > 0) return true;
+    if (event === "blur") return mode !== "submit";
+    return mode === "change" || (mode === "blur" && touched[key]);
+  }, []);
+
+  // Validation started by typing or blurring has no caller to report to
+  const validateInBackground = useCallback(
+    (key) => {
+      validateField(key).catch((err) => {
+        console.error(
+          `[useForm][validateField] Error validating "${key}":`,
+          err
+        );
+      });
+    },
+    [validateField]
+  );
+
+  const setValue = useCallback(
+    (name, value, { shouldValidate: force, shouldTouch = false } = {}) => {
+      const key = toKey(name);
+      const previous = getIn(valuesRef.current, key);
+      const next = typeof value === "function" ? value(previous) : value;
+      valuesRef.current = setIn(valuesRef.current, key, next);
+      dispatch({ type: "values", values: valuesRef.current });
+      if (shouldTouch) dispatch({ type: "touched", touched: { [key]: true } });
+      if (force ?? shouldValidate(key, "change")) validateInBackground(key);
+    },
+    [shouldValidate, validateInBackground]
+  );
+
+  const setTouched = useCallback(
+    (name, value = true) => {
+      const key = toKey(name);
+      dispatch({ type: "touched", touched: { [key]: value } });
+      if (value && shouldValidate(key, "blur")) validateInBackground(key);
+    },
+    [shouldValidate, validateInBackground]
+  );
+
+  /** Set (or with a falsy message, clear) an error, e.g. from the server */
+  const setError = useCallback((name, message) => {
+    dispatch({ type: "errors", errors: { [toKey(name)]: message || null } });
+  }, []);
+
+  const clearErrors = useCallback((names) => {
+    if (names === undefined) {
+      dispatch({ type: "errors", errors: {}, replace: true });
+      return;
+    }
+    const errors = {};
+    [].concat(names).forEach((name) => {
+      errors[toKey(name)] = null;
+    });
+    dispatch({ type: "errors", errors });
+  }, []);
+
+  const reset = useCallback((values = initialRef.current) => {
+    initialRef.current = values;
+    valuesRef.current = values;
+    asyncRef.current.forEach((run) => run.cancel());
+    Object.keys(versionsRef.current).forEach((key) => {
+      versionsRef.current[key] += 1;
+    });
+    arrayIdsRef.current.clear();
+    dispatch({ type: "reset", values });
+  }, []);
+
+  const getRef = (key) => {
+    if (!refCallbacksRef.current.has(key)) {
+      refCallbacksRef.current.set(key, (element) => {
+        elementsRef.current.set(key, element);
+      });
+    }
+    return refCallbacksRef.current.get(key);
+  };
+
+  /**
+   * Connect an input: returns `name`, `value` (or `checked`), `onChange`,
+   * `onBlur` and `ref`. `onChange` accepts an event or a raw value, so it
+   * also works for custom components.
+   *
+   * @param {string} name - Field path
+   * @param {object} [rules]
+   * @param {Function} [rules.validate] - (value, values) => message | undefined
+   * @param {Function} [rules.validateAsync] - (value, values) => Promise<message | undefined>
+   * @param {number} [rules.asyncDebounce] - Override the form's delay for this field
+   * @param {'checkbox'|'radio'} [rules.type] - Return `checked` instead of `value`
+   * @param {string} [rules.value] - A radio button's own value
+   */
+  const register = (name, rules = {}) => {
+    const key = toKey(name);
+    rulesRef.current.set(key, rules);
+    const value = getIn(state.values, key);
+    const error = state.errors[key];
+
+    let binding;
+    if (rules.type === "checkbox") binding = { checked: Boolean(value) };
+    else if (rules.type === "radio") {
+      binding = { value: rules.value, checked: value === rules.value };
+    } else binding = { value: value ?? "" };
+
+    return {
+      name,
+      ...binding,
+      onChange: (event) =>
+        setValue(key, rules.type === "radio" ? rules.value : readValue(event)),
+      onBlur: () => setTouched(key),
+      ref: getRef(key),
+      "aria-invalid":
+        error && (state.touched[key] || state.submitCount > 0)
+          ? true
+          : undefined,
+    };
+  };
+
+  /**
+   * handleSubmit - Build an onSubmit handler
+   *
+   * Touches every field, runs all validation (async validators without the
+   * debounce), then calls `onValid(values)` or `onInvalid(errors)` and
+   * focuses the first invalid field. A second submit while one is running
+   * is ignored. Errors thrown by validation, `onValid` or `onInvalid` end
+   * up in `submitError`.
+   */
+  const handleSubmit = (onValid, onInvalid) => async (event) => {
+    event?.preventDefault?.();
+    if (stateRef.current.isSubmitting) return;
+    stateRef.current = { ...stateRef.current, isSubmitting: true };
+    dispatch({ type: "submitStart" });
+
+    const touched = {};
+    rulesRef.current.forEach((_, key) => {
+      touched[key] = true;
+    });
+    dispatch({ type: "touched", touched });
+
+    try {
+      const errors = await validate();
+      const invalidKeys = Object.keys(errors);
+      if (invalidKeys.length > 0) {
+        const first = [...rulesRef.current.keys()].find((key) =>
+          invalidKeys.includes(key)
+        );
+        elementsRef.current.get(first)?.focus?.();
+        await onInvalid?.(errors);
+        dispatch({ type: "submitEnd", success: false });
+        return;
+      }
+
+      await onValid(valuesRef.current);
+      dispatch({ type: "submitEnd", success: true });
+    } catch (error) {
+      dispatch({ type: "submitEnd", success: false, error });
+    }
+  };
+
+  /**
+   * Helpers for a list of values at `name`. `fields[i].key` is stable
+   * across reorders: use it as the React key.
+   */
+  const fieldArray = (name) => {
+    const key = toKey(name);
+    const items = getIn(state.values, key) ?? [];
+    let ids = arrayIdsRef.current.get(key);
+    if (!ids || ids.length !== items.length) {
+      ids = items.map((_, index) => ids?.[index] ?? `field-${++nextFieldId}`);
+      arrayIdsRef.current.set(key, ids);
+    }
+
+    // Reorder by a list of previous indexes (null = new item); errors,
+    // touched state and React keys move with their items
+    const reorder = (order, newItems = []) => {
+      const current = getIn(valuesRef.current, key) ?? [];
+      const currentIds = arrayIdsRef.current.get(key) ?? [];
+      let added = 0;
+      const nextItems = order.map((index) =>
+        index === null ? newItems[added++] : current[index]
+      );
+      arrayIdsRef.current.set(
+        key,
+        order.map((index) =>
+          index === null || !currentIds[index]
+            ? `field-${++nextFieldId}`
+            : currentIds[index]
+        )
+      );
+      valuesRef.current = setIn(valuesRef.current, key, nextItems);
+      dispatch({
+        type: "remap",
+        key,
+        values: valuesRef.current,
+        mapIndex: (index) => order.indexOf(index),
+      });
+    };
+
+    const indexes = () =>
+      (getIn(valuesRef.current, key) ?? []).map((_, index) => index);
+
+    return {
+      fields: items.map((item, index) => ({
+        key: ids[index],
+        index,
+        name: `${key}.${index}`,
+        value: item,
+      })),
+      append: (item) => reorder([...indexes(), null], [item]),
+      prepend: (item) => reorder([null, ...indexes()], [item]),
+      insert: (at, item) => {
+        const order = indexes();
+        order.splice(at, 0, null);
+        reorder(order, [item]);
+      },
+      remove: (at) => reorder(indexes().filter((index) => index !== at)),
+      move: (from, to) => {
+        const order = indexes();
+        order.splice(to, 0, ...order.splice(from, 1));
+        reorder(order);
+      },
+      swap: (a, b) => {
+        const order = indexes();
+        [order[a], order[b]] = [order[b], order[a]];
+        reorder(order);
+      },
+      replace: (nextItems) =>
+        reorder(
+          nextItems.map(() => null),
+          nextItems
+        ),
+    };
+  };
+
+  const dirtyFields = useMemo(() => {
+    const dirty = {};
+    rulesRef.current.forEach((_, key) => {
+      if (!isEqual(getIn(state.values, key), getIn(initialRef.current, key))) {
+        dirty[key] = true;
+      }
+    });
+    return dirty;
+  }, [state.values]);
+
+  const getFieldState = (name) => {
+    const key = toKey(name);
+    return {
+      value: getIn(state.values, key),
+      error: state.errors[key],
+      isTouched: Boolean(state.touched[key]),
+      isDirty: Boolean(dirtyFields[key]),
+      isValidating: Boolean(state.validating[key]),
+    };
+  };
+
+  return {
+    values: state.values,
+    errors: state.errors,
+    touched: state.touched,
+    dirtyFields,
+    isDirty: !isEqual(state.values, initialRef.current),
+    isValid: Object.keys(state.errors).length === 0,
+    isValidating: Object.keys(state.validating).length > 0,
+    isSubmitting: state.isSubmitting,
+    isSubmitSuccessful: state.isSubmitSuccessful,
+    submitCount: state.submitCount,
+    submitError: state.submitError,
+    register,
+    handleSubmit,
+    setValue,
+    setTouched,
+    setError,
+    clearErrors,
+    validate,
+    validateField,
+    reset,
+    fieldArray,
+    getFieldState,
+  };
+}
+
+// Example usage:
+// const { fieldArray, register } = useForm({ initialValues: { items: [{ title: '' }] } });
+// const items = fieldArray('items');
+// items.fields.map((f) => <input key={f.key} {...register(`${f.name}.title`, { validate: (v) => !v && 'Required' })} />);
+// <button type="button" onClick={() => items.append({ title: '' })}>Add</button>
+export default useForm;
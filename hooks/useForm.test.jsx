@@ -0,0 +1,118 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useForm } from "./useForm";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useForm", () => {
+  let container;
+  let root;
+  let form;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+  });
+
+  function render(options, fields = () => null) {
+    function Form() {
+      form = useForm(options);
+      return fields(form);
+    }
+    act(() => root.render(<Form />));
+  }
+
+  const settle = () => act(() => new Promise((resolve) => setTimeout(resolve)));
+
+  it("moves errors and touched state with field array items", async () => {
+    render({
+      initialValues: {
+        items: [{ title: "a" }, { title: "b" }, { title: "c" }],
+      },
+    });
+    act(() => form.setTouched("items.2.title"));
+    await settle();
+    act(() => form.setError("items.1.title", "Taken"));
+    const keyOfB = form.fieldArray("items").fields[1].key;
+
+    act(() => form.fieldArray("items").remove(0));
+    expect(form.values.items).toEqual([{ title: "b" }, { title: "c" }]);
+    expect(form.errors).toEqual({ "items.0.title": "Taken" });
+    expect(form.touched).toEqual({ "items.1.title": true });
+    expect(form.fieldArray("items").fields[0].key).toBe(keyOfB);
+
+    act(() => form.fieldArray("items").swap(0, 1));
+    expect(form.errors).toEqual({ "items.1.title": "Taken" });
+    expect(form.touched).toEqual({ "items.0.title": true });
+  });
+
+  it("ignores an async validation that finished after a newer one", async () => {
+    const pending = {};
+    const validateAsync = (value) =>
+      new Promise((resolve) => {
+        pending[value] = resolve;
+      });
+    render({ mode: "change", asyncDebounce: 0 }, ({ register }) => (
+      <input {...register("username", { validateAsync })} />
+    ));
+
+    const started = (value) =>
+      act(() => vi.waitFor(() => expect(pending[value]).toBeDefined()));
+    act(() => form.setValue("username", "old"));
+    await started("old");
+    act(() => form.setValue("username", "new"));
+    await started("new");
+    expect(form.isValidating).toBe(true);
+
+    await act(async () => pending.new(undefined));
+    await act(async () => pending.old("Taken"));
+    expect(form.errors).toEqual({});
+    expect(form.isValidating).toBe(false);
+  });
+
+  it("reports invalid fields instead of submitting", async () => {
+    const onValid = vi.fn();
+    const onInvalid = vi.fn();
+    render({ initialValues: { email: "" } }, ({ register }) => (
+      <input {...register("email", { validate: (v) => !v && "Required" })} />
+    ));
+
+    await act(() => form.handleSubmit(onValid, onInvalid)());
+    expect(onValid).not.toHaveBeenCalled();
+    expect(onInvalid).toHaveBeenCalledWith({ email: "Required" });
+    expect(document.activeElement).toBe(container.querySelector("input"));
+    expect(form.touched).toEqual({ email: true });
+    expect(form.submitCount).toBe(1);
+    expect(form.isSubmitting).toBe(false);
+    expect(form.isSubmitSuccessful).toBe(false);
+  });
+
+  it("keeps the error thrown by onValid in submitError", async () => {
+    const failure = new Error("Server down");
+    render({ initialValues: { email: "a@b.c" } }, ({ register }) => (
+      <input {...register("email", { validate: (v) => !v && "Required" })} />
+    ));
+
+    await act(() =>
+      form.handleSubmit(async () => {
+        throw failure;
+      })()
+    );
+    expect(form.submitError).toBe(failure);
+    expect(form.isSubmitting).toBe(false);
+    expect(form.isSubmitSuccessful).toBe(false);
+
+    // The next attempt starts clean
+    await act(() => form.handleSubmit(() => {})());
+    expect(form.submitError).toBe(null);
+    expect(form.isSubmitSuccessful).toBe(true);
+  });
+});
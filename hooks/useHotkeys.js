@@ -0,0 +1,139 @@
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useSyncExternalStore,
+} from "react";
+import { getDefaultHotkeyManager } from "../utils/hotkeys";
+
+export const HotkeysContext = createContext(null);
+
+const useManager = () =>
+  useContext(HotkeysContext) ?? getDefaultHotkeyManager();
+
+/**
+ * useHotkeys - Bind keyboard shortcuts for as long as the component is mounted
+ *
+ * Works on its own; wrap the app in <HotkeysProvider> for a separate
+ * registry per app (tests, micro-frontends) or custom initial scopes.
+ *
+ * Usage:
+ * useHotkeys('mod+k', () => setPaletteOpen(true), { description: 'Command palette' });
+ * useHotkeys('shift+?', toggleHelp);
+ * useHotkeys('g then i', () => navigate('/inbox'), { group: 'Navigation' });
+ * useHotkeys('mod+s', save, { enableOnFormTags: true });
+ * useHotkeys('esc', close, { scopes: 'modal' });
+ *
+ * @param {string} keys - Comma-separated shortcuts (see utils/hotkeys)
+ * @param {Function} handler - (event, { keys }) => void; the latest one is always called
+ * @param {object} options - `scopes`, `enabled`, `enableOnFormTags`,
+ *   `enableOnContentEditable`, `preventDefault`, `repeat`, `description`, `group`
+ */
+export function useHotkeys(keys, handler, options = {}) {
+  const manager = useManager();
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  const {
+    scopes,
+    enabled = true,
+    enableOnFormTags,
+    enableOnContentEditable,
+    preventDefault,
+    repeat,
+    description,
+    group,
+  } = options;
+  // Arrays in options are usually inline literals; compare by content
+  const scopesKey = [].concat(scopes ?? []).join(",");
+  const formTagsKey = Array.isArray(enableOnFormTags)
+    ? enableOnFormTags.join(",")
+    : enableOnFormTags;
+
+  useEffect(() => {
+    if (!keys) return;
+    return manager.register(
+      keys,
+      (event, info) => handlerRef.current(event, info),
+      {
+        scopes: scopesKey ? scopesKey.split(",") : undefined,
+        enabled,
+        enableOnFormTags:
+          typeof formTagsKey === "string"
+            ? formTagsKey.split(",")
+            : formTagsKey,
+        enableOnContentEditable,
+        preventDefault,
+        repeat,
+        description,
+        group,
+      }
+    );
+  }, [
+    manager,
+    keys,
+    scopesKey,
+    enabled,
+    formTagsKey,
+    enableOnContentEditable,
+    preventDefault,
+    repeat,
+    description,
+    group,
+  ]);
+}
+
+/**
+ * useHotkeyScope - Activate a scope while mounted (and `active` is true)
+ *
+ * Usage:
+ * function EditorModal({ isOpen }) {
+ *   useHotkeyScope('editor-modal', isOpen);
+ *   useHotkeys('mod+enter', submit, { scopes: 'editor-modal', enableOnFormTags: true });
+ * }
+ */
+export function useHotkeyScope(scope, active = true) {
+  const manager = useManager();
+
+  useEffect(() => {
+    if (!active) return;
+    manager.enableScope(scope);
+    return () => manager.disableScope(scope);
+  }, [manager, scope, active]);
+}
+
+/**
+ * useHotkeysRegistry - Registered shortcuts and scope controls, for help
+ * overlays and settings screens
+ *
+ * Usage:
+ * const { hotkeys } = useHotkeysRegistry();
+ * hotkeys.filter((h) => h.active && h.description).map((h) => (
+ *   <li key={h.id}><kbd>{h.label}</kbd> {h.description}</li>
+ * ))
+ *
+ * @returns {{ hotkeys: Array, activeScopes: string[], enableScope: Function, disableScope: Function }}
+ */
+export function useHotkeysRegistry() {
+  const manager = useManager();
+  const hotkeys = useSyncExternalStore(
+    manager.subscribe,
+    manager.getRegistry,
+    () => []
+  );
+
+  return {
+    hotkeys,
+    activeScopes: manager.getActiveScopes(),
+    enableScope: manager.enableScope,
+    disableScope: manager.disableScope,
+  };
+}
+
+// Example usage:
+// useHotkeys('mod+k, /', () => searchRef.current?.focus(), { description: 'Search' });
+// useHotkeys('g then s', () => navigate('/settings'), { description: 'Go to settings', group: 'Navigation' });
+export default useHotkeys;
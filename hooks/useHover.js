@@ -1,36 +1,72 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback } from "react";
 
 /**
  * useHover - Track hover state for any DOM element
  *
+ * Uses pointer events and ignores touch, so tapping on a phone doesn't
+ * leave the element stuck in a hovered state. Returns a callback ref: it
+ * re-binds if the element changes.
+ *
  * Usage:
  * const [hoverRef, isHovered] = useHover();
  * <div ref={hoverRef}>Hover me! {isHovered && '😎'}</div>
+ *
+ * const [cardRef] = useHover({ onHoverStart: prefetch, disabled: !canPrefetch });
+ *
+ * @param {object} options
+ * @param {Function} [options.onHoverStart] - (event) => void
+ * @param {Function} [options.onHoverEnd] - (event) => void
+ * @param {Function} [options.onHoverChange] - (isHovered) => void
+ * @param {boolean} [options.disabled] - Stop tracking and reset to false
+ * @returns {[Function, boolean]} - [ref, isHovered]
  */
-export function useHover() {
+export function useHover(options = {}) {
+  const { disabled = false } = options;
+  const [node, setNode] = useState(null);
   const [isHovered, setIsHovered] = useState(false);
-  const ref = useRef(null);
+
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  const setHovered = useCallback((hovered, event) => {
+    setIsHovered(hovered);
+    const { onHoverStart, onHoverEnd, onHoverChange } = optionsRef.current;
+    (hovered ? onHoverStart : onHoverEnd)?.(event);
+    onHoverChange?.(hovered);
+  }, []);
 
   useEffect(() => {
-    const element = ref.current;
-    if (!element) return;
+    if (!node || disabled) return;
 
-    const handleMouseEnter = () => setIsHovered(true);
-    const handleMouseLeave = () => setIsHovered(false);
+    let hovered = false;
+    const handlePointerEnter = (event) => {
+      if (event.pointerType === "touch") return;
+      hovered = true;
+      setHovered(true, event);
+    };
+    const handlePointerLeave = (event) => {
+      if (!hovered) return;
+      hovered = false;
+      setHovered(false, event);
+    };
 
-    element.addEventListener("mouseenter", handleMouseEnter);
-    element.addEventListener("mouseleave", handleMouseLeave);
+    node.addEventListener("pointerenter", handlePointerEnter);
+    node.addEventListener("pointerleave", handlePointerLeave);
 
     return () => {
-      element.removeEventListener("mouseenter", handleMouseEnter);
-      element.removeEventListener("mouseleave", handleMouseLeave);
+      node.removeEventListener("pointerenter", handlePointerEnter);
+      node.removeEventListener("pointerleave", handlePointerLeave);
+      // The element went away or tracking stopped mid-hover
+      if (hovered) setHovered(false);
     };
-  }, [ref]);
+  }, [node, disabled, setHovered]);
 
-  return [ref, isHovered];
+  return [setNode, isHovered];
 }
 
 // Example usage:
 // const [hoverRef, isHovered] = useHover();
 // <button ref={hoverRef}>{isHovered ? "Hovered!" : "Hover me"}</button>
-export default useHover;
\ No newline at end of file
+export default useHover;
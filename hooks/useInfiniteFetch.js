@@ -0,0 +1,231 @@
+import {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
+import { queryCache, hashKey } from "../utils/queryCache";
+import { request, buildUrl } from "../utils/http";
+import { observeIntersection } from "../utils/observers";
+
+/**
+ * useInfiniteFetch - Cursor-based "load more" fetching on top of queryCache
+ *
+ * Pages are stored together under one cache entry as `{ pages, pageParams }`.
+ * Invalidating the entry refetches every loaded page in order, so cursors
+ * stay consistent.
+ *
+ * Usage:
+ * const { pages, fetchNextPage, hasNextPage, sentinelRef } = useInfiniteFetch('/api/feed', {
+ *   getNextPageParam: (lastPage) => lastPage.nextCursor,
+ * });
+ * {pages.flatMap((p) => p.items).map((item) => <Row key={item.id} {...item} />)}
+ * <div ref={sentinelRef} /> // loads the next page when scrolled into view
+ *
+ * @param {string} url - The API endpoint
+ * @param {object} options - Fetch options plus:
+ * @param {Function} options.getNextPageParam - (lastPage, allPages) => cursor, or null/undefined when done
+ * @param {any} [options.initialPageParam] - Cursor for the first page (default: undefined, omitted from the URL)
+ * @param {string} [options.pageParam] - Query param carrying the cursor (default: 'cursor')
+ * @param {object} [options.params] - Extra query params, part of the cache key
+ * @param {number} [options.staleTime] - ms before cached pages are refetched (default: 0)
+ * @param {number} [options.cacheTime] - ms to keep unused pages (default: 5 minutes)
+ * @param {string} [options.rootMargin] - How early the sentinel triggers (default: '200px')
+ */
+export function useInfiniteFetch(url, options = {}) {
+  const {
+    getNextPageParam,
+    initialPageParam,
+    pageParam = "cursor",
+    params,
+    key,
+    staleTime,
+    cacheTime,
+    rootMargin = "200px",
+    ...init
+  } = options;
+
+  const hash = hashKey(key ?? [url, params ?? null, "infinite"]);
+  // Read back from the hash: equal keys give the same array, so an inline
+  // key doesn't resubscribe on every render
+  const queryKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  const config = {
+    queryKey,
+    url,
+    params,
+    init,
+    pageParam,
+    initialPageParam,
+    getNextPageParam,
+    staleTime,
+    cacheTime,
+  };
+  const configRef = useRef(config);
+  // Declared before the effects below, so they see this render's config
+  useEffect(() => {
+    configRef.current = config;
+  });
+
+  const fetchPage = (cursor, signal) => {
+    const { url, params, init, pageParam } = configRef.current;
+    return request(buildUrl(url, { ...params, [pageParam]: cursor }), {
+      ...init,
+      signal,
+    });
+  };
+
+  // Refetch every page that's currently loaded, following fresh cursors
+  const fetchAll = useCallback(async ({ signal }) => {
+    const { queryKey, initialPageParam, getNextPageParam } = configRef.current;
+    const count = queryCache.getData(queryKey)?.pages.length || 1;
+    const pages = [];
+    const pageParams = [];
+    let cursor = initialPageParam;
+
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        cursor = getNextPageParam(pages[i - 1], pages);
+        if (cursor === undefined || cursor === null) break;
+      }
+      pages.push(await fetchPage(cursor, signal));
+      pageParams.push(cursor);
+    }
+    return { pages, pageParams };
+  }, []);
+
+  const subscribe = useCallback(
+    (onChange) => queryCache.subscribe(queryKey, onChange),
+    [queryKey]
+  );
+  const getSnapshot = () => queryCache.getState(queryKey);
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  const [isFetchingNextPage, setIsFetchingNextPage] = useState(false);
+
+  useEffect(() => {
+    const { queryKey, staleTime, cacheTime } = configRef.current;
+    queryCache
+      .fetch(queryKey, fetchAll, { staleTime, cacheTime })
+      .catch(() => undefined); // surfaced through `error`
+  }, [hash, fetchAll]);
+
+  const pages = state.data?.pages ?? EMPTY;
+  const pageParams = state.data?.pageParams ?? EMPTY;
+  const nextPageParam =
+    pages.length > 0
+      ? getNextPageParam(pages[pages.length - 1], pages)
+      : undefined;
+  const hasNextPage = nextPageParam !== undefined && nextPageParam !== null;
+
+  const fetchNextPage = useCallback(() => {
+    const { queryKey, getNextPageParam } = configRef.current;
+    const current = queryCache.getData(queryKey);
+    if (!current?.pages.length) return Promise.resolve(current);
+
+    const cursor = getNextPageParam(
+      current.pages[current.pages.length - 1],
+      current.pages
+    );
+    if (cursor === undefined || cursor === null) {
+      return Promise.resolve(current);
+    }
+
+    setIsFetchingNextPage(true);
+    return queryCache
+      .fetch(
+        queryKey,
+        async ({ signal }) => {
+          const page = await fetchPage(cursor, signal);
+          return {
+            pages: [...current.pages, page],
+            pageParams: [...current.pageParams, cursor],
+          };
+        },
+        // Keep fetchAll as the entry's refetcher for invalidation
+        { force: true, transient: true }
+      )
+      .catch(() => undefined)
+      .finally(() => setIsFetchingNextPage(false));
+  }, []);
+
+  const refetch = useCallback(() => {
+    const { queryKey } = configRef.current;
+    return queryCache
+      .fetch(queryKey, fetchAll, { force: true })
+      .catch(() => undefined);
+  }, [fetchAll]);
+
+  const sentinelRef = useIntersectionSentinel(fetchNextPage, {
+    enabled: hasNextPage && !state.isFetching,
+    rootMargin,
+  });
+
+  return {
+    pages,
+    pageParams,
+    data: state.data ?? null,
+    error: state.error,
+    loading:
+      state.status === "loading" || (state.status === "idle" && !state.data),
+    isFetching: state.isFetching,
+    isFetchingNextPage,
+    hasNextPage,
+    fetchNextPage,
+    refetch,
+    sentinelRef,
+  };
+}
+
+const EMPTY = [];
+
+/**
+ * useIntersectionSentinel - Call `onVisible` when an element scrolls into view
+ *
+ * Returns a callback ref for an (often empty) element at the end of a list.
+ *
+ * Usage:
+ * const sentinelRef = useIntersectionSentinel(loadMore, { enabled: hasMore });
+ * <div ref={sentinelRef} />
+ *
+ * @param {Function} onVisible - Called each time the sentinel becomes visible
+ * @param {object} options
+ * @param {boolean} [options.enabled] - Pause observing when false (default: true)
+ * @param {string} [options.rootMargin] - IntersectionObserver rootMargin (default: '0px')
+ * @param {Element} [options.root] - Scroll container (default: viewport)
+ */
+export function useIntersectionSentinel(
+  onVisible,
+  { enabled = true, rootMargin = "0px", root = null } = {}
+) {
+  const [node, setNode] = useState(null);
+  const savedCallback = useRef(onVisible);
+
+  useEffect(() => {
+    savedCallback.current = onVisible;
+  }, [onVisible]);
+
+  useEffect(() => {
+    if (!node || !enabled) return;
+
+    return observeIntersection(
+      node,
+      (entry) => {
+        if (entry.isIntersecting) savedCallback.current();
+      },
+      { root, rootMargin }
+    );
+  }, [node, enabled, root, rootMargin]);
+
+  return setNode;
+}
+
+// Example usage:
+// const { pages, hasNextPage, isFetchingNextPage, sentinelRef } = useInfiniteFetch('/api/messages', {
+//   getNextPageParam: (last) => last.next ?? null,
+// });
+// <ul>{pages.flatMap((p) => p.items).map((m) => <li key={m.id}>{m.text}</li>)}</ul>
+// {hasNextPage && <div ref={sentinelRef}>{isFetchingNextPage ? 'Loading…' : null}</div>}
+export default useInfiniteFetch;
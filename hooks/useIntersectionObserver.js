@@ -0,0 +1,67 @@
+import { useState, useRef, useEffect } from "react";
+import { observeIntersection } from "../utils/observers";
+
+/**
+ * useIntersectionObserver - Track whether an element is in view
+ *
+ * Elements with the same options share one IntersectionObserver. Returns a
+ * callback ref, so it follows the element if it changes.
+ *
+ * Usage:
+ * const { ref, isIntersecting } = useIntersectionObserver({ rootMargin: '200px', freezeOnceVisible: true });
+ * <img ref={ref} src={isIntersecting ? src : undefined} alt="" />
+ *
+ * @param {object} options
+ * @param {Element} [options.root] - Scroll container (default: viewport)
+ * @param {string} [options.rootMargin] - default '0px'
+ * @param {number|number[]} [options.threshold] - default 0
+ * @param {boolean} [options.freezeOnceVisible] - Stop observing after the first time it's visible
+ * @param {boolean} [options.initialIsIntersecting] - Value before the first observation (default: false)
+ * @param {Function} [options.onChange] - (isIntersecting, entry) => void
+ * @returns {{ ref: Function, isIntersecting: boolean, entry: IntersectionObserverEntry|null }}
+ */
+export function useIntersectionObserver(options = {}) {
+  const {
+    root = null,
+    rootMargin = "0px",
+    threshold = 0,
+    freezeOnceVisible = false,
+    initialIsIntersecting = false,
+  } = options;
+
+  const [node, setNode] = useState(null);
+  const [state, setState] = useState({
+    isIntersecting: initialIsIntersecting,
+    entry: null,
+  });
+
+  const onChangeRef = useRef(options.onChange);
+  useEffect(() => {
+    onChangeRef.current = options.onChange;
+  });
+
+  const frozen = freezeOnceVisible && state.isIntersecting;
+  // Compare threshold arrays by value; they're usually inline literals
+  const thresholdKey = [].concat(threshold).join(",");
+
+  useEffect(() => {
+    if (!node || frozen) return;
+
+    return observeIntersection(
+      node,
+      (entry) => {
+        setState({ isIntersecting: entry.isIntersecting, entry });
+        onChangeRef.current?.(entry.isIntersecting, entry);
+      },
+      { root, rootMargin, threshold: thresholdKey.split(",").map(Number) }
+    );
+  }, [node, frozen, root, rootMargin, thresholdKey]);
+
+  return { ref: setNode, ...state };
+}
+
+// Example usage:
+// const { ref, isIntersecting } = useIntersectionObserver({ threshold: 0.5 });
+// useEffect(() => { if (isIntersecting) trackImpression(id); }, [isIntersecting, id]);
+// <section ref={ref}>...</section>
+export default useIntersectionObserver;
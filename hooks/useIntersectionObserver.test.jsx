@@ -0,0 +1,116 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useIntersectionObserver } from "./useIntersectionObserver";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useIntersectionObserver", () => {
+  let observers;
+  let container;
+  let root;
+
+  beforeEach(() => {
+    observers = [];
+    vi.stubGlobal(
+      "IntersectionObserver",
+      class {
+        constructor(callback) {
+          this.callback = callback;
+          this.targets = new Set();
+          observers.push(this);
+        }
+        observe(element) {
+          this.targets.add(element);
+        }
+        unobserve(element) {
+          this.targets.delete(element);
+        }
+        disconnect() {
+          this.targets.clear();
+        }
+      }
+    );
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.unstubAllGlobals();
+  });
+
+  const states = {};
+  function Row({ id, ...options }) {
+    const { ref, isIntersecting } = useIntersectionObserver(options);
+    states[id] = isIntersecting;
+    return <div ref={ref} id={id} />;
+  }
+
+  const fire = (id, isIntersecting) =>
+    act(() =>
+      observers[0].callback([
+        { target: document.getElementById(id), isIntersecting },
+      ])
+    );
+
+  it("observes every row with one shared observer", () => {
+    act(() =>
+      root.render(
+        <>
+          <Row id="a" rootMargin="100px" />
+          <Row id="b" rootMargin="100px" />
+          <Row id="c" rootMargin="100px" />
+        </>
+      )
+    );
+    expect(observers).toHaveLength(1);
+    expect(observers[0].targets.size).toBe(3);
+
+    fire("b", true);
+    expect(states).toMatchObject({ a: false, b: true, c: false });
+
+    act(() => root.render(<Row id="a" rootMargin="100px" />));
+    expect(observers[0].targets.size).toBe(1);
+  });
+
+  it("stops observing once visible with freezeOnceVisible", () => {
+    const onChange = vi.fn();
+    act(() =>
+      root.render(
+        <>
+          <Row
+            id="lazy"
+            threshold={0.25}
+            freezeOnceVisible
+            onChange={onChange}
+          />
+          <Row id="live" threshold={0.25} />
+        </>
+      )
+    );
+    const [observer] = observers;
+    const lazy = document.getElementById("lazy");
+
+    fire("lazy", true);
+    expect(states.lazy).toBe(true);
+    expect(observer.targets.has(lazy)).toBe(false);
+    expect(observer.targets.size).toBe(1);
+
+    // Later entries for the frozen element change nothing
+    fire("lazy", false);
+    expect(states.lazy).toBe(true);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps following a row without freezeOnceVisible", () => {
+    act(() => root.render(<Row id="row" threshold={0.75} />));
+    fire("row", true);
+    fire("row", false);
+    expect(states.row).toBe(false);
+    expect(observers[0].targets.size).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+import { useEffect, useId, useLayoutEffect, useMemo, useRef } from "react";
+
+// Open overlays (modals, popovers, menus, tooltips), innermost last
+const layers = [];
+
+// One Escape press dismisses one layer: the top-most that handles it
+function handleEscape(event) {
+  if (event.key !== "Escape" || event.defaultPrevented) return;
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const { onEscape } = layers[i].latest.current;
+    if (onEscape) {
+      event.preventDefault();
+      onEscape(event);
+      return;
+    }
+  }
+}
+
+/**
+ * useLayer - Register an overlay in the shared stack of open layers
+ *
+ * Layers opened later sit above earlier ones, so a Popover or menu opened
+ * from inside a Modal is above it. Escape only reaches the top-most layer
+ * with an `onEscape` handler (handlers that call `preventDefault()` on the
+ * keydown, like menus and comboboxes, keep it to themselves). A modal uses
+ * `containsAbove(target)` to leave clicks and focus inside those layers
+ * alone.
+ *
+ * Usage:
+ * const layer = useLayer(open, {
+ *   contains: (target) => panelRef.current?.contains(target),
+ *   onEscape: () => setOpen(false),
+ * });
+ *
+ * @param {boolean} active - Whether the layer is open
+ * @param {object} [options]
+ * @param {Function} [options.contains] - (node) => boolean, is the node part of this layer
+ * @param {Function} [options.onEscape] - Called when Escape dismisses this layer
+ * @param {boolean} [options.modal] - Counts for isTopModal()
+ * @returns {{ isTop: Function, isTopModal: Function, containsAbove: Function }}
+ */
+export function useLayer(active, options = {}) {
+  const id = useId();
+  const latest = useRef(options);
+  useLayoutEffect(() => {
+    latest.current = options;
+  });
+
+  useEffect(() => {
+    if (!active) return;
+    const layer = { id, latest };
+    layers.push(layer);
+    if (layers.length === 1) document.addEventListener("keydown", handleEscape);
+
+    return () => {
+      layers.splice(layers.indexOf(layer), 1);
+      if (layers.length === 0) {
+        document.removeEventListener("keydown", handleEscape);
+      }
+    };
+  }, [active, id]);
+
+  return useMemo(() => {
+    const indexOf = () => layers.findIndex((layer) => layer.id === id);
+    return {
+      isTop: () => layers.length > 0 && layers[layers.length - 1].id === id,
+      isTopModal: () =>
+        layers.findLast((layer) => layer.latest.current.modal)?.id === id,
+      /** Whether `node` is inside a layer opened above this one */
+      containsAbove: (node) => {
+        const index = indexOf();
+        if (index === -1 || !node) return false;
+        return layers
+          .slice(index + 1)
+          .some((layer) => layer.latest.current.contains?.(node));
+      },
+    };
+  }, [id]);
+}
+
+// Example usage:
+// const layer = useLayer(isOpen, { modal: true, onEscape: onClose, contains: (node) => panelRef.current?.contains(node) });
+// if (!layer.containsAbove(event.target)) onClose();
+export default useLayer;
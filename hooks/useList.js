@@ -0,0 +1,65 @@
+import { useState, useMemo, useRef } from "react";
+
+/**
+ * useList - Array state with immutable, stable helpers
+ *
+ * Usage:
+ * const [todos, { push, updateAt, removeAt, move }] = useList([]);
+ * push({ id: 1, text: 'Write docs' });
+ * updateAt(0, (todo) => ({ ...todo, done: true }));
+ * move(0, 2);
+ *
+ * @param {Array|Function} initialValue - Starting list (default: [])
+ * @returns {[Array, Object]} - [list, { set, push, insertAt, updateAt, removeAt, remove, move, filter, sort, clear, reset }]
+ */
+export function useList(initialValue = []) {
+  const [list, setList] = useState(initialValue);
+  const initialRef = useRef(list);
+
+  const actions = useMemo(
+    () => ({
+      set: setList,
+      push: (...items) => setList((current) => [...current, ...items]),
+      insertAt: (index, item) =>
+        setList((current) => [
+          ...current.slice(0, index),
+          item,
+          ...current.slice(index),
+        ]),
+      updateAt: (index, next) =>
+        setList((current) =>
+          current.map((item, i) =>
+            i === index
+              ? typeof next === "function"
+                ? next(item)
+                : next
+              : item
+          )
+        ),
+      removeAt: (index) =>
+        setList((current) => current.filter((_, i) => i !== index)),
+      // Remove every item matching the predicate
+      remove: (predicate) =>
+        setList((current) => current.filter((item) => !predicate(item))),
+      move: (from, to) =>
+        setList((current) => {
+          const next = [...current];
+          const [item] = next.splice(from, 1);
+          next.splice(to, 0, item);
+          return next;
+        }),
+      filter: (predicate) => setList((current) => current.filter(predicate)),
+      sort: (compare) => setList((current) => [...current].sort(compare)),
+      clear: () => setList([]),
+      reset: () => setList(initialRef.current),
+    }),
+    []
+  );
+
+  return [list, actions];
+}
+
+// Example usage:
+// const [tags, { push: addTag, removeAt: removeTag }] = useList(["react"]);
+// tags.map((tag, i) => <Chip key={tag} onRemove={() => removeTag(i)}>{tag}</Chip>)
+export default useList;
@@ -0,0 +1,150 @@
+import { useState, useRef, useEffect } from "react";
+
+const isPressKey = (event) => event.key === "Enter" || event.key === " ";
+
+/**
+ * useLongPress - Fire after the pointer (or Enter/Space) is held down
+ *
+ * Moving further than `moveTolerance` px cancels, so scrolling a list on a
+ * phone doesn't trigger it. After a long press, the click that follows is
+ * swallowed and the touch context menu is suppressed.
+ *
+ * Usage:
+ * const [pressRef, isPressing] = useLongPress(() => openContextMenu(), { threshold: 600 });
+ * <li ref={pressRef} tabIndex={0}>{isPressing ? 'Keep holding…' : item.name}</li>
+ *
+ * @param {Function} onLongPress - (event) => void, called once per hold
+ * @param {object} options
+ * @param {number} [options.threshold] - Hold time in ms (default: 500)
+ * @param {number} [options.moveTolerance] - Max movement in px (default: 10)
+ * @param {Function} [options.onStart] - Pointer/key went down
+ * @param {Function} [options.onFinish] - Released after a long press
+ * @param {Function} [options.onCancel] - Released or moved away too early
+ * @param {boolean} [options.disabled]
+ * @returns {[Function, boolean]} - [ref, isPressing]
+ */
+export function useLongPress(onLongPress, options = {}) {
+  const { threshold = 500, moveTolerance = 10, disabled = false } = options;
+  const [node, setNode] = useState(null);
+  const [isPressing, setIsPressing] = useState(false);
+
+  const callbacksRef = useRef({ onLongPress, ...options });
+  useEffect(() => {
+    callbacksRef.current = { onLongPress, ...options };
+  });
+
+  useEffect(() => {
+    if (!node || disabled) return;
+
+    let timerId = null;
+    let origin = null; // { pointerId, x, y } or { key }
+    let fired = false;
+
+    const call = (name, event) => callbacksRef.current[name]?.(event);
+
+    const stopTracking = () => {
+      clearTimeout(timerId);
+      timerId = null;
+      origin = null;
+      document.removeEventListener("pointermove", handlePointerMove);
+      document.removeEventListener("pointerup", handlePointerUp);
+      document.removeEventListener("pointercancel", handlePointerCancel);
+      setIsPressing(false);
+    };
+
+    const begin = (event, nextOrigin) => {
+      origin = nextOrigin;
+      fired = false;
+      setIsPressing(true);
+      call("onStart", event);
+      timerId = setTimeout(() => {
+        timerId = null;
+        fired = true;
+        call("onLongPress", event);
+      }, threshold);
+    };
+
+    const finish = (event) => {
+      const wasFired = fired;
+      stopTracking();
+      call(wasFired ? "onFinish" : "onCancel", event);
+    };
+
+    function handlePointerMove(event) {
+      if (!origin || event.pointerId !== origin.pointerId || fired) return;
+      const distance = Math.hypot(
+        event.clientX - origin.x,
+        event.clientY - origin.y
+      );
+      if (distance > moveTolerance) finish(event);
+    }
+
+    function handlePointerUp(event) {
+      if (origin && event.pointerId === origin.pointerId) finish(event);
+    }
+
+    function handlePointerCancel(event) {
+      if (!origin || event.pointerId !== origin.pointerId) return;
+      fired = false; // the browser took over (e.g. scrolling): never a finish
+      finish(event);
+    }
+
+    const handlePointerDown = (event) => {
+      if (event.button !== 0 || origin) return;
+      document.addEventListener("pointermove", handlePointerMove);
+      document.addEventListener("pointerup", handlePointerUp);
+      document.addEventListener("pointercancel", handlePointerCancel);
+      begin(event, {
+        pointerId: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+      });
+    };
+
+    const handleKeyDown = (event) => {
+      if (!isPressKey(event) || event.target !== node) return;
+      if (event.repeat || origin) return;
+      begin(event, { key: event.key });
+    };
+
+    const handleKeyUp = (event) => {
+      if (origin?.key !== event.key) return;
+      if (fired) event.preventDefault(); // don't also "click" on Space
+      finish(event);
+    };
+
+    // The click at the end of a long press isn't a click
+    const handleClick = (event) => {
+      if (!fired) return;
+      fired = false;
+      event.preventDefault();
+      event.stopPropagation();
+    };
+
+    const handleContextMenu = (event) => {
+      if (origin || fired) event.preventDefault();
+    };
+
+    node.addEventListener("pointerdown", handlePointerDown);
+    node.addEventListener("keydown", handleKeyDown);
+    node.addEventListener("keyup", handleKeyUp);
+    node.addEventListener("click", handleClick, true);
+    node.addEventListener("contextmenu", handleContextMenu);
+
+    return () => {
+      stopTracking();
+      node.removeEventListener("pointerdown", handlePointerDown);
+      node.removeEventListener("keydown", handleKeyDown);
+      node.removeEventListener("keyup", handleKeyUp);
+      node.removeEventListener("click", handleClick, true);
+      node.removeEventListener("contextmenu", handleContextMenu);
+    };
+  }, [node, disabled, threshold, moveTolerance]);
+
+  return [setNode, isPressing];
+}
+
+// Example usage:
+// const [holdRef] = useLongPress(() => setSelecting(true), { threshold: 400 });
+// <div ref={holdRef}>{item.title}</div>
+export default useLongPress;
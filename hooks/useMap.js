@@ -0,0 +1,48 @@
+import { useState, useMemo, useRef } from "react";
+
+/**
+ * useMap - Map state; every update produces a new Map so React re-renders
+ *
+ * Usage:
+ * const [selected, { set, remove, has }] = useMap();
+ * set(row.id, row);
+ * selected.get(row.id);
+ *
+ * @param {Iterable|Function} initialEntries - Starting entries, e.g. [['a', 1]] or an object's Object.entries()
+ * @returns {[Map, { set: Function, setAll: Function, remove: Function, clear: Function, reset: Function }]}
+ */
+export function useMap(initialEntries) {
+  const [map, setMap] = useState(
+    () =>
+      new Map(
+        typeof initialEntries === "function" ? initialEntries() : initialEntries
+      )
+  );
+  const initialRef = useRef(map);
+
+  const actions = useMemo(
+    () => ({
+      set: (key, value) =>
+        setMap((current) => new Map(current).set(key, value)),
+      // Replace the whole map
+      setAll: (entries) => setMap(new Map(entries)),
+      remove: (key) =>
+        setMap((current) => {
+          if (!current.has(key)) return current;
+          const next = new Map(current);
+          next.delete(key);
+          return next;
+        }),
+      clear: () => setMap(new Map()),
+      reset: () => setMap(initialRef.current),
+    }),
+    []
+  );
+
+  return [map, actions];
+}
+
+// Example usage:
+// const [drafts, { set: saveDraft, remove: discardDraft }] = useMap();
+// <Editor value={drafts.get(postId) ?? ""} onChange={(text) => saveDraft(postId, text)} />
+export default useMap;
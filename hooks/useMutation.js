@@ -0,0 +1,136 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+/**
+ * useMutation - Run writes (POST/PUT/DELETE) imperatively and track their state
+ *
+ * Usage:
+ * const { mutate, isPending, error } = useMutation(
+ *   (todo) => request('/api/todos', { method: 'POST', body: JSON.stringify(todo) }),
+ *   {
+ *     // Returning a function from onMutate registers it as the rollback,
+ *     // which runs automatically if the request fails
+ *     onMutate: (todo) => optimisticUpdate(['/api/todos', null], (old = []) => [...old, todo]),
+ *     onSettled: () => invalidate('/api/todos'),
+ *   }
+ * );
+ * <button onClick={() => mutate({ title: 'Write docs' })} disabled={isPending}>Add</button>
+ *
+ * Errors thrown by the callbacks are logged and don't change the result:
+ * a write the server accepted still resolves and isn't rolled back.
+ *
+ * @param {Function} mutationFn - (variables) => Promise<data>
+ * @param {Object} options
+ * @param {Function} [options.onMutate] - (variables) => context, runs before the request
+ * @param {Function} [options.onSuccess] - (data, variables, context)
+ * @param {Function} [options.onError] - (error, variables, context)
+ * @param {Function} [options.onSettled] - (data, error, variables, context)
+ * @returns {{ mutate, mutateAsync, data, error, variables, status, isIdle, isPending, isSuccess, isError, reset }}
+ */
+export function useMutation(mutationFn, options = {}) {
+  const [state, setState] = useState(IDLE);
+
+  // Latest fn/callbacks, so `mutate` can stay referentially stable
+  const fnRef = useRef(mutationFn);
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    fnRef.current = mutationFn;
+    optionsRef.current = options;
+  });
+
+  const mountedRef = useRef(true);
+  const callIdRef = useRef(0);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Only the most recent call may update state
+  const update = (callId, next) => {
+    if (mountedRef.current && callId === callIdRef.current) setState(next);
+  };
+
+  const mutateAsync = useCallback(async (variables) => {
+    const { onMutate, onSuccess, onError, onSettled } = optionsRef.current;
+    const callId = ++callIdRef.current;
+    let context;
+
+    update(callId, { ...IDLE, status: "pending", variables });
+
+    let data;
+    try {
+      context = await onMutate?.(variables);
+      data = await fnRef.current(variables);
+    } catch (error) {
+      if (typeof context === "function") await runCallback("rollback", context);
+      await runCallback("onError", onError, error, variables, context);
+      await runCallback(
+        "onSettled",
+        onSettled,
+        undefined,
+        error,
+        variables,
+        context
+      );
+      update(callId, { ...IDLE, status: "error", error, variables });
+      throw error;
+    }
+
+    // The write went through: a throwing callback doesn't undo it
+    await runCallback("onSuccess", onSuccess, data, variables, context);
+    await runCallback("onSettled", onSettled, data, null, variables, context);
+    update(callId, { ...IDLE, status: "success", data, variables });
+    return data;
+  }, []);
+
+  // Fire-and-forget variant: errors end up in `error` instead of rejecting
+  const mutate = useCallback(
+    (variables) => {
+      mutateAsync(variables).catch(() => {});
+    },
+    [mutateAsync]
+  );
+
+  const reset = useCallback(() => {
+    callIdRef.current++;
+    setState(IDLE);
+  }, []);
+
+  return {
+    ...state,
+    mutate,
+    mutateAsync,
+    reset,
+    isIdle: state.status === "idle",
+    isPending: state.status === "pending",
+    isSuccess: state.status === "success",
+    isError: state.status === "error",
+  };
+}
+
+// Lifecycle callbacks are the caller's code: log their errors instead of
+// letting them change the outcome of the mutation
+async function runCallback(name, callback, ...args) {
+  try {
+    await callback?.(...args);
+  } catch (err) {
+    console.error(`[useMutation][${name}] Error in callback:`, err);
+  }
+}
+
+const IDLE = {
+  status: "idle", // 'idle' | 'pending' | 'success' | 'error'
+  data: undefined,
+  error: null,
+  variables: undefined,
+};
+
+// Example usage:
+// const deleteUser = useMutation((id) => request(`/api/users/${id}`, { method: 'DELETE' }), {
+//   onMutate: (id) => optimisticUpdate(['/api/users', null], (users) => users.filter((u) => u.id !== id)),
+//   onError: (err) => console.error(err),
+// });
+// <button onClick={() => deleteUser.mutate(user.id)}>Delete</button>
+export default useMutation;
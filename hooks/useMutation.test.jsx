@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useMutation } from "./useMutation";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useMutation", () => {
+  let container;
+  let root;
+  let mutation;
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  function render(mutationFn, options) {
+    function Harness() {
+      mutation = useMutation(mutationFn, options);
+      return null;
+    }
+    act(() => root.render(<Harness />));
+  }
+
+  it("doesn't roll back or report an error when onSuccess throws", async () => {
+    const rollback = vi.fn();
+    const onError = vi.fn();
+    const onSettled = vi.fn();
+    render(async () => "saved", {
+      onMutate: () => rollback,
+      onSuccess: () => {
+        throw new Error("boom");
+      },
+      onError,
+      onSettled,
+    });
+
+    await act(async () => {
+      await expect(mutation.mutateAsync(1)).resolves.toBe("saved");
+    });
+    expect(rollback).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+    expect(onSettled).toHaveBeenCalledTimes(1);
+    expect(onSettled).toHaveBeenCalledWith("saved", null, 1, rollback);
+    expect(mutation.status).toBe("success");
+  });
+
+  it("still ends in the error state when onError or onSettled throws", async () => {
+    const failure = new Error("rejected");
+    const rollback = vi.fn();
+    render(
+      async () => {
+        throw failure;
+      },
+      {
+        onMutate: () => rollback,
+        onError: () => {
+          throw new Error("onError");
+        },
+        onSettled: () => {
+          throw new Error("onSettled");
+        },
+      }
+    );
+
+    await act(async () => {
+      await expect(mutation.mutateAsync(1)).rejects.toBe(failure);
+    });
+    expect(rollback).toHaveBeenCalledTimes(1);
+    expect(mutation.status).toBe("error");
+    expect(mutation.error).toBe(failure);
+  });
+
+  it("ends in the success state when onSettled throws", async () => {
+    render(async () => "saved", {
+      onSettled: () => {
+        throw new Error("onSettled");
+      },
+    });
+
+    await act(() => mutation.mutateAsync(1));
+    expect(mutation.status).toBe("success");
+    expect(mutation.data).toBe("saved");
+  });
+});
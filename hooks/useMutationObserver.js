@@ -0,0 +1,47 @@
+import { useState, useRef, useEffect } from "react";
+import { observeMutation } from "../utils/observers";
+
+/**
+ * useMutationObserver - Run a callback when an element's DOM changes
+ *
+ * Elements with the same options share one MutationObserver. Returns a
+ * callback ref, so it follows the element if it changes.
+ *
+ * Usage:
+ * const ref = useMutationObserver((records) => setCount(list.children.length), { childList: true });
+ * <ul ref={ref}>...</ul>
+ *
+ * @param {Function} callback - (MutationRecord[]) => void; the latest one is always called
+ * @param {MutationObserverInit} options - default `{ childList: true, subtree: true }`
+ * @returns {Function} - ref
+ */
+export function useMutationObserver(
+  callback,
+  options = { childList: true, subtree: true }
+) {
+  const [node, setNode] = useState(null);
+
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  // Options are usually an inline object; compare by value
+  const optionsKey = JSON.stringify(options);
+
+  useEffect(() => {
+    if (!node) return;
+    return observeMutation(
+      node,
+      (records) => callbackRef.current(records),
+      JSON.parse(optionsKey)
+    );
+  }, [node, optionsKey]);
+
+  return setNode;
+}
+
+// Example usage:
+// const ref = useMutationObserver(() => scrollToBottom(), { childList: true });
+// <div ref={ref} className="overflow-auto">{messages.map(renderMessage)}</div>
+export default useMutationObserver;
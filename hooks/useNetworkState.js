@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef } from "react";
+
+const getConnection = () =>
+  typeof navigator === "undefined"
+    ? undefined
+    : (navigator.connection ??
+      navigator.mozConnection ??
+      navigator.webkitConnection);
+
+const readConnection = () => {
+  const connection = getConnection();
+  return {
+    effectiveType: connection?.effectiveType,
+    downlink: connection?.downlink,
+    rtt: connection?.rtt,
+    saveData: connection?.saveData ?? false,
+    type: connection?.type,
+  };
+};
+
+// A captive portal answers too, with a redirect or its own login page:
+// only the answer the endpoint is known to give counts. Redirects aren't
+// followed, so they end up as an opaque response with status 0.
+const isNoContent = (response) => response.status === 204;
+
+async function probe(url, timeout, isReachable) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const separator = url.includes("?") ? "&" : "?";
+    const response = await fetch(`${url}${separator}_=${Date.now()}`, {
+      method: "HEAD",
+      cache: "no-store",
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    return Boolean(await isReachable(response));
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * useNetworkState - Online status plus connection quality
+ *
+ * `navigator.onLine` only knows whether there's a network interface: it
+ * says "online" behind a captive portal or a dead Wi-Fi. Pass `probeUrl`
+ * (a cheap endpoint of yours that answers HEAD with 204 No Content) and
+ * the hook also checks that requests actually get through, on mount, when
+ * the browser reports `online`, and every `probeInterval` ms. For an
+ * endpoint that answers differently, pass `isReachable` to recognize its
+ * response; anything else, redirects included, counts as offline.
+ *
+ * Connection details come from the Network Information API (Chromium);
+ * elsewhere they are `undefined` and `saveData` is false.
+ *
+ * Usage:
+ * const { online, effectiveType, saveData } = useNetworkState({ probeUrl: '/api/health' });
+ * const quality = saveData || effectiveType === '2g' ? 'low' : 'high';
+ * {!online && <Banner>You're offline. Changes will sync later.</Banner>}
+ *
+ * @param {object} options
+ * @param {string} [options.probeUrl] - Heartbeat URL; without it only navigator.onLine is used
+ * @param {number} [options.probeInterval] - ms between heartbeats (default: 30000)
+ * @param {number} [options.probeTimeout] - ms before a heartbeat counts as failed (default: 5000)
+ * @param {Function} [options.isReachable] - (response) => boolean | Promise<boolean> (default: status is 204)
+ * @param {Function} [options.onChange] - (online) => void when `online` flips
+ * @returns {{ online, effectiveType, downlink, rtt, saveData, type, lastChecked }}
+ */
+export function useNetworkState(options = {}) {
+  const {
+    probeUrl,
+    probeInterval = 30000,
+    probeTimeout = 5000,
+    isReachable = isNoContent,
+    onChange,
+  } = options;
+
+  const [browserOnline, setBrowserOnline] = useState(
+    typeof navigator !== "undefined" ? navigator.onLine : true
+  );
+  const [reachable, setReachable] = useState(true);
+  const [lastChecked, setLastChecked] = useState(null);
+  const [connection, setConnection] = useState(readConnection);
+
+  const onChangeRef = useRef(onChange);
+  const isReachableRef = useRef(isReachable);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    isReachableRef.current = isReachable;
+  });
+
+  useEffect(() => {
+    const handleOnline = () => setBrowserOnline(true);
+    const handleOffline = () => setBrowserOnline(false);
+    const handleConnectionChange = () => setConnection(readConnection());
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    getConnection()?.addEventListener?.("change", handleConnectionChange);
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      getConnection()?.removeEventListener?.("change", handleConnectionChange);
+    };
+  }, []);
+
+  // Heartbeat, only while the browser thinks we're online
+  useEffect(() => {
+    if (!probeUrl || !browserOnline) return;
+
+    let cancelled = false;
+    let timerId = null;
+
+    const check = async () => {
+      const ok = await probe(probeUrl, probeTimeout, isReachableRef.current);
+      if (cancelled) return;
+      setReachable(ok);
+      setLastChecked(Date.now());
+      timerId = setTimeout(check, probeInterval);
+    };
+
+    check();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timerId);
+    };
+  }, [probeUrl, probeInterval, probeTimeout, browserOnline]);
+
+  const online = browserOnline && (!probeUrl || reachable);
+
+  const previousRef = useRef(online);
+  useEffect(() => {
+    if (previousRef.current === online) return;
+    previousRef.current = online;
+    onChangeRef.current?.(online);
+  }, [online]);
+
+  return { online, ...connection, lastChecked };
+}
+
+// Example usage:
+// const { online, effectiveType } = useNetworkState({
+//   probeUrl: '/api/health',
+//   onChange: (isOnline) => isOnline && todoQueue.replay(),
+// });
+// <img src={online && effectiveType === '4g' ? hiRes : loRes} />
+export default useNetworkState;
@@ -0,0 +1,62 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useNetworkState } from "./useNetworkState";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useNetworkState probe", () => {
+  let container;
+  let root;
+  let state;
+  let fetch;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.unstubAllGlobals();
+  });
+
+  async function render(response, options) {
+    fetch = vi.fn(async () => response);
+    vi.stubGlobal("fetch", fetch);
+    function Status() {
+      state = useNetworkState({ probeUrl: "/api/health", ...options });
+      return null;
+    }
+    await act(async () => root.render(<Status />));
+  }
+
+  it("is online when the probe answers 204", async () => {
+    await render(new Response(null, { status: 204 }));
+    expect(state.online).toBe(true);
+    expect(state.lastChecked).not.toBe(null);
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: "manual" });
+  });
+
+  it("is offline when a portal answers with its own page", async () => {
+    await render(new Response("<form>Log in</form>", { status: 200 }));
+    expect(state.online).toBe(false);
+  });
+
+  it("is offline when the probe is redirected", async () => {
+    // What fetch resolves with for a redirect under `redirect: "manual"`
+    await render({ type: "opaqueredirect", status: 0, ok: false });
+    expect(state.online).toBe(false);
+  });
+
+  it("accepts another answer through isReachable", async () => {
+    await render(
+      new Response(null, { status: 200, headers: { "X-Health": "ok" } }),
+      { isReachable: (response) => response.headers.get("X-Health") === "ok" }
+    );
+    expect(state.online).toBe(true);
+  });
+});
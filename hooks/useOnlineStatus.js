@@ -3,6 +3,9 @@ import { useState, useEffect } from "react";
 /**
  * useOnlineStatus - Detect if the user is online or offline
  *
+ * Mirrors `navigator.onLine`. For a heartbeat that catches captive portals,
+ * and for connection quality, use useNetworkState.
+ *
  * Usage:
  * const isOnline = useOnlineStatus();
  * return <div>{isOnline ? 'Online' : 'Offline'}</div>;
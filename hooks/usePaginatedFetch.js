@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from "react";
+import { useFetch } from "./useFetch";
+
+/**
+ * usePaginatedFetch - useFetch for page/offset APIs
+ *
+ * Each page is cached separately. While the next page loads, the previous
+ * page's data stays on screen (`isPreviousData` is true) instead of
+ * flashing an empty state.
+ *
+ * Usage:
+ * const { data, pagination, isPreviousData } = usePaginatedFetch('/api/users', {
+ *   pageSize: 20,
+ *   getTotalPages: (res) => Math.ceil(res.total / 20),
+ * });
+ * <UserTable rows={data?.items} dimmed={isPreviousData} />
+ * <Pagination {...pagination} />
+ *
+ * @param {string} url - The API endpoint
+ * @param {object} options - useFetch options plus:
+ * @param {number} [options.initialPage] - First page to load (default: 1)
+ * @param {number} [options.pageSize] - Items per page (default: 20)
+ * @param {string} [options.pageParam] - Query param for the page number (default: 'page')
+ * @param {string} [options.pageSizeParam] - Query param for the page size (default: 'pageSize')
+ * @param {Function} [options.getTotalPages] - (data) => number, read from the response
+ * @param {number} [options.totalPages] - Known page count, if the API doesn't return one
+ */
+export function usePaginatedFetch(url, options = {}) {
+  const {
+    initialPage = 1,
+    pageSize = 20,
+    pageParam = "page",
+    pageSizeParam = "pageSize",
+    getTotalPages,
+    totalPages: knownTotalPages,
+    params,
+    ...fetchOptions
+  } = options;
+
+  const [page, setPageState] = useState(initialPage);
+
+  const result = useFetch(url, {
+    ...fetchOptions,
+    params: { ...params, [pageParam]: page, [pageSizeParam]: pageSize },
+  });
+
+  // Last page that actually arrived, shown while the next one loads. State
+  // rather than a ref: it is read while rendering.
+  const [previous, setPrevious] = useState({
+    data: null,
+    totalPages: knownTotalPages,
+  });
+  const hasData = result.data !== null;
+  const totalPages = hasData
+    ? (getTotalPages?.(result.data) ?? knownTotalPages)
+    : previous.totalPages;
+
+  useEffect(() => {
+    if (hasData) setPrevious({ data: result.data, totalPages });
+  }, [hasData, result.data, totalPages]);
+
+  const isPreviousData = !hasData && result.loading;
+  const data = isPreviousData ? previous.data : result.data;
+
+  const setPage = useCallback((next) => {
+    setPageState((current) =>
+      Math.max(1, typeof next === "function" ? next(current) : next)
+    );
+  }, []);
+
+  const nextPage = useCallback(() => setPage((p) => p + 1), [setPage]);
+  const previousPage = useCallback(() => setPage((p) => p - 1), [setPage]);
+
+  const hasNextPage = totalPages === undefined || page < totalPages;
+  const hasPreviousPage = page > 1;
+
+  return {
+    ...result,
+    data,
+    isPreviousData,
+    page,
+    pageSize,
+    totalPages,
+    setPage,
+    hasNextPage,
+    hasPreviousPage,
+    nextPage,
+    previousPage,
+    // Spread straight into <Pagination />
+    pagination: {
+      current: page,
+      total: totalPages ?? page,
+      onChange: setPage,
+      // Not `disabled`: that would take focus off the page just selected
+      busy: result.isFetching,
+    },
+  };
+}
+
+// Example usage:
+// const { data, page, totalPages, nextPage, previousPage } = usePaginatedFetch('/api/posts');
+// <button onClick={previousPage} disabled={page === 1}>Prev</button>
+// <span>{page} / {totalPages}</span>
+// <button onClick={nextPage} disabled={page === totalPages}>Next</button>
+export default usePaginatedFetch;
@@ -0,0 +1,167 @@
+import { useMemo, useCallback } from "react";
+
+/**
+ * usePagination - Headless pagination model with windowed page ranges
+ *
+ * Produces a short list of items instead of one button per page, so 5,000
+ * pages render as `‹ 1 … 2499 2500 2501 … 5000 ›`.
+ *
+ * Usage:
+ * const { items } = usePagination({ total: 5000, current: 2500, onChange: setPage });
+ * items.map((item) =>
+ *   item.type === 'ellipsis'
+ *     ? <span key={item.key}>…</span>
+ *     : <button key={item.key} disabled={item.disabled} onClick={item.onClick}>{item.page}</button>
+ * );
+ *
+ * @param {object} options
+ * @param {number} options.total - Total number of pages
+ * @param {number} options.current - Current page (1-based)
+ * @param {number} [options.siblingCount] - Pages shown on each side of the current one (default: 1)
+ * @param {number} [options.boundaryCount] - Pages always shown at the start and end (default: 1)
+ * @param {Function} [options.onChange] - (page) => void
+ * @param {boolean} [options.showFirstLast] - Include first/last items (default: true)
+ * @param {boolean} [options.showPrevNext] - Include previous/next items (default: true)
+ * @param {boolean} [options.disabled] - Disable every item (default: false)
+ */
+export function usePagination({
+  total,
+  current,
+  siblingCount = 1,
+  boundaryCount = 1,
+  onChange,
+  showFirstLast = true,
+  showPrevNext = true,
+  disabled = false,
+}) {
+  const pageCount = Math.max(0, Math.floor(total) || 0);
+  const page = Math.min(Math.max(1, current), Math.max(1, pageCount));
+
+  const goTo = useCallback(
+    (target) => {
+      const next = Math.min(Math.max(1, target), pageCount);
+      if (next !== page && pageCount > 0) onChange?.(next);
+    },
+    [page, pageCount, onChange]
+  );
+
+  const items = useMemo(() => {
+    const range = getPaginationRange({
+      total: pageCount,
+      current: page,
+      siblingCount,
+      boundaryCount,
+    });
+    const isFirst = page <= 1;
+    const isLast = page >= pageCount;
+    const control = (type, target, edgeDisabled) => ({
+      type,
+      key: type,
+      page: target,
+      selected: false,
+      disabled: disabled || edgeDisabled,
+      onClick: () => goTo(target),
+    });
+
+    return [
+      showFirstLast && control("first", 1, isFirst),
+      showPrevNext && control("previous", page - 1, isFirst),
+      ...range.map((entry) =>
+        typeof entry === "number"
+          ? {
+              type: "page",
+              key: `page-${entry}`,
+              page: entry,
+              selected: entry === page,
+              disabled,
+              onClick: () => goTo(entry),
+            }
+          : { type: "ellipsis", key: entry, page: null, disabled: true }
+      ),
+      showPrevNext && control("next", page + 1, isLast),
+      showFirstLast && control("last", pageCount, isLast),
+    ].filter(Boolean);
+  }, [
+    page,
+    pageCount,
+    siblingCount,
+    boundaryCount,
+    showFirstLast,
+    showPrevNext,
+    disabled,
+    goTo,
+  ]);
+
+  return {
+    items,
+    current: page,
+    total: pageCount,
+    hasPrevious: page > 1,
+    hasNext: page < pageCount,
+    goTo,
+    first: () => goTo(1),
+    previous: () => goTo(page - 1),
+    next: () => goTo(page + 1),
+    last: () => goTo(pageCount),
+  };
+}
+
+/**
+ * getPaginationRange - Pure page/ellipsis model behind usePagination
+ *
+ * The result always has the same length for a given total, so buttons don't
+ * jump around as the current page moves.
+ *
+ * getPaginationRange({ total: 20, current: 10 })
+ * => [1, 'ellipsis-start', 9, 10, 11, 'ellipsis-end', 20]
+ *
+ * @returns {Array<number|'ellipsis-start'|'ellipsis-end'>}
+ */
+export function getPaginationRange({
+  total,
+  current,
+  siblingCount = 1,
+  boundaryCount = 1,
+}) {
+  const range = (start, end) =>
+    end < start
+      ? []
+      : Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+  // Few enough pages to show them all
+  if (total <= boundaryCount * 2 + siblingCount * 2 + 3) return range(1, total);
+
+  const startPages = range(1, Math.min(boundaryCount, total));
+  const endPages = range(
+    Math.max(total - boundaryCount + 1, boundaryCount + 1),
+    total
+  );
+
+  const siblingsStart = Math.max(
+    Math.min(
+      current - siblingCount,
+      total - boundaryCount - siblingCount * 2 - 1
+    ),
+    boundaryCount + 2
+  );
+  const siblingsEnd = Math.min(
+    Math.max(current + siblingCount, boundaryCount + siblingCount * 2 + 2),
+    endPages[0] - 2
+  );
+
+  return [
+    ...startPages,
+    // An ellipsis only replaces two or more pages; a single gap shows the page
+    siblingsStart > boundaryCount + 2 ? "ellipsis-start" : boundaryCount + 1,
+    ...range(siblingsStart, siblingsEnd),
+    siblingsEnd < total - boundaryCount - 1
+      ? "ellipsis-end"
+      : total - boundaryCount,
+    ...endPages,
+  ];
+}
+
+// Example usage:
+// const { items, hasNext, next } = usePagination({ total: 42, current: page, onChange: setPage });
+// const pageItems = items.filter((item) => item.type === 'page');
+export default usePagination;
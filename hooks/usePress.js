@@ -0,0 +1,202 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+const isPressKey = (event) => event.key === "Enter" || event.key === " ";
+
+const isInside = (node, event) => {
+  const rect = node.getBoundingClientRect();
+  return (
+    event.clientX >= rect.left &&
+    event.clientX <= rect.right &&
+    event.clientY >= rect.top &&
+    event.clientY <= rect.bottom
+  );
+};
+
+/**
+ * usePress - One press handler for mouse, touch, pen, keyboard and
+ * assistive technology
+ *
+ * - Mouse/touch/pen: fires on release over the element; dragging out
+ *   un-presses, dragging back in re-presses
+ * - Keyboard: Enter and Space, fired on key up
+ * - Screen readers' virtual clicks fire too, without double-firing with
+ *   the native click of a <button>
+ *
+ * Each callback receives `{ type, pointerType, target, originalEvent }`,
+ * where pointerType is 'mouse' | 'touch' | 'pen' | 'keyboard' | 'virtual'.
+ *
+ * Usage:
+ * const [pressRef, isPressed] = usePress({ onPress: () => setCount((c) => c + 1) });
+ * <div ref={pressRef} role="button" tabIndex={0} className={isPressed ? 'scale-95' : ''}>+1</div>
+ *
+ * @param {object} options
+ * @param {Function} [options.onPress] - Completed press
+ * @param {Function} [options.onPressStart]
+ * @param {Function} [options.onPressEnd] - Press released or cancelled
+ * @param {Function} [options.onPressChange] - (isPressed) => void
+ * @param {boolean} [options.disabled]
+ * @returns {[Function, boolean]} - [ref, isPressed]
+ */
+export function usePress(options = {}) {
+  const { disabled = false } = options;
+  const [node, setNode] = useState(null);
+  const [isPressed, setIsPressed] = useState(false);
+
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  const emit = useCallback((name, type, pointerType, originalEvent, target) => {
+    optionsRef.current[name]?.({ type, pointerType, target, originalEvent });
+  }, []);
+
+  useEffect(() => {
+    if (!node || disabled) return;
+
+    let active = null; // { pointerId, pointerType, inside }
+    let ignoreClick = false;
+    let ignoreClickTimer = null;
+
+    const setPressed = (pressed) => {
+      setIsPressed(pressed);
+      optionsRef.current.onPressChange?.(pressed);
+    };
+
+    // The click that browsers fire after a press we've already handled.
+    // After a tap it can come well after pointerup (touch delay), so the
+    // flag lasts until that click, or 300ms if none follows (released
+    // outside the element).
+    const suppressNextClick = () => {
+      ignoreClick = true;
+      clearTimeout(ignoreClickTimer);
+      ignoreClickTimer = setTimeout(() => {
+        ignoreClick = false;
+      }, 300);
+    };
+
+    const start = (pointerType, event) => {
+      setPressed(true);
+      emit("onPressStart", "pressstart", pointerType, event, node);
+    };
+
+    const end = (pointerType, event, pressed) => {
+      setPressed(false);
+      emit("onPressEnd", "pressend", pointerType, event, node);
+      if (pressed) emit("onPress", "press", pointerType, event, node);
+    };
+
+    const handlePointerMove = (event) => {
+      if (!active || event.pointerId !== active.pointerId) return;
+      const inside = isInside(node, event);
+      if (inside === active.inside) return;
+      active.inside = inside;
+      // Dragging out un-presses; coming back re-presses
+      if (inside) start(active.pointerType, event);
+      else end(active.pointerType, event, false);
+    };
+
+    const stopTracking = () => {
+      document.removeEventListener("pointermove", handlePointerMove);
+      document.removeEventListener("pointerup", handlePointerUp);
+      document.removeEventListener("pointercancel", handlePointerCancel);
+      active = null;
+    };
+
+    function handlePointerUp(event) {
+      if (!active || event.pointerId !== active.pointerId) return;
+      const { pointerType, inside } = active;
+      stopTracking();
+      suppressNextClick();
+      if (inside && isInside(node, event)) end(pointerType, event, true);
+      else if (inside) end(pointerType, event, false);
+    }
+
+    function handlePointerCancel(event) {
+      if (!active || event.pointerId !== active.pointerId) return;
+      const { pointerType, inside } = active;
+      stopTracking();
+      if (inside) end(pointerType, event, false);
+    }
+
+    const handlePointerDown = (event) => {
+      if (event.button !== 0 || active) return;
+      active = {
+        pointerId: event.pointerId,
+        pointerType: event.pointerType || "mouse",
+        inside: true,
+      };
+      // Touch pointers are implicitly captured by the target; release so
+      // pointermove hit-testing reflects where the finger really is
+      if (node.hasPointerCapture?.(event.pointerId)) {
+        node.releasePointerCapture(event.pointerId);
+      }
+      document.addEventListener("pointermove", handlePointerMove);
+      document.addEventListener("pointerup", handlePointerUp);
+      document.addEventListener("pointercancel", handlePointerCancel);
+      start(active.pointerType, event);
+    };
+
+    let keyPressed = false;
+    const handleKeyDown = (event) => {
+      if (!isPressKey(event) || event.target !== node) return;
+      // Stops Space from scrolling and Enter from firing a native click
+      event.preventDefault();
+      if (event.repeat || keyPressed) return;
+      keyPressed = true;
+      start("keyboard", event);
+    };
+
+    const handleKeyUp = (event) => {
+      if (!isPressKey(event) || !keyPressed) return;
+      keyPressed = false;
+      event.preventDefault();
+      suppressNextClick();
+      end("keyboard", event, true);
+    };
+
+    // Lost focus while a key was held: cancel
+    const handleBlur = (event) => {
+      if (!keyPressed) return;
+      keyPressed = false;
+      end("keyboard", event, false);
+    };
+
+    // Clicks we didn't see start: screen readers, element.click(), labels
+    const handleClick = (event) => {
+      if (ignoreClick) {
+        ignoreClick = false;
+        clearTimeout(ignoreClickTimer);
+        return;
+      }
+      if (active || keyPressed) return;
+      emit("onPressStart", "pressstart", "virtual", event, node);
+      emit("onPressEnd", "pressend", "virtual", event, node);
+      emit("onPress", "press", "virtual", event, node);
+    };
+
+    node.addEventListener("pointerdown", handlePointerDown);
+    node.addEventListener("keydown", handleKeyDown);
+    node.addEventListener("keyup", handleKeyUp);
+    node.addEventListener("blur", handleBlur);
+    node.addEventListener("click", handleClick);
+
+    return () => {
+      stopTracking();
+      clearTimeout(ignoreClickTimer);
+      node.removeEventListener("pointerdown", handlePointerDown);
+      node.removeEventListener("keydown", handleKeyDown);
+      node.removeEventListener("keyup", handleKeyUp);
+      node.removeEventListener("blur", handleBlur);
+      node.removeEventListener("click", handleClick);
+      setIsPressed(false);
+    };
+  }, [node, disabled, emit]);
+
+  return [setNode, isPressed];
+}
+
+// Example usage:
+// const [likeRef, isPressed] = usePress({ onPress: (e) => like(e.pointerType) });
+// <button ref={likeRef} aria-pressed={liked} className={isPressed ? "opacity-75" : ""}>♥</button>
+export default usePress;
@@ -0,0 +1,33 @@
+import { useState } from "react";
+
+/**
+ * usePrevious - The value before the last change
+ *
+ * Tracks changes rather than renders: re-rendering with the same value
+ * keeps the previous one. Stored in state, not read from a ref during
+ * render, so it's safe with concurrent rendering.
+ *
+ * Usage:
+ * const prevCount = usePrevious(count);
+ * // count 0 -> 1: prevCount === 0
+ *
+ * @param {any} value - Value to track
+ * @returns {any} - The previous value (undefined until the first change)
+ */
+export function usePrevious(value) {
+  const [current, setCurrent] = useState(value);
+  const [previous, setPrevious] = useState(undefined);
+
+  // Adjusting state during render: React re-renders before committing
+  if (!Object.is(value, current)) {
+    setPrevious(current);
+    setCurrent(value);
+  }
+
+  return previous;
+}
+
+// Example usage:
+// const prevPrice = usePrevious(price);
+// const trend = prevPrice === undefined ? null : price > prevPrice ? "up" : "down";
+export default usePrevious;
@@ -0,0 +1,49 @@
+import { useState, useEffect } from "react";
+import {
+  formatRelativeTime,
+  getRelativeTimeUpdateDelay,
+} from "../utils/formatDate";
+
+/**
+ * useRelativeTime - "5 seconds ago" that keeps itself up to date
+ *
+ * Re-renders exactly when the text would change: every second while it
+ * reads in seconds, every minute while it reads in minutes, and so on.
+ *
+ * Usage:
+ * const label = useRelativeTime(comment.createdAt);
+ * <time dateTime={comment.createdAt}>{label}</time>
+ *
+ * @param {Date | string | number} date - Past or future date
+ * @param {object} options - `locale`, `numeric`, `style` (see formatRelativeTime)
+ * @returns {string}
+ */
+export function useRelativeTime(date, options = {}) {
+  const { locale, numeric, style } = options;
+  const [now, setNow] = useState(() => Date.now());
+
+  const time = date instanceof Date ? date.getTime() : date;
+
+  useEffect(() => {
+    let timeoutId;
+    const schedule = () => {
+      timeoutId = setTimeout(() => {
+        setNow(Date.now());
+        schedule();
+      }, getRelativeTimeUpdateDelay(time));
+    };
+
+    setNow(Date.now());
+    schedule();
+    return () => clearTimeout(timeoutId);
+  }, [time]);
+
+  return formatRelativeTime(time, { locale, numeric, style, now });
+}
+
+// Example usage:
+// function Timestamp({ at }) {
+//   const label = useRelativeTime(at, { locale: 'es' }); // "hace 5 minutos"
+//   return <time dateTime={new Date(at).toISOString()} title={formatDate(at)}>{label}</time>;
+// }
+export default useRelativeTime;
@@ -0,0 +1,51 @@
+import { useState, useRef, useEffect } from "react";
+import { observeResize } from "../utils/observers";
+
+/**
+ * useResizeObserver - Observe an element's size
+ *
+ * Elements share one ResizeObserver per `box`, and updates are batched to
+ * one per animation frame. Returns a callback ref, so it follows the
+ * element if it changes.
+ *
+ * Usage:
+ * const { ref, entry } = useResizeObserver();
+ * const columns = (entry?.contentRect.width ?? 0) > 600 ? 3 : 1;
+ *
+ * useResizeObserver({ onResize: (entry) => chart.resize(entry.contentRect) });
+ *
+ * @param {object} options
+ * @param {'content-box'|'border-box'|'device-pixel-content-box'} [options.box] - default 'content-box'
+ * @param {Function} [options.onResize] - (entry) => void; when given, the hook
+ *   doesn't store the entry in state, so resizes don't re-render
+ * @returns {{ ref: Function, entry: ResizeObserverEntry|null }}
+ */
+export function useResizeObserver(options = {}) {
+  const { box = "content-box" } = options;
+  const [node, setNode] = useState(null);
+  const [entry, setEntry] = useState(null);
+
+  const onResizeRef = useRef(options.onResize);
+  useEffect(() => {
+    onResizeRef.current = options.onResize;
+  });
+
+  useEffect(() => {
+    if (!node) return;
+    return observeResize(
+      node,
+      (nextEntry) => {
+        if (onResizeRef.current) onResizeRef.current(nextEntry);
+        else setEntry(nextEntry);
+      },
+      { box }
+    );
+  }, [node, box]);
+
+  return { ref: setNode, entry };
+}
+
+// Example usage:
+// const { ref, entry } = useResizeObserver({ box: 'border-box' });
+// <textarea ref={ref} />  {entry && `${Math.round(entry.borderBoxSize[0].blockSize)}px tall`}
+export default useResizeObserver;
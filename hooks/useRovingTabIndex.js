@@ -0,0 +1,204 @@
+import {
+  useState,
+  useRef,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+} from "react";
+import { mergeProps } from "../utils/mergeProps";
+import {
+  getNextIndex,
+  findTypeaheadMatch,
+  createTypeahead,
+  isTypeaheadKey,
+} from "../utils/rovingFocus";
+
+const ITEM = "data-roving-id";
+
+/**
+ * useRovingTabIndex - One Tab stop for a group of items, arrow keys inside
+ *
+ * Only the active item has `tabIndex={0}`; arrows, Home and End move focus
+ * between items (skipping disabled ones) and make the focused item active,
+ * so Tab returns to it later. Items are found in DOM order inside the
+ * container, which keeps compound components free of index bookkeeping;
+ * items of nested groups are ignored.
+ *
+ * `getItemProps({ itemId, disabled, textValue }, props)` takes the item's
+ * identity first and the element's own props second.
+ *
+ * `roving: false` keeps every item tabbable and only adds arrow keys
+ * (accordion headers). `typeahead` focuses the next item whose text starts
+ * with the typed characters.
+ *
+ * Usage:
+ * const { getContainerProps, getItemProps } = useRovingTabIndex({ orientation: 'horizontal' });
+ * <div role="toolbar" {...getContainerProps()}>
+ *   <button {...getItemProps({ itemId: 'bold' })}>Bold</button>
+ *   <button {...getItemProps({ itemId: 'italic', disabled: true }, { disabled: true })}>Italic</button>
+ * </div>
+ *
+ * @param {object} options
+ * @param {'vertical'|'horizontal'|'both'} [options.orientation] - Arrow keys to use (default: 'vertical')
+ * @param {boolean} [options.loop] - Wrap around the ends (default: true)
+ * @param {boolean} [options.rtl] - Swap left/right
+ * @param {boolean} [options.roving] - Manage tabIndex (default: true)
+ * @param {boolean} [options.typeahead] - Focus items by typing their text (default: false)
+ * @param {string} [options.activeId] - Controlled active item (+ defaultActiveId, onActiveIdChange)
+ * @returns {{ activeId, setActiveId, focusItem, getContainerProps, getItemProps }}
+ */
+export function useRovingTabIndex(options = {}) {
+  const {
+    orientation = "vertical",
+    loop = true,
+    rtl = false,
+    roving = true,
+    typeahead = false,
+    onActiveIdChange,
+  } = options;
+
+  const [uncontrolledId, setUncontrolledId] = useState(
+    options.defaultActiveId ?? null
+  );
+  const isControlled = options.activeId !== undefined;
+  const activeId = isControlled ? options.activeId : uncontrolledId;
+  const onChangeRef = useRef(onActiveIdChange);
+  useEffect(() => {
+    onChangeRef.current = onActiveIdChange;
+  });
+
+  const setActiveId = useCallback(
+    (id) => {
+      if (!isControlled) setUncontrolledId(id);
+      onChangeRef.current?.(id);
+    },
+    [isControlled]
+  );
+
+  const containerRef = useRef(null);
+  const typeaheadRef = useRef(null);
+  if (typeahead && !typeaheadRef.current) {
+    typeaheadRef.current = createTypeahead();
+  }
+
+  // Items of this group, in DOM order
+  const getItems = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return [];
+    return Array.from(container.querySelectorAll(`[${ITEM}]`)).filter(
+      (element) =>
+        element.parentElement.closest("[data-roving-container]") === container
+    );
+  }, []);
+
+  // With no (or a vanished) active item, the first enabled one takes the
+  // Tab stop
+  const [fallbackId, setFallbackId] = useState(null);
+  useLayoutEffect(() => {
+    if (!roving) return;
+    const ids = getItems()
+      .filter((element) => !element.hasAttribute("data-disabled"))
+      .map((element) => element.getAttribute(ITEM));
+    setFallbackId(
+      activeId != null && ids.includes(String(activeId))
+        ? null
+        : (ids[0] ?? null)
+    );
+  });
+  const currentId = activeId == null ? null : String(activeId);
+  const tabStop = fallbackId ?? currentId;
+
+  // Focusing is enough: the item's onFocus makes it active
+  const focusElement = (element) => {
+    element?.focus();
+  };
+
+  /** Focus an item by itemId, or 'first' / 'last' enabled item */
+  const focusItem = useCallback(
+    (target) => {
+      const items = getItems().filter(
+        (element) => !element.hasAttribute("data-disabled")
+      );
+      const element =
+        target === "first"
+          ? items[0]
+          : target === "last"
+            ? items[items.length - 1]
+            : items.find((item) => item.getAttribute(ITEM) === String(target));
+      element?.focus();
+    },
+    [getItems]
+  );
+
+  const onKeyDown = (event) => {
+    if (event.defaultPrevented) return;
+    const items = getItems();
+    const index = items.indexOf(event.target);
+    // Keys typed into content inside the group (e.g. a panel) aren't ours
+    if (index === -1) return;
+    const isDisabled = (i) => items[i].hasAttribute("data-disabled");
+
+    const next = getNextIndex(event.key, index, items.length, {
+      orientation,
+      loop,
+      rtl,
+      isDisabled,
+    });
+    if (next !== null) {
+      event.preventDefault();
+      focusElement(items[next]);
+      return;
+    }
+
+    if (typeahead && isTypeaheadKey(event)) {
+      const search = typeaheadRef.current(event.key);
+      const labels = items.map(
+        (element) => element.dataset.rovingText ?? element.textContent
+      );
+      const match = findTypeaheadMatch(labels, search, index, isDisabled);
+      if (match !== -1) focusElement(items[match]);
+    }
+  };
+
+  const getContainerProps = (props = {}) =>
+    mergeProps(
+      {
+        ref: containerRef,
+        "data-roving-container": "",
+        onKeyDown,
+      },
+      props
+    );
+
+  const getItemProps = ({ itemId, disabled = false, textValue }, props = {}) =>
+    mergeProps(
+      {
+        [ITEM]: String(itemId),
+        "data-disabled": disabled ? "" : undefined,
+        "data-roving-text": textValue,
+        tabIndex: roving ? (String(itemId) === tabStop ? 0 : -1) : undefined,
+        onFocus: (event) => {
+          if (
+            event.target === event.currentTarget &&
+            String(itemId) !== currentId
+          ) {
+            setActiveId(String(itemId));
+          }
+        },
+      },
+      props
+    );
+
+  return {
+    activeId,
+    setActiveId,
+    focusItem,
+    getContainerProps,
+    getItemProps,
+  };
+}
+
+// Example usage:
+// const roving = useRovingTabIndex({ orientation: 'horizontal', typeahead: true });
+// <ul {...roving.getContainerProps()}>{files.map((f) => <li key={f.id} {...roving.getItemProps({ itemId: f.id })}>{f.name}</li>)}</ul>
+export default useRovingTabIndex;
@@ -0,0 +1,78 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useRovingTabIndex } from "./useRovingTabIndex";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useRovingTabIndex", () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+  });
+
+  function Toolbar({ onActiveIdChange }) {
+    const { getContainerProps, getItemProps } = useRovingTabIndex({
+      orientation: "horizontal",
+      typeahead: true,
+      onActiveIdChange,
+    });
+    return (
+      <div {...getContainerProps()}>
+        {["bold", "italic", "underline"].map((id) => (
+          <button key={id} {...getItemProps({ itemId: id })}>
+            {id}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  const button = (name) =>
+    Array.from(container.querySelectorAll("button")).find(
+      (element) => element.textContent === name
+    );
+
+  const press = (key) =>
+    act(() => {
+      document.activeElement.dispatchEvent(
+        new KeyboardEvent("keydown", { key, bubbles: true })
+      );
+    });
+
+  it("reports each arrow or typeahead move once", () => {
+    const onActiveIdChange = vi.fn();
+    act(() => root.render(<Toolbar onActiveIdChange={onActiveIdChange} />));
+    act(() => button("bold").focus());
+    expect(onActiveIdChange.mock.calls).toEqual([["bold"]]);
+
+    press("ArrowRight");
+    press("u");
+    expect(document.activeElement).toBe(button("underline"));
+    expect(onActiveIdChange.mock.calls).toEqual([
+      ["bold"],
+      ["italic"],
+      ["underline"],
+    ]);
+  });
+
+  it("doesn't report refocusing the active item", () => {
+    const onActiveIdChange = vi.fn();
+    act(() => root.render(<Toolbar onActiveIdChange={onActiveIdChange} />));
+    act(() => button("italic").focus());
+    act(() => button("italic").blur());
+    act(() => button("italic").focus());
+    expect(onActiveIdChange.mock.calls).toEqual([["italic"]]);
+    expect(button("italic").tabIndex).toBe(0);
+  });
+});
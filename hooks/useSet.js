@@ -0,0 +1,48 @@
+import { useState, useMemo, useRef } from "react";
+
+/**
+ * useSet - Set state; every update produces a new Set so React re-renders
+ *
+ * Usage:
+ * const [selectedIds, { toggle, clear }] = useSet();
+ * <Checkbox checked={selectedIds.has(id)} onChange={() => toggle(id)} />
+ *
+ * @param {Iterable|Function} initialValues - Starting values
+ * @returns {[Set, { add: Function, remove: Function, toggle: Function, clear: Function, reset: Function }]}
+ */
+export function useSet(initialValues) {
+  const [set, setSet] = useState(
+    () =>
+      new Set(
+        typeof initialValues === "function" ? initialValues() : initialValues
+      )
+  );
+  const initialRef = useRef(set);
+
+  const actions = useMemo(() => {
+    const update = (fn) =>
+      setSet((current) => {
+        const next = new Set(current);
+        fn(next);
+        return next;
+      });
+    return {
+      add: (...values) => update((next) => values.forEach((v) => next.add(v))),
+      remove: (...values) =>
+        update((next) => values.forEach((v) => next.delete(v))),
+      toggle: (value) =>
+        update((next) =>
+          next.has(value) ? next.delete(value) : next.add(value)
+        ),
+      clear: () => setSet(new Set()),
+      reset: () => setSet(initialRef.current),
+    };
+  }, []);
+
+  return [set, actions];
+}
+
+// Example usage:
+// const [expanded, { toggle: toggleRow }] = useSet();
+// rows.map((row) => <Row key={row.id} open={expanded.has(row.id)} onToggle={() => toggleRow(row.id)} />)
+export default useSet;
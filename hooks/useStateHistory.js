@@ -0,0 +1,110 @@
+import { useReducer, useMemo } from "react";
+
+function reducer(state, action) {
+  const { past, present, future } = state;
+
+  switch (action.type) {
+    case "set": {
+      const next =
+        typeof action.value === "function"
+          ? action.value(present)
+          : action.value;
+      if (Object.is(next, present)) return state;
+      return {
+        // Drop the oldest entries once past the capacity
+        past: [...past, present].slice(-action.capacity),
+        present: next,
+        future: [],
+      };
+    }
+    case "undo":
+      if (!past.length) return state;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+      };
+    case "redo":
+      if (!future.length) return state;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+      };
+    case "go": {
+      // Jump to an index in [...past, present, ...future]
+      const timeline = [...past, present, ...future];
+      const index = Math.min(Math.max(action.index, 0), timeline.length - 1);
+      return {
+        past: timeline.slice(0, index),
+        present: timeline[index],
+        future: timeline.slice(index + 1),
+      };
+    }
+    case "reset":
+      return {
+        past: [],
+        present: "value" in action ? action.value : present,
+        future: [],
+      };
+    default:
+      return state;
+  }
+}
+
+/**
+ * useStateHistory - useState with undo/redo
+ *
+ * Usage:
+ * const [text, setText, { undo, redo, canUndo, canRedo }] = useStateHistory('');
+ * <textarea value={text} onChange={(e) => setText(e.target.value)} />
+ * <button onClick={undo} disabled={!canUndo}>Undo</button>
+ *
+ * @param {any|Function} initialValue - Starting state
+ * @param {object} options
+ * @param {number} [options.capacity] - Max undo steps kept (default: 100)
+ * @returns {[any, Function, Object]} - [state, setState, { undo, redo, go, reset, canUndo, canRedo, past, future }]
+ */
+export function useStateHistory(initialValue, options = {}) {
+  const { capacity = 100 } = options;
+
+  const [state, dispatch] = useReducer(reducer, undefined, () => ({
+    past: [],
+    present: typeof initialValue === "function" ? initialValue() : initialValue,
+    future: [],
+  }));
+
+  const setState = useMemo(
+    () => (value) => dispatch({ type: "set", value, capacity }),
+    [capacity]
+  );
+
+  const controls = useMemo(
+    () => ({
+      undo: () => dispatch({ type: "undo" }),
+      redo: () => dispatch({ type: "redo" }),
+      go: (index) => dispatch({ type: "go", index }),
+      // Start a fresh history, from a new value or the current one
+      reset: (...args) =>
+        dispatch({ type: "reset", ...(args.length ? { value: args[0] } : {}) }),
+    }),
+    []
+  );
+
+  return [
+    state.present,
+    setState,
+    {
+      ...controls,
+      canUndo: state.past.length > 0,
+      canRedo: state.future.length > 0,
+      past: state.past,
+      future: state.future,
+    },
+  ];
+}
+
+// Example usage:
+// const [shapes, setShapes, { undo, redo }] = useStateHistory([], { capacity: 50 });
+// <Toolbar onUndo={undo} onRedo={redo} />
+export default useStateHistory;
@@ -0,0 +1,112 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { storage as localStore } from "../utils/storage";
+
+const MISSING = Symbol("missing");
+
+const isThenable = (value) => typeof value?.then === "function";
+
+/**
+ * useStorageState - useState that persists to storage and stays in sync
+ *
+ * Updates from other components using the same key, and from other tabs,
+ * are reflected automatically. Async storages (utils/idbStorage) work too:
+ * the hook renders `initialValue` until the stored value has loaded.
+ *
+ * Usage:
+ * const [cart, setCart, clearCart] = useStorageState('cart', []);
+ * const [draft, setDraft] = useStorageState('draft', '', { ttl: 3600000 });
+ * const [token, setToken] = useStorageState('token', null, { storage: storage.session });
+ * const [photos, setPhotos] = useStorageState('photos', [], { storage: idbStorage });
+ *
+ * @param {string} key - Storage key
+ * @param {any|Function} initialValue - Used when nothing (valid) is stored
+ * @param {object} options
+ * @param {object} [options.storage] - A storage from utils/storage or utils/idbStorage (default: localStorage)
+ * @param {number} [options.ttl] - Expire saved values after this many ms
+ * @param {Function|object} [options.schema] - Validate stored values on read
+ * @returns {[any, Function, Function]} - [value, setValue, remove]
+ */
+export function useStorageState(key, initialValue, options = {}) {
+  const { storage = localStore, ttl, schema } = options;
+
+  const initialRef = useRef(initialValue);
+  // Schemas are often inline objects; re-reading on every render isn't wanted
+  const schemaRef = useRef(schema);
+  useEffect(() => {
+    schemaRef.current = schema;
+  });
+
+  const getInitial = useCallback(
+    () =>
+      typeof initialRef.current === "function"
+        ? initialRef.current()
+        : initialRef.current,
+    []
+  );
+  const resolve = useCallback(
+    (stored) => (stored === MISSING ? getInitial() : stored),
+    [getInitial]
+  );
+  const read = useCallback(
+    () => storage.get(key, MISSING, { schema: schemaRef.current }),
+    [key, storage]
+  );
+
+  const [value, setValue] = useState(() =>
+    storage.isAsync ? getInitial() : resolve(read())
+  );
+  // For functional updates; set() also writes it so back-to-back updates chain
+  const valueRef = useRef(value);
+  useEffect(() => {
+    valueRef.current = value;
+  }, [value]);
+  // Bumped on every local write so slow async reads can't clobber it
+  const writesRef = useRef(0);
+
+  useEffect(() => {
+    let active = true;
+
+    const sync = () => {
+      const stored = read();
+      if (!isThenable(stored)) {
+        setValue(resolve(stored));
+        return;
+      }
+      const writes = writesRef.current;
+      stored.then((result) => {
+        if (active && writes === writesRef.current) setValue(resolve(result));
+      });
+    };
+
+    sync();
+    // Re-read rather than trusting the notified value: a removed key and a
+    // stored `null` both arrive as null, but only removal means initialValue
+    const unsubscribe = storage.subscribe(key, sync);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [key, storage, read, resolve]);
+
+  const set = useCallback(
+    (next) => {
+      const resolved =
+        typeof next === "function" ? next(valueRef.current) : next;
+      valueRef.current = resolved;
+      writesRef.current += 1;
+      setValue(resolved);
+      storage.set(key, resolved, { ttl });
+    },
+    [key, storage, ttl]
+  );
+
+  const remove = useCallback(() => storage.remove(key), [key, storage]);
+
+  return [value, set, remove];
+}
+
+// Example usage:
+// const [sidebarOpen, setSidebarOpen] = useStorageState('sidebar-open', true);
+// <button onClick={() => setSidebarOpen((open) => !open)}>Toggle</button>
+export default useStorageState;
@@ -0,0 +1,64 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createStorage } from "../utils/storage";
+import { useStorageState } from "./useStorageState";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useStorageState", () => {
+  let container;
+  let root;
+  let storage;
+  let state;
+
+  beforeEach(() => {
+    localStorage.clear();
+    storage = createStorage("local", { namespace: "test" });
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+  });
+
+  function Theme() {
+    state = useStorageState("theme", "light", { storage });
+    return null;
+  }
+
+  it("keeps a stored null instead of falling back to initialValue", () => {
+    act(() => root.render(<Theme />));
+    expect(state[0]).toBe("light");
+
+    act(() => storage.set("theme", null));
+    expect(state[0]).toBe(null);
+  });
+
+  it("falls back to initialValue when the key is removed", () => {
+    storage.set("theme", "dark");
+    act(() => root.render(<Theme />));
+    expect(state[0]).toBe("dark");
+
+    act(() => storage.remove("theme"));
+    expect(state[0]).toBe("light");
+  });
+
+  it("reads a null written by another tab", () => {
+    act(() => root.render(<Theme />));
+    act(() => {
+      localStorage.setItem("test:theme", "null");
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "test:theme",
+          storageArea: localStorage,
+        })
+      );
+    });
+    expect(state[0]).toBe(null);
+  });
+});
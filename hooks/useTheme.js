@@ -1,43 +1,68 @@
-import { useState, useEffect } from "react";
+import { createContext, useContext, useEffect, useState } from "react";
+import {
+  DEFAULT_STORAGE_KEY,
+  getStoredTheme,
+  getSystemTheme,
+} from "../utils/theme";
 
-/**
- * useTheme - Simple light/dark theme hook
- *
- * Usage:
- * const [theme, toggleTheme] = useTheme();
- * <button onClick={toggleTheme}>Switch to {theme === 'light' ? 'dark' : 'light'} mode</button>
- *
- * Returns: [currentTheme, toggleTheme]
- * currentTheme: 'light' | 'dark'
- * toggleTheme: () => void
- */
-export function useTheme() {
+export const ThemeContext = createContext(null);
+
+// Without a provider: the original light/dark toggle, a `dark` class on
+// <html> and the choice saved under "theme"
+function useStandaloneTheme(enabled) {
   const [theme, setTheme] = useState("light");
 
   useEffect(() => {
-    // Check localStorage first
-    const savedTheme = localStorage.getItem("theme");
-    if (savedTheme) {
-      setTheme(savedTheme);
-      document.documentElement.classList.toggle("dark", savedTheme === "dark");
-    } else {
-      // Default to system preference
-      const prefersDark = window.matchMedia(
-        "(prefers-color-scheme: dark)"
-      ).matches;
-      setTheme(prefersDark ? "dark" : "light");
-      document.documentElement.classList.toggle("dark", prefersDark);
-    }
-  }, []);
+    if (!enabled) return;
+    const saved = getStoredTheme();
+    const initial =
+      saved === "dark" || saved === "light" ? saved : getSystemTheme();
+    setTheme(initial);
+    document.documentElement.classList.toggle("dark", initial === "dark");
+  }, [enabled]);
 
   const toggleTheme = () => {
-    const newTheme = theme === "light" ? "dark" : "light";
-    setTheme(newTheme);
-    localStorage.setItem("theme", newTheme);
-    document.documentElement.classList.toggle("dark", newTheme === "dark");
+    const next = theme === "light" ? "dark" : "light";
+    setTheme(next);
+    try {
+      localStorage.setItem(DEFAULT_STORAGE_KEY, next);
+    } catch (err) {
+      console.error(`[useTheme] Error saving theme "${next}":`, err);
+    }
+    document.documentElement.classList.toggle("dark", next === "dark");
   };
 
   return [theme, toggleTheme];
 }
 
+/**
+ * useTheme - Read and change the active theme
+ *
+ * Inside <ThemeProvider> it returns the provider's state and actions.
+ *
+ * Usage:
+ * const { theme, resolvedTheme, setTheme, toggleTheme, themes } = useTheme();
+ * <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+ *   <option value="system">System</option>
+ *   {themes.map((t) => <option key={t}>{t}</option>)}
+ * </select>
+ *
+ * Returns:
+ * theme: the saved choice, 'system' or a theme name
+ * resolvedTheme: the theme actually applied ('system' resolved through systemThemes)
+ * systemTheme: the OS preference, 'light' | 'dark'
+ * themes: available theme names
+ * setTheme: (name) => void
+ * toggleTheme: () => void, switches between the light and dark themes
+ *
+ * Without a provider it keeps its original standalone form, a light/dark
+ * toggle that sets the `dark` class on <html>:
+ * const [theme, toggleTheme] = useTheme();
+ */
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  const standalone = useStandaloneTheme(!context);
+  return context ?? standalone;
+}
+
 export default useTheme;
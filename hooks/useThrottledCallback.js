@@ -0,0 +1,42 @@
+import { useEffect, useMemo, useRef } from "react";
+import { throttle } from "../utils/throttle";
+
+/**
+ * useThrottledCallback - Stable throttled function that always calls the
+ * latest `callback` and cancels its trailing call on unmount
+ *
+ * Usage:
+ * const onScroll = useThrottledCallback(() => setY(window.scrollY), 100);
+ * useEventListener('scroll', onScroll);
+ *
+ * @param {Function} callback - Function to throttle
+ * @param {number} wait - Minimum time (ms) between calls
+ * @param {object} options - `leading`, `trailing` (see utils/throttle)
+ * @returns {Function} - Throttled function with cancel(), flush() and pending()
+ */
+export function useThrottledCallback(callback, wait = 1000, options = {}) {
+  const { leading, trailing } = options;
+
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  const throttled = useMemo(
+    () =>
+      throttle((...args) => callbackRef.current(...args), wait, {
+        leading,
+        trailing,
+      }),
+    [wait, leading, trailing]
+  );
+
+  useEffect(() => () => throttled.cancel(), [throttled]);
+
+  return throttled;
+}
+
+// Example usage:
+// const trackMove = useThrottledCallback((e) => log(e.clientX, e.clientY), 250);
+// <div onPointerMove={trackMove} />
+export default useThrottledCallback;
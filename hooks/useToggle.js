@@ -0,0 +1,28 @@
+import { useState, useCallback } from "react";
+
+/**
+ * useToggle - Boolean state with a stable toggle
+ *
+ * Usage:
+ * const [isOpen, toggleOpen, setOpen] = useToggle();
+ * <button onClick={toggleOpen}>Menu</button>  // flips
+ * toggleOpen(true);                           // forces a value
+ *
+ * @param {boolean} initialValue - Starting state (default: false)
+ * @returns {[boolean, Function, Function]} - [value, toggle, setValue]
+ */
+export function useToggle(initialValue = false) {
+  const [value, setValue] = useState(initialValue);
+
+  // Only an explicit boolean forces the value; click events etc. just flip it
+  const toggle = useCallback((next) => {
+    setValue((current) => (typeof next === "boolean" ? next : !current));
+  }, []);
+
+  return [value, toggle, setValue];
+}
+
+// Example usage:
+// const [showDetails, toggleDetails] = useToggle();
+// <button onClick={toggleDetails}>{showDetails ? "Hide" : "Show"} details</button>
+export default useToggle;
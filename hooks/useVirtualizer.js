@@ -0,0 +1,405 @@
+import {
+  useState,
+  useRef,
+  useMemo,
+  useEffect,
+  useLayoutEffect,
+  useCallback,
+} from "react";
+import { observeResize } from "../utils/observers";
+import { throttle } from "../utils/throttle";
+import { debounce } from "../utils/debounce";
+
+const EMPTY = [];
+const defaultKey = (index) => index;
+// How close to the end (px) still counts as "at the end" in reverse mode
+const END_THRESHOLD = 2;
+
+// Index of the item containing `offset` (last start <= offset)
+function findIndex(starts, count, offset) {
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+const readOffset = (element, horizontal) =>
+  horizontal ? element.scrollLeft : element.scrollTop;
+
+/**
+ * useVirtualizer - Headless windowing: which items to render and where
+ *
+ * Sizes are fixed (`itemSize` number or per-index function) or measured
+ * (`estimateSize` + `measureElement`). The scroll container's size comes
+ * from the shared ResizeObserver and scroll updates are throttled.
+ *
+ * Usage:
+ * const { scrollRef, virtualItems, totalSize, measureElement } = useVirtualizer({
+ *   count: rows.length,
+ *   estimateSize: 48,
+ * });
+ * <div ref={scrollRef} style={{ height: 400, overflow: 'auto' }}>
+ *   <div style={{ height: totalSize, position: 'relative' }}>
+ *     {virtualItems.map((item) => (
+ *       <div key={item.key} ref={measureElement} data-index={item.index}
+ *         style={{ position: 'absolute', top: 0, width: '100%', transform: `translateY(${item.start}px)` }}>
+ *         {rows[item.index].text}
+ *       </div>
+ *     ))}
+ *   </div>
+ * </div>
+ *
+ * @param {object} options
+ * @param {number} options.count - Number of items
+ * @param {number|Function} [options.itemSize] - Fixed size, or (index) => size
+ * @param {number|Function} [options.estimateSize] - Guess for measured items (default: 50)
+ * @param {number} [options.overscan] - Extra items rendered on each side (default: 3)
+ * @param {boolean} [options.horizontal] - Virtualize columns instead of rows
+ * @param {boolean} [options.reverse] - Chat mode: start at the end, stick to it
+ *   as items arrive, keep position when older items are prepended
+ * @param {number[]} [options.stickyIndices] - Items that stick while scrolled past (section headers)
+ * @param {Function} [options.getItemKey] - (index) => key; stable keys keep measurements across inserts
+ * @param {number} [options.gap] - Space between items in px
+ * @param {number} [options.paddingStart]
+ * @param {number} [options.paddingEnd]
+ * @param {Element} [options.scrollElement] - Use an existing scroll container instead of scrollRef
+ * @returns {{ scrollRef, virtualItems, totalSize, measureElement, scrollToIndex, scrollToOffset, range, isScrolling }}
+ */
+export function useVirtualizer(options) {
+  const {
+    count,
+    itemSize,
+    estimateSize = 50,
+    overscan = 3,
+    horizontal = false,
+    reverse = false,
+    stickyIndices = EMPTY,
+    getItemKey = defaultKey,
+    gap = 0,
+    paddingStart = 0,
+    paddingEnd = 0,
+    scrollElement,
+  } = options;
+
+  const [ownElement, setOwnElement] = useState(null);
+  const element = scrollElement ?? ownElement;
+
+  const [viewportSize, setViewportSize] = useState(0);
+  const [scrollOffset, setScrollOffset] = useState(0);
+  const [isScrolling, setIsScrolling] = useState(false);
+  // Measured sizes by item key. Items write into the Map as they report a
+  // size; replacing the wrapper tells the layout below to re-read it.
+  const [measured, setMeasured] = useState(() => ({ sizes: new Map() }));
+  const observedRef = useRef(new Map()); // element -> unobserve
+
+  const measurements = useMemo(() => {
+    const starts = new Float64Array(count);
+    const sizes = new Float64Array(count);
+    let offset = paddingStart;
+    for (let i = 0; i < count; i++) {
+      let size;
+      if (typeof itemSize === "number") size = itemSize;
+      else if (typeof itemSize === "function") size = itemSize(i);
+      else {
+        size =
+          measured.sizes.get(getItemKey(i)) ??
+          (typeof estimateSize === "function" ? estimateSize(i) : estimateSize);
+      }
+      starts[i] = offset;
+      sizes[i] = size;
+      offset += size + (i < count - 1 ? gap : 0);
+    }
+    const contentSize = offset + paddingEnd;
+    // Reverse lists shorter than the viewport sit at the bottom
+    const leading = reverse ? Math.max(0, viewportSize - contentSize) : 0;
+    if (leading) for (let i = 0; i < count; i++) starts[i] += leading;
+    return { starts, sizes, totalSize: contentSize + leading };
+  }, [
+    count,
+    itemSize,
+    estimateSize,
+    getItemKey,
+    gap,
+    paddingStart,
+    paddingEnd,
+    reverse,
+    viewportSize,
+    measured,
+  ]);
+
+  const latest = useRef({});
+  latest.current = {
+    element,
+    horizontal,
+    itemSize,
+    measurements,
+    measuredSizes: measured.sizes,
+    viewportSize,
+    getItemKey,
+    count,
+  };
+
+  // Scroll position and viewport size
+  useEffect(() => {
+    if (!element) return;
+
+    const update = throttle(
+      () => setScrollOffset(readOffset(element, horizontal)),
+      16
+    );
+    const settle = debounce(() => setIsScrolling(false), 150);
+    const handleScroll = () => {
+      update();
+      setIsScrolling(true);
+      settle();
+    };
+
+    setScrollOffset(readOffset(element, horizontal));
+    setViewportSize(horizontal ? element.clientWidth : element.clientHeight);
+    element.addEventListener("scroll", handleScroll, { passive: true });
+    const unobserve = observeResize(element, (entry) =>
+      setViewportSize(
+        horizontal ? entry.contentRect.width : entry.contentRect.height
+      )
+    );
+
+    return () => {
+      element.removeEventListener("scroll", handleScroll);
+      update.cancel();
+      settle.cancel();
+      unobserve();
+    };
+  }, [element, horizontal]);
+
+  const scrollToOffset = useCallback((offset, { behavior = "auto" } = {}) => {
+    const { element: el, horizontal: isHorizontal } = latest.current;
+    if (!el) return;
+    el.scrollTo({ [isHorizontal ? "left" : "top"]: offset, behavior });
+    // Render the destination right away instead of waiting for the event
+    if (behavior !== "smooth") setScrollOffset(offset);
+  }, []);
+
+  const scrollToIndex = useCallback(
+    (index, { align = "auto", behavior = "auto" } = {}, retry = true) => {
+      const {
+        element: el,
+        horizontal: isHorizontal,
+        measurements: m,
+        viewportSize: view,
+        count: n,
+        itemSize: fixedSize,
+      } = latest.current;
+      if (!el || n === 0) return;
+      const i = Math.min(Math.max(index, 0), n - 1);
+      const start = m.starts[i];
+      const size = m.sizes[i];
+      const current = readOffset(el, isHorizontal);
+
+      let target;
+      if (align === "start") target = start;
+      else if (align === "end") target = start + size - view;
+      else if (align === "center") target = start + size / 2 - view / 2;
+      else if (start < current) target = start;
+      else if (start + size > current + view) target = start + size - view;
+      else return; // already fully visible
+
+      const max = Math.max(0, m.totalSize - view);
+      scrollToOffset(Math.min(Math.max(target, 0), max), { behavior });
+
+      // Items on the way may measure differently than estimated: correct once
+      if (retry && fixedSize === undefined && behavior !== "smooth") {
+        requestAnimationFrame(() =>
+          scrollToIndex(index, { align, behavior }, false)
+        );
+      }
+    },
+    [scrollToOffset]
+  );
+
+  const measureElement = useCallback((node) => {
+    if (!node) return;
+
+    const apply = (size) => {
+      const {
+        getItemKey: keyOf,
+        measurements: m,
+        measuredSizes,
+        element: el,
+        horizontal: isHorizontal,
+      } = latest.current;
+      const index = Number(node.dataset.index);
+      if (!Number.isInteger(index) || index >= m.sizes.length) return;
+      const key = keyOf(index);
+      const previous = measuredSizes.get(key) ?? m.sizes[index];
+      if (previous === size) return;
+      measuredSizes.set(key, size);
+
+      // An item above the viewport changed size: shift the scroll position
+      // so the visible content doesn't jump
+      if (el && m.starts[index] < readOffset(el, isHorizontal)) {
+        const delta = size - previous;
+        if (isHorizontal) el.scrollLeft += delta;
+        else el.scrollTop += delta;
+      }
+      setMeasured(({ sizes }) => ({ sizes }));
+    };
+
+    const rect = node.getBoundingClientRect();
+    apply(latest.current.horizontal ? rect.width : rect.height);
+
+    const unobserve = observeResize(
+      node,
+      (entry) => {
+        const box = entry.borderBoxSize?.[0];
+        apply(
+          latest.current.horizontal
+            ? (box?.inlineSize ?? entry.contentRect.width)
+            : (box?.blockSize ?? entry.contentRect.height)
+        );
+      },
+      { box: "border-box" }
+    );
+    observedRef.current.get(node)?.();
+    observedRef.current.set(node, unobserve);
+
+    return () => {
+      unobserve();
+      observedRef.current.delete(node);
+    };
+  }, []);
+
+  // Elements that left the DOM without a ref cleanup call
+  useEffect(() => {
+    observedRef.current.forEach((unobserve, node) => {
+      if (node.isConnected) return;
+      unobserve();
+      observedRef.current.delete(node);
+    });
+  });
+
+  useEffect(() => {
+    const observed = observedRef.current;
+    return () => {
+      observed.forEach((unobserve) => unobserve());
+      observed.clear();
+    };
+  }, []);
+
+  // Reverse mode: start at the end, follow new items while at the end and
+  // hold the first visible item in place when items are prepended
+  const reverseState = useRef({ started: false, atEnd: true, anchor: null });
+  const { starts, sizes, totalSize } = measurements;
+
+  useLayoutEffect(() => {
+    if (!reverse || !element) return;
+    const state = reverseState.current;
+    const end = Math.max(0, totalSize - viewportSize);
+
+    if (!state.started) {
+      if (count === 0 || viewportSize === 0) return;
+      state.started = true;
+      scrollToOffset(end);
+      return;
+    }
+
+    if (state.atEnd) {
+      if (Math.abs(readOffset(element, horizontal) - end) > END_THRESHOLD) {
+        scrollToOffset(end);
+      }
+      return;
+    }
+
+    // getItemKey is usually an inline function, which also makes the
+    // layout new on every render: neither means the keys changed
+    const { getItemKey: keyOf, measurements: m } = latest.current;
+    const { anchor } = state;
+    if (anchor && anchor.key !== keyOf(anchor.index)) {
+      for (let i = 0; i < count; i++) {
+        if (keyOf(i) === anchor.key) {
+          scrollToOffset(m.starts[i] - anchor.delta);
+          break;
+        }
+      }
+    }
+  }, [
+    reverse,
+    element,
+    horizontal,
+    count,
+    totalSize,
+    viewportSize,
+    scrollToOffset,
+  ]);
+
+  // Remember where we are for the next update (after the adjustment above)
+  useLayoutEffect(() => {
+    if (!reverse || !element || count === 0) return;
+    const state = reverseState.current;
+    const offset = readOffset(element, horizontal);
+    const index = findIndex(starts, count, offset);
+    state.atEnd =
+      !state.started || offset + viewportSize >= totalSize - END_THRESHOLD;
+    state.anchor = {
+      index,
+      key: getItemKey(index),
+      delta: starts[index] - offset,
+    };
+  });
+
+  // Visible range
+  let startIndex = 0;
+  let endIndex = -1;
+  if (count > 0) {
+    startIndex = findIndex(starts, count, scrollOffset);
+    endIndex = startIndex;
+    while (
+      endIndex < count - 1 &&
+      starts[endIndex + 1] < scrollOffset + viewportSize
+    ) {
+      endIndex++;
+    }
+  }
+
+  const from = Math.max(0, startIndex - overscan);
+  const to = Math.min(count - 1, endIndex + overscan);
+
+  // The last sticky index at or before the top stays rendered
+  const activeSticky = stickyIndices.reduce(
+    (found, index) => (index <= startIndex && index > found ? index : found),
+    -1
+  );
+
+  const virtualItems = [];
+  if (activeSticky !== -1 && activeSticky < from) {
+    virtualItems.push(activeSticky);
+  }
+  for (let i = from; i <= to; i++) virtualItems.push(i);
+
+  return {
+    scrollRef: setOwnElement,
+    virtualItems: virtualItems.map((index) => ({
+      index,
+      key: getItemKey(index),
+      start: starts[index],
+      size: sizes[index],
+      end: starts[index] + sizes[index],
+      isSticky: stickyIndices.includes(index),
+      isActiveSticky: index === activeSticky,
+    })),
+    totalSize,
+    measureElement,
+    scrollToIndex,
+    scrollToOffset,
+    range: { startIndex, endIndex },
+    isScrolling,
+  };
+}
+
+// Example usage:
+// const virtualizer = useVirtualizer({ count: 10000, itemSize: 32, overscan: 10 });
+// <button onClick={() => virtualizer.scrollToIndex(5000, { align: 'center' })}>Jump</button>
+export default useVirtualizer;
@@ -0,0 +1,221 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useVirtualizer } from "./useVirtualizer";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const VIEWPORT = 100;
+
+describe("useVirtualizer", () => {
+  let resizeCallbacks;
+  let frames;
+  let container;
+  let root;
+  let virtualizer;
+
+  beforeEach(() => {
+    // Items report their size through ResizeObserver, batched per frame
+    resizeCallbacks = new Map();
+    vi.stubGlobal(
+      "ResizeObserver",
+      class {
+        constructor(callback) {
+          this.callback = callback;
+        }
+        observe(element) {
+          resizeCallbacks.set(element, this.callback);
+        }
+        unobserve(element) {
+          resizeCallbacks.delete(element);
+        }
+        disconnect() {}
+      }
+    );
+    frames = [];
+    vi.stubGlobal("requestAnimationFrame", (callback) => frames.push(callback));
+
+    // jsdom has no layout: the scroller is VIEWPORT tall, items are as tall
+    // as their data-size
+    vi.spyOn(HTMLElement.prototype, "clientHeight", "get").mockImplementation(
+      function () {
+        return this.dataset.scroller !== undefined ? VIEWPORT : 0;
+      }
+    );
+    vi.spyOn(HTMLElement.prototype, "getBoundingClientRect").mockImplementation(
+      function () {
+        const height = Number(this.dataset.size ?? 0);
+        return {
+          top: 0,
+          left: 0,
+          width: 100,
+          height,
+          right: 100,
+          bottom: height,
+        };
+      }
+    );
+    HTMLElement.prototype.scrollTo = function ({ top }) {
+      this.scrollTop = top;
+    };
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    delete HTMLElement.prototype.scrollTo;
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  function List({ items, sizes = {}, ...options }) {
+    virtualizer = useVirtualizer({
+      count: items.length,
+      getItemKey: (index) => items[index],
+      ...options,
+    });
+    return (
+      <div ref={virtualizer.scrollRef} data-scroller="">
+        <div style={{ height: virtualizer.totalSize }}>
+          {virtualizer.virtualItems.map((item) => (
+            <div
+              key={item.key}
+              ref={virtualizer.measureElement}
+              data-index={item.index}
+              data-size={sizes[items[item.index]] ?? 20}
+            />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const scroller = () => container.querySelector("[data-scroller]");
+  const range = (n, prefix = "item") =>
+    Array.from({ length: n }, (_, i) => `${prefix}-${i}`);
+
+  const scrollTo = (offset) =>
+    act(() => {
+      scroller().scrollTop = offset;
+      scroller().dispatchEvent(new Event("scroll"));
+    });
+
+  const resize = (key, height) =>
+    act(() => {
+      const node = [...container.querySelectorAll("[data-index]")].find(
+        (element) =>
+          virtualizer.virtualItems.some(
+            (item) =>
+              item.key === key && item.index === Number(element.dataset.index)
+          )
+      );
+      node.dataset.size = height;
+      resizeCallbacks.get(node)([
+        { target: node, borderBoxSize: [{ blockSize: height }] },
+      ]);
+      frames.splice(0).forEach((callback) => callback());
+    });
+
+  describe("measured sizes", () => {
+    it("lays out items with their measured size instead of the estimate", () => {
+      const items = range(50);
+      act(() =>
+        root.render(
+          <List items={items} estimateSize={20} sizes={{ "item-1": 35 }} />
+        )
+      );
+
+      const [, second, third] = virtualizer.virtualItems;
+      expect(second.size).toBe(35);
+      expect(third.start).toBe(55);
+      expect(virtualizer.totalSize).toBe(50 * 20 + 15);
+    });
+
+    it("shifts the scroll position when an item above the viewport grows", () => {
+      const items = range(50);
+      act(() =>
+        root.render(<List items={items} estimateSize={20} overscan={10} />)
+      );
+      scrollTo(200);
+
+      // item-5 starts at 100, above the viewport
+      resize("item-5", 50);
+      expect(scroller().scrollTop).toBe(230);
+      expect(virtualizer.totalSize).toBe(50 * 20 + 30);
+
+      // item-15 starts below the top edge: nothing visible moves
+      resize("item-15", 40);
+      expect(scroller().scrollTop).toBe(230);
+      expect(virtualizer.totalSize).toBe(50 * 20 + 50);
+    });
+
+    it("keeps a measurement with its key when items are inserted before it", () => {
+      act(() =>
+        root.render(
+          <List items={range(20)} estimateSize={20} sizes={{ "item-0": 60 }} />
+        )
+      );
+      act(() =>
+        root.render(
+          <List
+            items={["new", ...range(20)]}
+            estimateSize={20}
+            sizes={{ "item-0": 60 }}
+          />
+        )
+      );
+      expect(virtualizer.virtualItems[1]).toMatchObject({
+        key: "item-0",
+        size: 60,
+      });
+    });
+  });
+
+  describe("reverse mode", () => {
+    it("starts scrolled to the end", () => {
+      act(() => root.render(<List items={range(30)} itemSize={20} reverse />));
+      expect(scroller().scrollTop).toBe(30 * 20 - VIEWPORT);
+    });
+
+    it("follows new items while at the end", () => {
+      let items = range(30);
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+
+      items = [...items, "new-0", "new-1"];
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+      expect(scroller().scrollTop).toBe(32 * 20 - VIEWPORT);
+    });
+
+    it("keeps the first visible item in place when older items are prepended", () => {
+      let items = range(30);
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+      scrollTo(110);
+
+      items = [...range(5, "older"), ...items];
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+      expect(scroller().scrollTop).toBe(110 + 5 * 20);
+    });
+
+    it("doesn't follow new items once scrolled away from the end", () => {
+      let items = range(30);
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+      scrollTo(200);
+
+      items = [...items, "new-0"];
+      act(() => root.render(<List items={items} itemSize={20} reverse />));
+      expect(scroller().scrollTop).toBe(200);
+    });
+
+    it("places a list shorter than the viewport at the bottom", () => {
+      act(() => root.render(<List items={range(2)} itemSize={20} reverse />));
+      expect(virtualizer.virtualItems.map((item) => item.start)).toEqual([
+        60, 80,
+      ]);
+    });
+  });
+});
@@ -2,6 +2,10 @@
 const nextConfig = {
   /* config options here */
   reactCompiler: true,
+  experimental: {
+    // Import hooks/components/utils from the repo root
+    externalDir: true,
+  },
 };
 
 export default nextConfig;
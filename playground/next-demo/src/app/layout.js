@@ -1,4 +1,6 @@
 import { Geist, Geist_Mono } from "next/font/google";
+import ThemeProvider from "../../../../components/ThemeProvider";
+import { getThemeScript } from "../../../../utils/theme";
 import "./globals.css";
 
 const geistSans = Geist({
@@ -18,11 +20,15 @@ export const metadata = {
 
 export default function RootLayout({ children }) {
   return (
-    <html lang="en">
+    // The theme script sets a class on <html> before React hydrates
+    <html lang="en" suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: getThemeScript() }} />
+      </head>
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        {children}
+        <ThemeProvider>{children}</ThemeProvider>
       </body>
     </html>
   );
@@ -1,3 +1,4 @@
+// Teaching version. Shipped component: components/ErrorBoundary.jsx
 import React from "react";
 
 export default class ErrorBoundary extends React.Component {
@@ -0,0 +1,13 @@
+// Teaching version. Shipped hooks: hooks/useDebounce.js, hooks/useDebouncedCallback.js
+import { useState, useEffect } from "react";
+
+export default function useDebounce(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const id = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(id);
+  }, [value, delay]);
+
+  return debounced;
+}
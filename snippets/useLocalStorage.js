@@ -0,0 +1,23 @@
+// Teaching version. Shipped hook: hooks/useStorageState.js
+import { useState, useEffect } from "react";
+
+export default function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored !== null ? JSON.parse(stored) : initialValue;
+    } catch {
+      return initialValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Quota exceeded or storage blocked
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -0,0 +1,13 @@
+// Teaching version (ref-based). Shipped hook: hooks/usePrevious.js
+import { useEffect, useRef } from "react";
+
+export default function usePrevious(value) {
+  const ref = useRef();
+
+  // Runs after render, so during render ref.current is still the old value
+  useEffect(() => {
+    ref.current = value;
+  }, [value]);
+
+  return ref.current;
+}
@@ -0,0 +1,10 @@
+// Teaching version. Shipped hook: hooks/useToggle.js
+import { useState, useCallback } from "react";
+
+export default function useToggle(initialValue = false) {
+  const [value, setValue] = useState(initialValue);
+
+  const toggle = useCallback(() => setValue((v) => !v), []);
+
+  return [value, toggle];
+}
@@ -18,7 +18,7 @@ export function classNames(...args) {
   return args
     .flatMap((arg) => {
       if (!arg) return [];
-      if (typeof arg === "string") return arg.split(" ");
+      if (typeof arg === "string") return arg.split(/\s+/).filter(Boolean);
       if (Array.isArray(arg)) return arg.flatMap((a) => classNames(a));
       if (typeof arg === "object") {
         return Object.entries(arg)
@@ -30,7 +30,252 @@ export function classNames(...args) {
     .join(" ");
 }
 
+/*
+ * Tailwind conflict groups. A utility's group decides what it overrides:
+ * "p-2 p-4" keeps p-4, "text-sm text-red-500" keeps both (size vs colour).
+ * Ordered: the first matching rule wins.
+ */
+const VALUE = String.raw`(?:\[.+\]|-?[\d.]+(?:\/\d+)?|px|full|screen|auto|none|min|max|fit|xs|sm|md|lg|xl|\dxl|svh|dvh|lvh)`;
+const LENGTH = String.raw`(?:\d+|\[(?:length:)?[\d.]+\w*\])`;
+const SIDES = String.raw`(?:-(?:x|y|t|r|b|l|s|e))?`;
+// Line-height modifier on font sizes: "text-sm/6", "text-lg/[22px]"
+const SLASH = String.raw`(?:\/(?:\[.+\]|[\w.%]+))?`;
+
+const GROUP_RULES = [
+  [
+    /^(block|inline-block|inline|flex|inline-flex|grid|inline-grid|table|inline-table|table-row|table-cell|contents|list-item|flow-root|hidden)$/,
+    "display",
+  ],
+  [/^(static|fixed|absolute|relative|sticky)$/, "position"],
+  [/^(visible|invisible|collapse)$/, "visibility"],
+  [/^(sr-only|not-sr-only)$/, "sr"],
+  [/^(uppercase|lowercase|capitalize|normal-case)$/, "text-transform"],
+  [/^(italic|not-italic)$/, "font-style"],
+  [/^(underline|overline|line-through|no-underline)$/, "text-decoration"],
+  [/^(truncate|text-ellipsis|text-clip)$/, "text-overflow"],
+  [/^text-(left|center|right|justify|start|end)$/, "text-align"],
+  [
+    new RegExp(
+      String.raw`^text-(xs|sm|base|lg|\d?xl|\[(length:)?[\d.]+\w*\])${SLASH}$`
+    ),
+    "font-size",
+  ],
+  [/^text-(wrap|nowrap|balance|pretty)$/, "text-wrap"],
+  [/^text-opacity-/, "text-opacity"],
+  [/^text-/, "text-color"],
+  [
+    /^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black|\[\d+\])$/,
+    "font-weight",
+  ],
+  [/^font-/, "font-family"],
+  [/^bg-(cover|contain|auto)$/, "bg-size"],
+  [
+    /^bg-(center|top|bottom|left|right|left-top|left-bottom|right-top|right-bottom)$/,
+    "bg-position",
+  ],
+  [
+    /^bg-(repeat|no-repeat|repeat-x|repeat-y|repeat-round|repeat-space)$/,
+    "bg-repeat",
+  ],
+  [/^bg-(fixed|local|scroll)$/, "bg-attachment"],
+  [/^bg-(none|gradient-to-\w+)$/, "bg-image"],
+  [/^bg-opacity-/, "bg-opacity"],
+  [/^bg-clip-(border|padding|content|text)$/, "bg-clip"],
+  [/^bg-origin-(border|padding|content)$/, "bg-origin"],
+  [/^bg-blend-/, "bg-blend"],
+  [/^bg-/, "bg-color"],
+  [/^border-(solid|dashed|dotted|double|hidden|none)$/, "border-style"],
+  [new RegExp(`^border(${SIDES})(-${LENGTH})?$`), (m) => `border-w${m[1]}`],
+  [new RegExp(`^border(${SIDES})-`), (m) => `border-color${m[1]}`],
+  [
+    /^rounded(-(?:t|r|b|l|s|e|tl|tr|br|bl|ss|se|es|ee))?(-.+)?$/,
+    (m) => `rounded${m[1] ?? ""}`,
+  ],
+  [/^shadow(-(sm|md|lg|xl|2xl|inner|none|\[.+\]))?$/, "shadow"],
+  [/^shadow-/, "shadow-color"],
+  [new RegExp(`^ring(-${LENGTH})?$`), "ring-w"],
+  [/^ring-inset$/, "ring-inset"],
+  [new RegExp(`^ring-offset-${LENGTH}$`), "ring-offset-w"],
+  [/^ring-offset-/, "ring-offset-color"],
+  [/^ring-/, "ring-color"],
+  [/^outline(-(none|dashed|dotted|double))?$/, "outline-style"],
+  [new RegExp(`^outline-${LENGTH}$`), "outline-w"],
+  [/^outline-offset-/, "outline-offset"],
+  [/^outline-/, "outline-color"],
+  [new RegExp(`^stroke-${LENGTH}$`), "stroke-w"],
+  [/^stroke-/, "stroke-color"],
+  [/^fill-/, "fill-color"],
+  [/^(from|via|to)-(\d+%|\[[\d.]+%\])$/, (m) => `${m[1]}-position`],
+  [/^(from|via|to)-/, (m) => `${m[1]}-color`],
+  [new RegExp(`^divide-(x|y)(-${LENGTH})?$`), (m) => `divide-w-${m[1]}`],
+  [/^divide-(x|y)-reverse$/, (m) => `divide-reverse-${m[1]}`],
+  [/^divide-(solid|dashed|dotted|double|none)$/, "divide-style"],
+  [/^divide-opacity-/, "divide-opacity"],
+  [/^divide-/, "divide-color"],
+  [/^decoration-(solid|double|dotted|dashed|wavy)$/, "decoration-style"],
+  [/^decoration-(slice|clone)$/, "box-decoration"],
+  [
+    new RegExp(`^decoration-(auto|from-font|${LENGTH})$`),
+    "decoration-thickness",
+  ],
+  [/^decoration-/, "decoration-color"],
+  [/^placeholder-opacity-/, "placeholder-opacity"],
+  [/^placeholder-/, "placeholder-color"],
+  [/^accent-/, "accent-color"],
+  [/^caret-/, "caret-color"],
+  [/^flex-(row|row-reverse|col|col-reverse)$/, "flex-direction"],
+  [/^flex-(wrap|wrap-reverse|nowrap)$/, "flex-wrap"],
+  [/^(grow|shrink)(-.+)?$/, (m) => m[1]],
+  [/^order-/, "order"],
+  [/^transition(-.+)?$/, "transition"],
+  [
+    /^(justify-items|justify-self|justify|place-content|place-items|place-self|items|content|self|overflow-x|overflow-y|overflow|overscroll-x|overscroll-y|overscroll|whitespace|break|cursor|select|pointer-events|object|ease|animate|leading|tracking|list|align|aspect|mix-blend|resize|snap|touch|appearance|will-change)-/,
+    (m) => m[1],
+  ],
+  [new RegExp(`^(.+?)-${VALUE}$`), (m) => m[1]],
+];
+
+// Setting the left-hand group overrides everything it lists
+const CONFLICTS = {
+  p: ["px", "py", "pt", "pr", "pb", "pl", "ps", "pe"],
+  px: ["pr", "pl", "ps", "pe"],
+  py: ["pt", "pb"],
+  m: ["mx", "my", "mt", "mr", "mb", "ml", "ms", "me"],
+  mx: ["mr", "ml", "ms", "me"],
+  my: ["mt", "mb"],
+  inset: [
+    "inset-x",
+    "inset-y",
+    "top",
+    "right",
+    "bottom",
+    "left",
+    "start",
+    "end",
+  ],
+  "inset-x": ["left", "right"],
+  "inset-y": ["top", "bottom"],
+  gap: ["gap-x", "gap-y"],
+  size: ["w", "h"],
+  overflow: ["overflow-x", "overflow-y"],
+  overscroll: ["overscroll-x", "overscroll-y"],
+  scale: ["scale-x", "scale-y"],
+  rounded: [
+    "rounded-t",
+    "rounded-r",
+    "rounded-b",
+    "rounded-l",
+    "rounded-s",
+    "rounded-e",
+    "rounded-tl",
+    "rounded-tr",
+    "rounded-br",
+    "rounded-bl",
+    "rounded-ss",
+    "rounded-se",
+    "rounded-es",
+    "rounded-ee",
+  ],
+  "rounded-t": ["rounded-tl", "rounded-tr"],
+  "rounded-r": ["rounded-tr", "rounded-br"],
+  "rounded-b": ["rounded-br", "rounded-bl"],
+  "rounded-l": ["rounded-tl", "rounded-bl"],
+  "border-w": [
+    "border-w-x",
+    "border-w-y",
+    "border-w-t",
+    "border-w-r",
+    "border-w-b",
+    "border-w-l",
+    "border-w-s",
+    "border-w-e",
+  ],
+  "border-w-x": ["border-w-l", "border-w-r"],
+  "border-w-y": ["border-w-t", "border-w-b"],
+  "border-color": [
+    "border-color-x",
+    "border-color-y",
+    "border-color-t",
+    "border-color-r",
+    "border-color-b",
+    "border-color-l",
+    "border-color-s",
+    "border-color-e",
+  ],
+  "border-color-x": ["border-color-l", "border-color-r"],
+  "border-color-y": ["border-color-t", "border-color-b"],
+};
+
+// Split "md:hover:!-mt-2" into its modifiers and the bare utility
+function parseClass(cls) {
+  const modifiers = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < cls.length; i++) {
+    const char = cls[i];
+    if (char === "[") depth++;
+    else if (char === "]") depth--;
+    else if (char === ":" && depth === 0) {
+      modifiers.push(cls.slice(start, i));
+      start = i + 1;
+    }
+  }
+  let utility = cls.slice(start);
+  const important = utility.startsWith("!") || utility.endsWith("!");
+  utility = utility.replace(/^!|!$/g, "").replace(/^-/, "");
+  return { modifiers, utility, important };
+}
+
+function getGroup(utility) {
+  for (const [pattern, group] of GROUP_RULES) {
+    const match = pattern.exec(utility);
+    if (match) return typeof group === "function" ? group(match) : group;
+  }
+  return utility;
+}
+
+/**
+ * mergeClasses - classNames() that resolves Tailwind conflicts: the last
+ * utility of each kind wins, per variant.
+ *
+ * Example:
+ *   mergeClasses('px-2 py-1 bg-red-500 hover:bg-red-600', className)
+ *   // className = 'p-4 bg-blue-500' => "hover:bg-red-600 p-4 bg-blue-500"
+ *
+ *   mergeClasses('text-sm text-gray-500', 'md:text-lg text-red-500')
+ *   => "text-sm md:text-lg text-red-500"
+ *
+ * Modifier order doesn't matter ("hover:md:" == "md:hover:"), and classes
+ * that aren't Tailwind utilities are kept as they are.
+ *
+ * @param  {...any} args - Same as classNames
+ * @returns {string}
+ */
+export function mergeClasses(...args) {
+  const classes = classNames(...args)
+    .split(" ")
+    .filter(Boolean);
+  const seen = new Set();
+  const kept = [];
+
+  // Walk backwards so later classes claim their group first
+  for (let i = classes.length - 1; i >= 0; i--) {
+    const { modifiers, utility, important } = parseClass(classes[i]);
+    const group = getGroup(utility);
+    // "hover:md:" and "md:hover:" target the same state
+    const scope = `${[...modifiers].sort().join(":")}${important ? "!" : ""}:`;
+
+    if (seen.has(scope + group)) continue;
+    seen.add(scope + group);
+    CONFLICTS[group]?.forEach((g) => seen.add(scope + g));
+    kept.push(classes[i]);
+  }
+
+  return kept.reverse().join(" ");
+}
+
 // Example Usage:
 // const btnClass = classNames('btn', { 'btn-active': isActive }, ['extra', 'classes']);
 // Result: "btn btn-active extra classes"
+// <div className={mergeClasses('p-2 rounded', className)} />
 export default classNames;
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { classNames, mergeClasses } from "./classNames";
+
+describe("classNames", () => {
+  it("joins strings, objects and nested arrays", () => {
+    expect(
+      classNames("btn", { active: true, disabled: false }, ["a", ["b"]])
+    ).toBe("btn active a b");
+  });
+});
+
+describe("mergeClasses", () => {
+  it.each([
+    ["p-2 p-4", "p-4"],
+    ["px-2 p-4", "p-4"],
+    ["text-sm text-red-500", "text-sm text-red-500"],
+    ["text-sm text-base/6", "text-base/6"],
+    [
+      "hover:bg-red-500 md:bg-blue-500 bg-white",
+      "hover:bg-red-500 md:bg-blue-500 bg-white",
+    ],
+  ])("%s => %s", (input, expected) => {
+    expect(mergeClasses(input)).toBe(expected);
+  });
+
+  it.each([
+    ["text-balance", "text-gray-900"],
+    ["text-nowrap", "text-red-500"],
+    ["text-opacity-50", "text-red-500"],
+    ["bg-clip-text", "bg-red-500"],
+    ["bg-origin-border", "bg-red-500"],
+    ["bg-blend-multiply", "bg-red-500"],
+    ["bg-clip-text", "bg-origin-padding"],
+  ])("keeps %s next to %s", (a, b) => {
+    expect(mergeClasses(a, b)).toBe(`${a} ${b}`);
+  });
+
+  it.each([
+    ["text-wrap", "text-balance"],
+    ["text-opacity-50", "text-opacity-75"],
+    ["bg-clip-border", "bg-clip-text"],
+    ["bg-origin-border", "bg-origin-content"],
+    ["bg-blend-multiply", "bg-blend-screen"],
+    ["order-first", "order-last"],
+    ["order-1", "order-none"],
+    ["-order-1", "order-2"],
+  ])("lets %s be overridden by %s", (a, b) => {
+    expect(mergeClasses(a, b)).toBe(b);
+  });
+});
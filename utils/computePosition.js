@@ -0,0 +1,184 @@
+/**
+ * computePosition - Position a floating element next to a reference element
+ *
+ * Supports placement, offset, flip (to the opposite side when there's no
+ * room), shift (slide along the side to stay in the viewport) and arrow
+ * positioning. Coordinates are viewport-relative, meant for
+ * `position: fixed` so `overflow: hidden` ancestors can't clip the result.
+ *
+ * Usage:
+ *   const { x, y, placement, arrow } = computePosition(button, tooltip, {
+ *     placement: 'top',
+ *     offset: 8,
+ *     arrow: arrowEl,
+ *   });
+ *   Object.assign(tooltip.style, { left: `${x}px`, top: `${y}px` });
+ *
+ *   const stop = autoUpdate(button, tooltip, update); // on scroll/resize
+ *
+ * @param {Element} reference - Element the floating one is anchored to
+ * @param {HTMLElement} floating - The floating element
+ * @param {Object} options
+ * @param {string} [options.placement] - 'top' | 'bottom' | 'left' | 'right',
+ *   optionally with '-start' or '-end' (default: 'bottom')
+ * @param {number} [options.offset] - Gap between the elements in px (default: 8)
+ * @param {boolean} [options.flip] - Flip to the opposite side if it fits better (default: true)
+ * @param {boolean} [options.shift] - Keep inside the viewport along the side (default: true)
+ * @param {number} [options.padding] - Min distance from the viewport edge (default: 8)
+ * @param {HTMLElement} [options.arrow] - Arrow element to center on the reference
+ * @returns {{ x: number, y: number, placement: string, side: string, arrow: { x?: number, y?: number } | null }}
+ */
+export function computePosition(reference, floating, options = {}) {
+  const {
+    placement = "bottom",
+    offset = 8,
+    flip = true,
+    shift = true,
+    padding = 8,
+    arrow = null,
+  } = options;
+
+  const ref = reference.getBoundingClientRect();
+  const float = {
+    width: floating.offsetWidth,
+    height: floating.offsetHeight,
+  };
+  const viewport = {
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.clientHeight,
+  };
+
+  let [side, align] = placement.split("-");
+
+  if (flip) {
+    const space = getSpace(ref, viewport);
+    const needed =
+      (isVertical(side) ? float.height : float.width) + offset + padding;
+    const opposite = OPPOSITE[side];
+    if (space[side] < needed && space[opposite] > space[side]) {
+      side = opposite;
+    }
+  }
+
+  let { x, y } = getCoords(ref, float, side, align, offset);
+
+  if (shift) {
+    if (isVertical(side)) {
+      x = clamp(x, padding, viewport.width - float.width - padding);
+    } else {
+      y = clamp(y, padding, viewport.height - float.height - padding);
+    }
+  }
+
+  let arrowCoords = null;
+  if (arrow) {
+    const size = isVertical(side) ? arrow.offsetWidth : arrow.offsetHeight;
+    // Point at the reference's center, but never past the floating edges
+    if (isVertical(side)) {
+      const center = ref.left + ref.width / 2 - x - size / 2;
+      arrowCoords = { x: clamp(center, 4, float.width - size - 4) };
+    } else {
+      const center = ref.top + ref.height / 2 - y - size / 2;
+      arrowCoords = { y: clamp(center, 4, float.height - size - 4) };
+    }
+  }
+
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    placement: align ? `${side}-${align}` : side,
+    side,
+    arrow: arrowCoords,
+  };
+}
+
+/**
+ * autoUpdate - Recompute a position when anything could move it
+ *
+ * Listens to scroll (on every scroll container, via capture) and resize,
+ * and observes both elements' sizes. Updates are batched per frame.
+ *
+ * @returns {Function} cleanup
+ */
+export function autoUpdate(reference, floating, update) {
+  let frame = null;
+  const schedule = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      update();
+    });
+  };
+
+  window.addEventListener("scroll", schedule, { capture: true, passive: true });
+  window.addEventListener("resize", schedule);
+
+  let observer = null;
+  if (typeof ResizeObserver !== "undefined") {
+    observer = new ResizeObserver(schedule);
+    observer.observe(reference);
+    observer.observe(floating);
+  }
+
+  update();
+
+  return () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    window.removeEventListener("scroll", schedule, { capture: true });
+    window.removeEventListener("resize", schedule);
+    observer?.disconnect();
+  };
+}
+
+const OPPOSITE = { top: "bottom", bottom: "top", left: "right", right: "left" };
+
+const isVertical = (side) => side === "top" || side === "bottom";
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+function getSpace(ref, viewport) {
+  return {
+    top: ref.top,
+    bottom: viewport.height - ref.bottom,
+    left: ref.left,
+    right: viewport.width - ref.right,
+  };
+}
+
+function getCoords(ref, float, side, align, offset) {
+  let x;
+  let y;
+
+  switch (side) {
+    case "top":
+      y = ref.top - float.height - offset;
+      break;
+    case "bottom":
+      y = ref.bottom + offset;
+      break;
+    case "left":
+      x = ref.left - float.width - offset;
+      break;
+    default:
+      x = ref.right + offset;
+  }
+
+  if (isVertical(side)) {
+    if (align === "start") x = ref.left;
+    else if (align === "end") x = ref.right - float.width;
+    else x = ref.left + ref.width / 2 - float.width / 2;
+  } else {
+    if (align === "start") y = ref.top;
+    else if (align === "end") y = ref.bottom - float.height;
+    else y = ref.top + ref.height / 2 - float.height / 2;
+  }
+
+  return { x, y };
+}
+
+// Example Usage:
+// const cleanup = autoUpdate(anchor, menu, () => {
+//   const { x, y } = computePosition(anchor, menu, { placement: 'bottom-start' });
+//   menu.style.transform = `translate(${x}px, ${y}px)`;
+// });
+export default computePosition;
@@ -1,23 +1,212 @@
 /**
  * debounce - Returns a debounced version of a function
  *
+ * Follows lodash semantics: the call runs once `delay` ms have passed since
+ * the last invocation (trailing edge), optionally also on the leading edge,
+ * and at least every `maxWait` ms while calls keep coming in.
+ *
  * Usage:
  *   const handleResize = debounce(() => { console.log(window.innerWidth); }, 300);
  *   window.addEventListener('resize', handleResize);
  *
+ *   handleResize.cancel();   // drop the pending call
+ *   handleResize.flush();    // run the pending call now
+ *   handleResize.pending();  // true while a call is scheduled
+ *
+ *   const save = debounce(saveDraft, 1000, { maxWait: 5000, signal: controller.signal });
+ *
+ *   // Every caller gets a promise for the result of the call that actually runs
+ *   const search = debouncePromise((q) => api.search(q), 300);
+ *   const results = await search('react');
+ *
  * @param {Function} fn - Function to debounce
  * @param {number} delay - Delay in milliseconds
- * @returns {Function} - Debounced function
+ * @param {Object} [options]
+ * @param {boolean} [options.leading=false] - Call on the leading edge
+ * @param {boolean} [options.trailing=true] - Call on the trailing edge
+ * @param {number} [options.maxWait] - Longest `fn` may be delayed
+ * @param {AbortSignal} [options.signal] - Cancels, and ignores later calls, once aborted
+ * @returns {Function} - Debounced function with cancel(), flush() and pending();
+ *   returns the result of the last `fn` invocation
+ */
+export function debounce(fn, delay = 300, options = {}) {
+  return createDebounced(fn, delay, options);
+}
+
+/**
+ * debouncePromise - debounce() whose calls return a promise
+ *
+ * All calls folded into one invocation share its result. Calls that never
+ * run (`trailing: false`) resolve with the previous result; `cancel()` and
+ * aborting `signal` reject pending promises with an AbortError.
+ *
+ * @param {Function} fn - Function to debounce, may be async
+ * @param {number} delay - Delay in milliseconds
+ * @param {Object} [options] - Same as debounce()
+ * @returns {Function} - Debounced function returning a Promise
  */
-export function debounce(fn, delay = 300) {
+export function debouncePromise(fn, delay = 300, options = {}) {
+  let waiters = [];
+  let lastResult;
+
+  const settle = (settler) => {
+    const current = waiters;
+    waiters = [];
+    current.forEach(settler);
+  };
+
+  const debounced = createDebounced(
+    function (...args) {
+      const current = waiters;
+      waiters = [];
+      const result = Promise.resolve()
+        .then(() => fn.apply(this, args))
+        .then((value) => {
+          lastResult = value;
+          return value;
+        });
+      current.forEach(({ resolve }) => resolve(result));
+      return result;
+    },
+    delay,
+    options,
+    {
+      onSkip: () => settle(({ resolve }) => resolve(lastResult)),
+      onCancel: (reason) => settle(({ reject }) => reject(reason)),
+    }
+  );
+
+  function debouncedPromise(...args) {
+    if (options.signal?.aborted)
+      return Promise.reject(abortError(options.signal));
+    const promise = new Promise((resolve, reject) =>
+      waiters.push({ resolve, reject })
+    );
+    debounced.apply(this, args);
+    return promise;
+  }
+
+  debouncedPromise.cancel = debounced.cancel;
+  debouncedPromise.flush = () =>
+    debounced.pending() ? debounced.flush() : Promise.resolve(lastResult);
+  debouncedPromise.pending = debounced.pending;
+  return debouncedPromise;
+}
+
+function abortError(signal) {
+  if (signal?.reason !== undefined) return signal.reason;
+  const error = new Error("Debounced call was cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Shared by debounce, debouncePromise and throttle. `hooks.onSkip` runs when a
+// wait ends without calling `fn`, `hooks.onCancel` when pending calls are dropped.
+function createDebounced(fn, delay, options, hooks = {}) {
+  const { leading = false, trailing = true, maxWait, signal } = options;
+  const maxing = maxWait !== undefined;
+  const maxDelay = maxing ? Math.max(maxWait, delay) : 0;
+
+  let lastArgs;
+  let lastThis;
+  let result;
   let timeoutId;
+  let lastCallTime;
+  let lastInvokeTime = 0;
+
+  function invoke(time) {
+    const args = lastArgs;
+    const context = lastThis;
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = fn.apply(context, args);
+    return result;
+  }
+
+  function remainingWait(time) {
+    const sinceCall = time - lastCallTime;
+    const sinceInvoke = time - lastInvokeTime;
+    const waiting = delay - sinceCall;
+    return maxing ? Math.min(waiting, maxDelay - sinceInvoke) : waiting;
+  }
+
+  function shouldInvoke(time) {
+    if (lastCallTime === undefined) return true;
+    const sinceCall = time - lastCallTime;
+    const sinceInvoke = time - lastInvokeTime;
+    // sinceCall < 0: the system clock went backwards
+    return (
+      sinceCall >= delay || sinceCall < 0 || (maxing && sinceInvoke >= maxDelay)
+    );
+  }
+
+  function leadingEdge(time) {
+    lastInvokeTime = time;
+    timeoutId = setTimeout(timerExpired, delay);
+    return leading ? invoke(time) : result;
+  }
+
+  function trailingEdge(time) {
+    timeoutId = undefined;
+    if (trailing && lastArgs) return invoke(time);
+    lastArgs = lastThis = undefined;
+    hooks.onSkip?.();
+    return result;
+  }
+
+  function timerExpired() {
+    const time = Date.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+      return;
+    }
+    timeoutId = setTimeout(timerExpired, remainingWait(time));
+  }
 
-  return function (...args) {
-    const context = this;
+  function debounced(...args) {
+    if (signal?.aborted) return result;
 
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timeoutId === undefined) return leadingEdge(lastCallTime);
+      if (maxing) {
+        // Called in a tight loop: invoke now and keep waiting
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(timerExpired, delay);
+        return invoke(lastCallTime);
+      }
+    }
+    if (timeoutId === undefined) timeoutId = setTimeout(timerExpired, delay);
+    return result;
+  }
+
+  debounced.cancel = () => {
+    clearTimeout(timeoutId);
+    lastInvokeTime = 0;
+    lastArgs = lastThis = lastCallTime = timeoutId = undefined;
+    hooks.onCancel?.(abortError(signal));
+  };
+
+  debounced.flush = () => {
+    if (timeoutId === undefined) return result;
     clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => {
-      fn.apply(context, args);
-    }, delay);
+    return trailingEdge(Date.now());
   };
+
+  debounced.pending = () => timeoutId !== undefined;
+
+  signal?.addEventListener("abort", debounced.cancel, { once: true });
+
+  return debounced;
 }
+
+// Example Usage:
+// const onInput = debounce((e) => search(e.target.value), 300, { maxWait: 1000 });
+// input.addEventListener('input', onInput);
+// onUnmount(() => onInput.cancel());
+export default debounce;
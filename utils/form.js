@@ -0,0 +1,160 @@
+/**
+ * form - Path helpers and schema adapters used by useForm
+ *
+ * Field names are paths into the values object: `email`, `address.city`,
+ * `items.0.title` and `items[0].title` all work. Errors and touched state
+ * are flat maps keyed by the dotted form (`items.0.title`).
+ *
+ * Schema adapters turn any validation library's result into that flat
+ * `{ [path]: message }` map, so useForm doesn't depend on one:
+ *
+ * Usage:
+ *   getIn({ a: { b: [1, 2] } }, 'a.b[1]');   // 2
+ *   setIn({}, 'a.b.0', 'x');                   // { a: { b: ['x'] } }
+ *
+ *   useForm({ schema: zodAdapter(signupSchema) });
+ *   useForm({ schema: yupAdapter(signupSchema) });
+ *   useForm({ schema: signupSchema });         // detected automatically
+ *   useForm({ schema: (values) => (values.age < 18 ? { age: 'Too young' } : {}) });
+ */
+
+/**
+ * Split a field name into path segments: 'items[0].title' -> ['items', '0', 'title']
+ */
+export function toPath(name) {
+  if (Array.isArray(name)) return name.map(String);
+  return String(name)
+    .replace(/\[(\w+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+}
+
+/** Normalised key for the flat errors/touched maps */
+export const toKey = (name) => toPath(name).join(".");
+
+/**
+ * Read a nested value; undefined when any segment is missing.
+ */
+export function getIn(object, name) {
+  return toPath(name).reduce(
+    (current, segment) => (current == null ? undefined : current[segment]),
+    object
+  );
+}
+
+/**
+ * Immutably set a nested value, creating objects/arrays as needed (numeric
+ * segments create arrays). Untouched branches keep their identity.
+ */
+export function setIn(object, name, value) {
+  const path = toPath(name);
+  if (path.length === 0) return value;
+
+  const [head, ...rest] = path;
+  const current = object?.[head];
+  const next = rest.length
+    ? setIn(current ?? (/^\d+$/.test(rest[0]) ? [] : {}), rest, value)
+    : value;
+  if (Object.is(current, next) && object != null) return object;
+
+  if (Array.isArray(object)) {
+    const copy = object.slice();
+    copy[head] = next;
+    return copy;
+  }
+  return { ...object, [head]: next };
+}
+
+/**
+ * Flatten nested error objects (`{ address: { city: 'Required' } }`) into
+ * `{ 'address.city': 'Required' }`. Flat input passes through; falsy
+ * messages are dropped.
+ */
+export function flattenErrors(errors, prefix = "", out = {}) {
+  if (!errors) return out;
+  Object.entries(errors).forEach(([name, message]) => {
+    const key = prefix ? `${prefix}.${toKey(name)}` : toKey(name);
+    if (message && typeof message === "object" && !Array.isArray(message)) {
+      flattenErrors(message, key, out);
+    } else if (Array.isArray(message)) {
+      // Either a list of messages or per-item errors of a field array
+      if (message.every((m) => typeof m === "string")) {
+        if (message[0]) out[key] = message[0];
+      } else {
+        message.forEach((item, index) => {
+          if (!item) return;
+          if (typeof item === "string") out[`${key}.${index}`] = item;
+          else flattenErrors(item, `${key}.${index}`, out);
+        });
+      }
+    } else if (message) {
+      out[key] = String(message);
+    }
+  });
+  return out;
+}
+
+// First message per path, from `[{ path, message }]`-style issues
+const issuesToErrors = (issues = []) =>
+  issues.reduce((errors, issue) => {
+    const key = toKey(
+      (issue.path ?? []).map((segment) =>
+        typeof segment === "object" ? segment.key : segment
+      )
+    );
+    if (!(key in errors)) errors[key] = issue.message;
+    return errors;
+  }, {});
+
+/**
+ * zodAdapter - Validate with a zod schema
+ */
+export const zodAdapter = (schema) => async (values) => {
+  const result = await schema.safeParseAsync(values);
+  return result.success ? {} : issuesToErrors(result.error.issues);
+};
+
+/**
+ * yupAdapter - Validate with a yup schema (all errors, not just the first)
+ */
+export const yupAdapter = (schema) => async (values) => {
+  try {
+    await schema.validate(values, { abortEarly: false });
+    return {};
+  } catch (error) {
+    if (!Array.isArray(error?.inner)) throw error;
+    const errors = {};
+    (error.inner.length ? error.inner : [error]).forEach((item) => {
+      const key = toKey(item.path ?? "");
+      if (!(key in errors)) errors[key] = item.message;
+    });
+    return errors;
+  }
+};
+
+/**
+ * standardSchemaAdapter - Any library implementing Standard Schema
+ * (valibot, arktype, zod 3.24+, ...)
+ */
+export const standardSchemaAdapter = (schema) => async (values) => {
+  const result = await schema["~standard"].validate(values);
+  return result.issues ? issuesToErrors(result.issues) : {};
+};
+
+/**
+ * toSchemaAdapter - Pick an adapter for a schema object, or pass an
+ * adapter function `(values) => errors | Promise<errors>` through.
+ */
+export function toSchemaAdapter(schema) {
+  if (!schema) return null;
+  if (typeof schema === "function") return schema;
+  if (schema["~standard"]?.validate) return standardSchemaAdapter(schema);
+  if (typeof schema.safeParseAsync === "function") return zodAdapter(schema);
+  if (typeof schema.validate === "function") return yupAdapter(schema);
+  throw new Error("[form] Unsupported schema: pass an adapter function");
+}
+
+// Example Usage:
+// const errors = flattenErrors({ items: [{ title: 'Required' }] }); // { 'items.0.title': 'Required' }
+// const adapter = toSchemaAdapter(schema); await adapter(values);
+export default toSchemaAdapter;
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { flattenErrors, setIn, toPath } from "./form";
+
+describe("toPath", () => {
+  it("reads dotted and bracket segments alike", () => {
+    expect(toPath("items[0].title")).toEqual(["items", "0", "title"]);
+    expect(toPath("items.0.title")).toEqual(["items", "0", "title"]);
+    expect(toPath(["items", 0])).toEqual(["items", "0"]);
+    expect(toPath("")).toEqual([]);
+  });
+});
+
+describe("setIn", () => {
+  it("creates arrays for numeric segments and objects otherwise", () => {
+    expect(setIn({}, "a.b.0", "x")).toEqual({ a: { b: ["x"] } });
+    expect(setIn(undefined, "a[1].c", 1)).toEqual({ a: [, { c: 1 }] });
+  });
+
+  it("copies the changed branch and keeps the others", () => {
+    const values = { a: { b: 1 }, c: { d: 2 }, list: [{ x: 1 }, { x: 2 }] };
+    const next = setIn(values, "list.1.x", 3);
+    expect(next.list).toEqual([{ x: 1 }, { x: 3 }]);
+    expect(Array.isArray(next.list)).toBe(true);
+    expect(next.c).toBe(values.c);
+    expect(next.list[0]).toBe(values.list[0]);
+    expect(values.list[1].x).toBe(2);
+  });
+
+  it("returns the same object when the value doesn't change", () => {
+    const values = { a: { b: 1 } };
+    expect(setIn(values, "a.b", 1)).toBe(values);
+  });
+});
+
+describe("flattenErrors", () => {
+  it("flattens nested objects and field array errors", () => {
+    expect(
+      flattenErrors({
+        email: "Required",
+        address: { city: "Required", zip: "" },
+        tags: ["Too many", "Too short"],
+        items: [null, { title: "Required" }, "Duplicate"],
+      })
+    ).toEqual({
+      email: "Required",
+      "address.city": "Required",
+      tags: "Too many",
+      "items.1.title": "Required",
+      "items.2": "Duplicate",
+    });
+  });
+
+  it("keeps flat paths as they are", () => {
+    expect(flattenErrors({ "items[0].title": "Required" })).toEqual({
+      "items.0.title": "Required",
+    });
+    expect(flattenErrors(undefined)).toEqual({});
+  });
+});
@@ -6,43 +6,280 @@
  *   => "Nov 7, 2025"
  *
  *   formatDate('2025-11-07T12:00:00Z', { relative: true })
- *   => "2 hours ago" (if relative option is true)
+ *   => "2 hours ago" / "in 3 weeks" / "yesterday"
+ *
+ *   formatDate(meeting, { options: { timeStyle: 'short' }, timeZone: 'Asia/Tokyo' })
+ *   => "Nov 7, 2025, 9:30 PM"
  *
  * @param {Date | string | number} date - Input date
  * @param {Object} options
  * @param {string} options.locale - Locale string, default 'en-US'
  * @param {Object} options.options - Intl.DateTimeFormat options
  * @param {boolean} options.relative - Whether to return relative time (e.g., "2 hours ago")
+ * @param {string} options.timeZone - IANA time zone, e.g. 'Europe/Paris' (default: the user's)
+ * @param {Date | number} options.now - Reference point for relative output (default: now)
  * @returns {string}
  */
 export function formatDate(
   date,
-  { locale = "en-US", options = {}, relative = false } = {}
+  { locale = "en-US", options = {}, relative = false, timeZone, now } = {}
 ) {
-  const d = new Date(date);
-  if (isNaN(d)) return "";
-
-  if (relative) {
-    const now = Date.now();
-    const diff = now - d.getTime(); // milliseconds
-    const seconds = Math.floor(diff / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
-
-    if (seconds < 60) return "just now";
-    if (minutes < 60) return `${minutes} minute${minutes > 1 ? "s" : ""} ago`;
-    if (hours < 24) return `${hours} hour${hours > 1 ? "s" : ""} ago`;
-    return `${days} day${days > 1 ? "s" : ""} ago`;
-  }
+  const d = parseDate(date);
+  if (!d) return "";
+
+  if (relative) return formatRelativeTime(d, { locale, now });
 
   return new Intl.DateTimeFormat(locale, {
     dateStyle: "medium",
     ...options,
+    ...(timeZone ? { timeZone } : {}),
   }).format(d);
 }
 
+/**
+ * parseDate - Turn a Date, timestamp or date string into a valid Date
+ *
+ * Date-only strings ("2025-11-07") are read as local midnight rather than
+ * UTC, so they don't shift to the previous day west of Greenwich.
+ *
+ * @param {Date | string | number} input
+ * @returns {Date | null} - null when the input isn't a valid date
+ */
+export function parseDate(input) {
+  if (input === null || input === undefined || input === "") return null;
+
+  if (typeof input === "string") {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.trim());
+    if (match) {
+      const [, year, month, day] = match.map(Number);
+      const d = new Date(year, month - 1, day);
+      return d.getMonth() === month - 1 ? d : null; // rejects 2025-02-31
+    }
+  }
+
+  const d = new Date(input);
+  return isNaN(d) ? null : d;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const MONTH = 30.4375 * DAY; // average Gregorian month
+const YEAR = 365.25 * DAY;
+
+// Largest unit first; each applies once the difference reaches its size
+const RELATIVE_UNITS = [
+  ["year", YEAR],
+  ["month", MONTH],
+  ["week", WEEK],
+  ["day", DAY],
+  ["hour", HOUR],
+  ["minute", MINUTE],
+  ["second", SECOND],
+];
+
+/**
+ * Pick the unit for a difference in ms: "90 seconds" becomes "1 minute",
+ * "10 days" becomes "1 week".
+ *
+ * @param {number} diff - Target minus now, in ms (negative = past)
+ * @returns {{ value: number, unit: string, unitMs: number }}
+ */
+export function selectRelativeUnit(diff) {
+  const abs = Math.abs(diff);
+  const [unit, unitMs] =
+    RELATIVE_UNITS.find(([, size]) => abs >= size) ??
+    RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  // Math.trunc keeps "59 seconds" from rounding up to "60 seconds"
+  return { value: Math.trunc(diff / unitMs) || 0, unit, unitMs };
+}
+
+// Local calendar days from `from` to `to`: 23:00 to 01:00 the next day is 1
+function calendarDayDiff(to, from) {
+  const day = (d) => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  return Math.round((day(to) - day(from)) / DAY);
+}
+
+/**
+ * formatRelativeTime - Localised "3 days ago" / "in 2 hours"
+ *
+ * @param {Date | string | number} date
+ * @param {Object} [options]
+ * @param {string} [options.locale] - default 'en-US'
+ * @param {Date | number} [options.now] - Reference point (default: now)
+ * @param {'auto'|'always'} [options.numeric] - 'auto' allows "yesterday", "now"
+ * @param {'long'|'short'|'narrow'} [options.style]
+ * @returns {string}
+ */
+export function formatRelativeTime(
+  date,
+  { locale = "en-US", now = Date.now(), numeric = "auto", style = "long" } = {}
+) {
+  const d = parseDate(date);
+  if (!d) return "";
+
+  const diff = d.getTime() - Number(now);
+  let { value, unit } = selectRelativeUnit(diff);
+  // Days count calendar days, so 47 hours ago is "2 days ago", not
+  // "yesterday". At least 1 (a DST change can make a day 25 hours long), and
+  // seven of them are "last week" even if fewer than 168 hours passed.
+  if (unit === "day") {
+    const days = Math.abs(calendarDayDiff(d, new Date(Number(now))));
+    if (days >= 7) unit = "week";
+    value = Math.sign(diff) * (days >= 7 ? 1 : Math.max(days, 1));
+  }
+  return new Intl.RelativeTimeFormat(locale, { numeric, style }).format(
+    value,
+    unit
+  );
+}
+
+/**
+ * How long until formatRelativeTime(date) would print something different.
+ * Drives useRelativeTime's timer: every second for "5 seconds ago", every
+ * minute for "5 minutes ago", and so on.
+ *
+ * @returns {number} ms, capped at a day
+ */
+export function getRelativeTimeUpdateDelay(date, now = Date.now()) {
+  const d = parseDate(date);
+  if (!d) return DAY;
+
+  const diff = d.getTime() - Number(now);
+  const { unit, unitMs } = selectRelativeUnit(diff);
+  const abs = Math.abs(diff);
+  let delay;
+  if (unit === "day") {
+    // Calendar days change at midnight, or the unit does first (a week
+    // ago / in a few hours)
+    const midnight = new Date(Number(now));
+    midnight.setHours(24, 0, 0, 0);
+    delay = Math.min(
+      midnight - Number(now),
+      diff <= 0 ? WEEK - abs : abs - DAY
+    );
+  } else {
+    // Past dates grow towards the next multiple; future ones shrink to the last
+    delay = diff <= 0 ? unitMs - (abs % unitMs) : abs % unitMs || unitMs;
+  }
+  return Math.min(Math.max(Math.ceil(delay), 100), DAY);
+}
+
+const DURATION_UNITS = [
+  ["day", DAY],
+  ["hour", HOUR],
+  ["minute", MINUTE],
+  ["second", SECOND],
+  ["millisecond", 1],
+];
+
+/**
+ * formatDuration - Localised length of time
+ *
+ * Usage:
+ *   formatDuration(3725000)                          => "1 hour, 2 minutes, 5 seconds"
+ *   formatDuration(3725000, { maxUnits: 2 })         => "1 hour, 2 minutes"
+ *   formatDuration(3725000, { style: 'short' })      => "1 hr, 2 min, 5 sec"
+ *   formatDuration(3725000, { style: 'digital' })    => "1:02:05"
+ *   formatDuration({ minutes: 90 }, { locale: 'de' }) => "1 Stunde, 30 Minuten"
+ *
+ * @param {number | Object} duration - ms, or `{ days, hours, minutes, seconds, milliseconds }`
+ * @param {Object} [options]
+ * @param {string} [options.locale] - default 'en-US'
+ * @param {'long'|'short'|'narrow'|'digital'} [options.style] - default 'long'
+ * @param {number} [options.maxUnits] - Keep only the largest N non-zero units
+ * @param {string} [options.smallestUnit] - 'second' by default; smaller parts are rounded
+ * @returns {string}
+ */
+export function formatDuration(
+  duration,
+  {
+    locale = "en-US",
+    style = "long",
+    maxUnits = Infinity,
+    smallestUnit = "second",
+  } = {}
+) {
+  let ms =
+    typeof duration === "number"
+      ? duration
+      : DURATION_UNITS.reduce(
+          (sum, [unit, size]) => sum + (duration?.[`${unit}s`] ?? 0) * size,
+          0
+        );
+  if (!Number.isFinite(ms)) return "";
+
+  const sign = ms < 0 ? "-" : "";
+  const smallestIndex = DURATION_UNITS.findIndex(([u]) => u === smallestUnit);
+  const units = DURATION_UNITS.slice(0, smallestIndex + 1 || 4);
+  const [, step] = units[units.length - 1];
+  ms = Math.round(Math.abs(ms) / step) * step;
+
+  if (style === "digital") {
+    const hours = Math.floor(ms / HOUR);
+    const minutes = Math.floor((ms % HOUR) / MINUTE);
+    const seconds = Math.floor((ms % MINUTE) / SECOND);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${sign}${hours}:${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  let parts = [];
+  let rest = ms;
+  units.forEach(([unit, size]) => {
+    const value = Math.floor(rest / size);
+    rest -= value * size;
+    if (value) parts.push([unit, value]);
+  });
+  if (!parts.length) parts = [[units[units.length - 1][0], 0]];
+  parts = parts.slice(0, maxUnits);
+
+  const formatted = parts.map(([unit, value]) =>
+    new Intl.NumberFormat(locale, {
+      style: "unit",
+      unit,
+      unitDisplay: style,
+    }).format(value)
+  );
+  const list = new Intl.ListFormat(locale, { type: "unit", style });
+  return `${sign}${list.format(formatted)}`;
+}
+
+/**
+ * formatDateRange - Localised range that omits repeated parts
+ *
+ * Usage:
+ *   formatDateRange('2025-11-07', '2025-11-09')  => "Nov 7 – 9, 2025"
+ *   formatDateRange(start, end, { options: { timeStyle: 'short' }, timeZone: 'UTC' })
+ *
+ * @param {Date | string | number} start
+ * @param {Date | string | number} end
+ * @param {Object} [options] - locale, options (Intl.DateTimeFormat) and timeZone, as formatDate
+ * @returns {string}
+ */
+export function formatDateRange(
+  start,
+  end,
+  { locale = "en-US", options = {}, timeZone } = {}
+) {
+  const from = parseDate(start);
+  const to = parseDate(end);
+  if (!from || !to) return "";
+
+  const formatter = new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    ...options,
+    ...(timeZone ? { timeZone } : {}),
+  });
+  if (typeof formatter.formatRange === "function") {
+    return formatter.formatRange(from, to);
+  }
+  return `${formatter.format(from)} – ${formatter.format(to)}`;
+}
+
 // Example Usage:
-// formatDate(new Date(), { relative: true }) => "just now" or "2 hours ago"
+// formatDate(new Date(), { relative: true }) => "now"
+// formatDate(Date.now() + 3 * 86400000, { relative: true, locale: 'fr' }) => "dans 3 jours"
 // formatDate('2025-11-07T12:00:00Z') => "Nov 7, 2025"
 export default formatDate;
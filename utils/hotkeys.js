@@ -0,0 +1,364 @@
+/**
+ * hotkeys - Keyboard shortcut parsing, matching and a shared registry
+ *
+ * Shortcut syntax:
+ *   "mod+k"          ⌘K on macOS, Ctrl+K elsewhere
+ *   "shift+?"        modifiers: mod, ctrl, meta, alt, shift
+ *   "mod+k, /"       several shortcuts, comma-separated
+ *   "g then i"       sequence: press g, release, then i (within 1s)
+ *   "esc", "space", "up", "comma", "plus"  aliases for awkward keys
+ *
+ * Usage (framework-agnostic; React apps use useHotkeys instead):
+ *   const manager = createHotkeyManager();
+ *   const unregister = manager.register('mod+k', () => openPalette(), {
+ *     description: 'Open command palette',
+ *   });
+ *   manager.enableScope('modal');
+ */
+
+export const GLOBAL_SCOPE = "global";
+export const DEFAULT_SEQUENCE_TIMEOUT = 1000;
+
+const MODIFIERS = ["ctrl", "meta", "alt", "shift"];
+
+const KEY_ALIASES = {
+  esc: "escape",
+  return: "enter",
+  space: " ",
+  spacebar: " ",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+  del: "delete",
+  ins: "insert",
+  plus: "+",
+  comma: ",",
+  option: "alt",
+  opt: "alt",
+  cmd: "meta",
+  command: "meta",
+  control: "ctrl",
+};
+
+const EDITABLE_TAGS = ["INPUT", "TEXTAREA", "SELECT"];
+
+export function isMac() {
+  if (typeof navigator === "undefined") return false;
+  const platform =
+    navigator.userAgentData?.platform ?? navigator.platform ?? "";
+  return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Parse one combo like "mod+shift+k" into `{ key, ctrl, meta, alt, shift }`.
+ * `mod` resolves to meta on macOS and ctrl elsewhere.
+ */
+export function parseCombo(combo, mac = isMac()) {
+  const parts = combo
+    .toLowerCase()
+    .split("+")
+    .map((part) => part.trim());
+  // "mod++" / "shift++": a trailing empty part means the key itself is "+"
+  if (parts.length > 1 && parts[parts.length - 1] === "") {
+    parts.splice(-2, 2, "+");
+  }
+
+  const parsed = {
+    key: "",
+    ctrl: false,
+    meta: false,
+    alt: false,
+    shift: false,
+  };
+  parts.forEach((raw) => {
+    const part = KEY_ALIASES[raw] ?? raw;
+    if (part === "mod") parsed[mac ? "meta" : "ctrl"] = true;
+    else if (MODIFIERS.includes(part)) parsed[part] = true;
+    else parsed.key = part;
+  });
+  return parsed;
+}
+
+/**
+ * Parse a shortcut string into a list of sequences, each a list of combos.
+ *
+ * parseHotkeys("mod+k, g then i")
+ * => [[{ key: 'k', meta: true, ... }], [{ key: 'g' }, { key: 'i' }]]
+ */
+export function parseHotkeys(keys, mac = isMac()) {
+  return keys
+    .split(",")
+    .map((hotkey) => hotkey.trim())
+    .filter(Boolean)
+    .map((hotkey) =>
+      hotkey.split(/\s+then\s+/i).map((combo) => parseCombo(combo, mac))
+    );
+}
+
+// The key a physical key would produce without modifiers: Alt+K on macOS
+// reports event.key "˚", but event.code is still "KeyK"
+function keyFromCode(code = "") {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  return null;
+}
+
+/**
+ * Does a keydown event match a parsed combo?
+ */
+export function matchesCombo(event, combo) {
+  const key = (event.key ?? "").toLowerCase();
+  const keyMatches = key === combo.key || keyFromCode(event.code) === combo.key;
+  if (!keyMatches) return false;
+
+  // Symbols like "?" need shift on some layouts but not others: only check
+  // shift when the shortcut asks for it or the key is a letter/named key
+  const isSymbol = combo.key.length === 1 && !/[a-z0-9]/.test(combo.key);
+  return (
+    event.ctrlKey === combo.ctrl &&
+    event.metaKey === combo.meta &&
+    event.altKey === combo.alt &&
+    (isSymbol && !combo.shift ? true : event.shiftKey === combo.shift)
+  );
+}
+
+export function isModifierKey(event) {
+  return ["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock"].includes(
+    event.key
+  );
+}
+
+export function isEditableTarget(target) {
+  if (!target || target.nodeType !== 1) return false;
+  return EDITABLE_TAGS.includes(target.tagName) || target.isContentEditable;
+}
+
+const MAC_SYMBOLS = { meta: "⌘", ctrl: "⌃", alt: "⌥", shift: "⇧" };
+const KEY_LABELS = {
+  " ": "Space",
+  escape: "Esc",
+  arrowup: "↑",
+  arrowdown: "↓",
+  arrowleft: "←",
+  arrowright: "→",
+  enter: "Enter",
+};
+
+/**
+ * Human-readable label for a shortcut string, for help overlays and menus.
+ *
+ * formatHotkey("mod+shift+k")  => "⌘⇧K" on macOS, "Ctrl+Shift+K" elsewhere
+ * formatHotkey("g then i")     => "G then I"
+ */
+export function formatHotkey(keys, mac = isMac()) {
+  return parseHotkeys(keys, mac)
+    .map((sequence) =>
+      sequence
+        .map((combo) => {
+          const label =
+            KEY_LABELS[combo.key] ??
+            (combo.key.length === 1
+              ? combo.key.toUpperCase()
+              : combo.key[0].toUpperCase() + combo.key.slice(1));
+          const mods = (
+            mac
+              ? ["ctrl", "alt", "shift", "meta"]
+              : ["ctrl", "meta", "alt", "shift"]
+          ).filter((mod) => combo[mod]);
+          if (mac) return mods.map((mod) => MAC_SYMBOLS[mod]).join("") + label;
+          const names = {
+            ctrl: "Ctrl",
+            meta: "Win",
+            alt: "Alt",
+            shift: "Shift",
+          };
+          return [...mods.map((mod) => names[mod]), label].join("+");
+        })
+        .join(" then ")
+    )
+    .join(", ");
+}
+
+/**
+ * createHotkeyManager - One keydown listener dispatching to registered
+ * shortcuts, with scopes and a subscribable registry.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.scopes] - Initially active scopes (default: ['global'])
+ * @param {number} [options.sequenceTimeout] - Max ms between keys of a sequence
+ */
+export function createHotkeyManager({
+  scopes = [GLOBAL_SCOPE],
+  sequenceTimeout = DEFAULT_SEQUENCE_TIMEOUT,
+} = {}) {
+  const registrations = new Map(); // id -> registration
+  const scopeCounts = new Map(scopes.map((scope) => [scope, 1]));
+  const listeners = new Set();
+  let nextId = 0;
+  let buffer = []; // recent keydown events, for sequences
+  let lastKeyTime = 0;
+  let snapshot = null;
+  let target = null;
+
+  const emit = () => {
+    snapshot = null;
+    listeners.forEach((listener) => listener());
+  };
+
+  const isScopeActive = (scope) =>
+    scope === "*" || (scopeCounts.get(scope) ?? 0) > 0;
+
+  const isActive = (registration) =>
+    registration.options.enabled !== false &&
+    registration.scopes.some(isScopeActive);
+
+  const allowedTarget = (event, options) => {
+    const el = event.target;
+    if (!isEditableTarget(el)) return true;
+    if (el.isContentEditable) return Boolean(options.enableOnContentEditable);
+    const { enableOnFormTags } = options;
+    if (Array.isArray(enableOnFormTags)) {
+      return enableOnFormTags
+        .map((tag) => tag.toUpperCase())
+        .includes(el.tagName);
+    }
+    return Boolean(enableOnFormTags);
+  };
+
+  const endsWith = (sequence) => {
+    if (buffer.length < sequence.length) return false;
+    const tail = buffer.slice(-sequence.length);
+    return sequence.every((combo, i) => matchesCombo(tail[i], combo));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.isComposing || isModifierKey(event)) return;
+
+    const now = Date.now();
+    if (now - lastKeyTime > sequenceTimeout) buffer = [];
+    lastKeyTime = now;
+    buffer.push(event);
+    buffer = buffer.slice(-10);
+
+    let completedSequence = false;
+    registrations.forEach((registration) => {
+      const { sequences, options } = registration;
+      if (!isActive(registration) || !allowedTarget(event, options)) return;
+      if (event.repeat && !options.repeat) return;
+
+      const match = sequences.find(endsWith);
+      if (!match) return;
+
+      if (match.length > 1) completedSequence = true;
+      if (options.preventDefault !== false) event.preventDefault();
+      registration.handler(event, { keys: registration.keys });
+    });
+
+    if (completedSequence) buffer = [];
+  };
+
+  const attach = () => {
+    if (target || typeof window === "undefined") return;
+    target = window;
+    target.addEventListener("keydown", handleKeyDown);
+  };
+
+  const detach = () => {
+    if (!target || registrations.size > 0) return;
+    target.removeEventListener("keydown", handleKeyDown);
+    target = null;
+  };
+
+  return {
+    /**
+     * @param {string} keys - e.g. "mod+k, shift+?" or "g then i"
+     * @param {Function} handler - (event, { keys }) => void
+     * @param {Object} [options]
+     * @param {string|string[]} [options.scopes] - Only fire while one is active (default: 'global')
+     * @param {boolean} [options.enabled] - default true
+     * @param {boolean|string[]} [options.enableOnFormTags] - Fire inside inputs (or only these tags)
+     * @param {boolean} [options.enableOnContentEditable]
+     * @param {boolean} [options.preventDefault] - default true
+     * @param {boolean} [options.repeat] - Fire on auto-repeat while held (default false)
+     * @param {string} [options.description] - Shown in help overlays
+     * @param {string} [options.group] - Section for help overlays
+     * @returns {Function} unregister
+     */
+    register: (keys, handler, options = {}) => {
+      const id = ++nextId;
+      const { scopes: regScopes = GLOBAL_SCOPE } = options;
+      registrations.set(id, {
+        id,
+        keys,
+        sequences: parseHotkeys(keys),
+        handler,
+        options,
+        scopes: [].concat(regScopes),
+      });
+      attach();
+      emit();
+
+      return () => {
+        registrations.delete(id);
+        detach();
+        emit();
+      };
+    },
+
+    // Scopes are reference-counted so nested components can share one
+    enableScope: (scope) => {
+      scopeCounts.set(scope, (scopeCounts.get(scope) ?? 0) + 1);
+      emit();
+    },
+    disableScope: (scope) => {
+      const count = (scopeCounts.get(scope) ?? 0) - 1;
+      if (count > 0) scopeCounts.set(scope, count);
+      else scopeCounts.delete(scope);
+      emit();
+    },
+    isScopeActive,
+    getActiveScopes: () => [...scopeCounts.keys()],
+
+    /**
+     * Registered shortcuts for help overlays. Cached until the next change,
+     * so it can back useSyncExternalStore.
+     *
+     * @returns {Array<{ id, keys, label, description, group, scopes, active }>}
+     */
+    getRegistry: () => {
+      if (!snapshot) {
+        snapshot = [...registrations.values()].map((registration) => ({
+          id: registration.id,
+          keys: registration.keys,
+          label: formatHotkey(registration.keys),
+          description: registration.options.description,
+          group: registration.options.group,
+          scopes: registration.scopes,
+          active: isActive(registration),
+        }));
+      }
+      return snapshot;
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+let defaultManager = null;
+
+/**
+ * Shared manager used by useHotkeys outside a <HotkeysProvider>.
+ */
+export function getDefaultHotkeyManager() {
+  if (!defaultManager) defaultManager = createHotkeyManager();
+  return defaultManager;
+}
+
+// Example Usage:
+// parseHotkeys('mod+k, g then i');
+// formatHotkey('mod+shift+p'); // "⌘⇧P" or "Ctrl+Shift+P"
+export default createHotkeyManager;
@@ -0,0 +1,263 @@
+/**
+ * http - fetch helpers with retries, timeouts and typed errors
+ *
+ * Usage:
+ *   const user = await request('/api/user', {
+ *     retry: 3,          // retry failed requests up to 3 times
+ *     timeout: 5000,     // abort each attempt after 5s
+ *     parseAs: 'auto',   // pick a parser from the content-type header
+ *   });
+ *
+ *   try { ... } catch (err) {
+ *     if (err instanceof HttpError && err.status === 404) { ... }
+ *   }
+ */
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * HttpError - Thrown for non-2xx responses
+ *
+ * Carries the status, headers and the parsed response body so callers can
+ * read validation messages from the API.
+ */
+export class HttpError extends Error {
+  constructor(response, body) {
+    super(`HTTP error! Status: ${response.status}`);
+    this.name = "HttpError";
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.headers = response.headers;
+    this.url = response.url;
+    this.body = body;
+  }
+}
+
+/**
+ * TimeoutError - Thrown when a request attempt exceeds its timeout
+ */
+export class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * ParseError - Thrown when a successful response's body can't be parsed
+ *
+ * Sending the request again would return the same body, so it isn't retried.
+ * The original error is on `cause`.
+ */
+export class ParseError extends Error {
+  constructor(response, cause) {
+    super(`Could not parse response body (status ${response.status})`, {
+      cause,
+    });
+    this.name = "ParseError";
+    this.status = response.status;
+    this.headers = response.headers;
+    this.url = response.url;
+  }
+}
+
+/**
+ * Parse a response body.
+ *
+ * @param {Response} response
+ * @param {'auto'|'json'|'text'|'blob'|'arrayBuffer'|Function} parseAs -
+ *   'auto' picks JSON, text or blob from the content-type header
+ */
+export async function parseResponse(response, parseAs = "auto") {
+  if (typeof parseAs === "function") return parseAs(response);
+  if (response.status === 204 || response.status === 205) return null;
+
+  switch (parseAs) {
+    case "json":
+      return response.json();
+    case "text":
+      return response.text();
+    case "blob":
+      return response.blob();
+    case "arrayBuffer":
+      return response.arrayBuffer();
+    default: {
+      const type = response.headers?.get("content-type") ?? "";
+      if (/[/+]json\b/i.test(type)) return response.json();
+      if (/^text\/|xml|javascript|x-www-form-urlencoded/i.test(type)) {
+        return response.text();
+      }
+      if (!type) {
+        const text = await response.text();
+        return text === "" ? null : text;
+      }
+      return response.blob();
+    }
+  }
+}
+
+/**
+ * Append query params to a URL. `null`/`undefined` values are skipped and
+ * arrays become repeated params (`?tag=a&tag=b`).
+ */
+export function buildUrl(url, params) {
+  if (!params) return url;
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach((v) => search.append(name, String(v)));
+  });
+  const query = search.toString();
+  if (!query) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+}
+
+/**
+ * Read `Retry-After` (seconds or HTTP date) as a delay in ms.
+ */
+export function getRetryAfter(headers) {
+  const value = headers?.get?.("retry-after");
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: random(0, min(max, base * 2^attempt))
+ */
+export function backoffDelay(attempt, { base = 500, max = 30000 } = {}) {
+  return Math.random() * Math.min(max, base * 2 ** attempt);
+}
+
+/**
+ * Whether a failed attempt is worth retrying: network errors, timeouts,
+ * 408/425/429 and 5xx gateway errors. Caller aborts and unparseable
+ * bodies are never retried.
+ */
+export function isRetryable(error) {
+  if (error?.name === "AbortError") return false;
+  if (error instanceof ParseError) return false;
+  if (error instanceof HttpError) return RETRYABLE_STATUS.has(error.status);
+  return true;
+}
+
+// Combine the caller's signal with a per-attempt timeout
+function withTimeout(signal, timeout) {
+  if (!timeout) return { signal, clear() {} };
+
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  const timer = setTimeout(
+    () => controller.abort(new TimeoutError(timeout)),
+    timeout
+  );
+
+  if (signal?.aborted) abort();
+  else signal?.addEventListener("abort", abort, { once: true });
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    },
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * request - fetch() with retries, timeouts, typed errors and body parsing
+ *
+ * @param {string} url
+ * @param {Object} options - Fetch options plus:
+ * @param {number|Function} [options.retry] - Max retries, or
+ *   `(attempt, error) => boolean` (default: 0)
+ * @param {number|Function} [options.retryDelay] - Base delay in ms for
+ *   exponential backoff, or `(attempt, error) => ms` (default: 500)
+ * @param {number} [options.maxRetryDelay] - Upper bound for any delay,
+ *   including Retry-After (default: 30000)
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {string|Function} [options.parseAs] - See parseResponse (default: 'auto')
+ * @returns {Promise<any>} Parsed body
+ */
+export async function request(url, options = {}) {
+  const {
+    retry = 0,
+    retryDelay = 500,
+    maxRetryDelay = 30000,
+    timeout,
+    parseAs = "auto",
+    signal,
+    ...init
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptSignal = withTimeout(signal, timeout);
+
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: attemptSignal.signal,
+      });
+
+      if (!response.ok) {
+        const body = await parseResponse(response).catch(() => null);
+        throw new HttpError(response, body);
+      }
+
+      try {
+        return await parseResponse(response, parseAs);
+      } catch (err) {
+        // Malformed JSON; a dropped connection or abort keeps its own error
+        if (err instanceof SyntaxError) throw new ParseError(response, err);
+        throw err;
+      }
+    } catch (caught) {
+      // Timeouts abort the fetch; report them as TimeoutError
+      const reason = attemptSignal.signal?.reason;
+      const error = reason instanceof TimeoutError ? reason : caught;
+
+      const shouldRetry =
+        typeof retry === "function"
+          ? retry(attempt, error)
+          : attempt < retry && isRetryable(error);
+      if (!shouldRetry || signal?.aborted) throw error;
+
+      const retryAfter =
+        error instanceof HttpError ? getRetryAfter(error.headers) : null;
+      const delay =
+        retryAfter ??
+        (typeof retryDelay === "function"
+          ? retryDelay(attempt, error)
+          : backoffDelay(attempt, { base: retryDelay, max: maxRetryDelay }));
+
+      await sleep(Math.min(delay, maxRetryDelay), signal);
+    } finally {
+      attemptSignal.clear();
+    }
+  }
+}
+
+// Example Usage:
+// const data = await request('/api/report', { retry: 3, timeout: 10000 });
+// const file = await request('/api/export', { parseAs: 'blob' });
+export default request;
@@ -0,0 +1,450 @@
+import { checkSchema } from "./storage";
+
+/**
+ * idbStorage - Async IndexedDB storage with the same surface as `storage`
+ *
+ * Values are stored with the structured clone algorithm, so Blobs, Files,
+ * Dates, Maps, typed arrays etc. round-trip without JSON. Falls back to an
+ * in-memory store when IndexedDB is unavailable (SSR, some private modes).
+ *
+ * Usage:
+ *   await idbStorage.set('avatar', blob);
+ *   const avatar = await idbStorage.get('avatar');
+ *   await idbStorage.remove('avatar');
+ *   await idbStorage.clear();
+ *
+ *   await idbStorage.batch([
+ *     { type: 'set', key: 'draft:1', value: { text, savedAt: new Date() } },
+ *     { type: 'remove', key: 'draft:0' },
+ *   ]);
+ *   const drafts = await idbStorage.entries({ prefix: 'draft:' });
+ *
+ *   // Works with useStorageState
+ *   const [files, setFiles] = useStorageState('files', [], { storage: idbStorage });
+ */
+
+const ENVELOPE = "__storage";
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+
+/**
+ * Build an IDBKeyRange from `{ gt, gte, lt, lte, prefix }`.
+ */
+function toKeyRange(range) {
+  if (!range) return undefined;
+  const { prefix, gt, gte, lt, lte } = range;
+  if (prefix !== undefined) {
+    return IDBKeyRange.bound(prefix, `${prefix}￿`);
+  }
+  const lower = gte ?? gt;
+  const upper = lte ?? lt;
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(
+      lower,
+      upper,
+      gte === undefined,
+      lte === undefined
+    );
+  }
+  if (lower !== undefined)
+    return IDBKeyRange.lowerBound(lower, gte === undefined);
+  if (upper !== undefined)
+    return IDBKeyRange.upperBound(upper, lte === undefined);
+  return undefined;
+}
+
+// IndexedDB key order: numbers < dates < strings < binary < arrays
+function keyType(key) {
+  if (typeof key === "number") return 0;
+  if (key instanceof Date) return 1;
+  if (typeof key === "string") return 2;
+  if (ArrayBuffer.isView(key) || key instanceof ArrayBuffer) return 3;
+  return 4;
+}
+
+const toBytes = (key) =>
+  key instanceof ArrayBuffer
+    ? new Uint8Array(key)
+    : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+
+/**
+ * Compare two keys the way indexedDB.cmp() does. Strings compare by UTF-16
+ * code unit, binary keys byte by byte and arrays item by item.
+ */
+function compareKeys(a, b) {
+  const typeA = keyType(a);
+  const typeB = keyType(b);
+  if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+
+  if (typeA === 3 || typeA === 4) {
+    const [x, y] = typeA === 3 ? [toBytes(a), toBytes(b)] : [a, b];
+    const length = Math.min(x.length, y.length);
+    for (let i = 0; i < length; i++) {
+      const order =
+        typeA === 3 ? Math.sign(x[i] - y[i]) : compareKeys(x[i], y[i]);
+      if (order !== 0) return order;
+    }
+    return Math.sign(x.length - y.length);
+  }
+
+  const x = typeA === 1 ? a.getTime() : a;
+  const y = typeA === 1 ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function inRange(key, range) {
+  if (!range) return true;
+  const { prefix, gt, gte, lt, lte } = range;
+  // Same bounds as toKeyRange: only string keys can match a prefix
+  if (prefix !== undefined) {
+    return typeof key === "string" && key.startsWith(prefix);
+  }
+  return (
+    (gt === undefined || compareKeys(key, gt) > 0) &&
+    (gte === undefined || compareKeys(key, gte) >= 0) &&
+    (lt === undefined || compareKeys(key, lt) < 0) &&
+    (lte === undefined || compareKeys(key, lte) <= 0)
+  );
+}
+
+// Same async shape as IndexedDB, backed by a Map
+function createMemoryBackend() {
+  const map = new Map();
+  const clone = (value) =>
+    typeof structuredClone === "function" ? structuredClone(value) : value;
+  const sortedKeys = (range) =>
+    [...map.keys()].filter((key) => inRange(key, range)).sort(compareKeys);
+
+  return {
+    get: async (key) => clone(map.get(key)),
+    entries: async (range) =>
+      sortedKeys(range).map((key) => [key, clone(map.get(key))]),
+    keys: async (range) => sortedKeys(range),
+    batch: async (ops) => {
+      ops.forEach(({ type, key, value, range }) => {
+        if (type === "set") map.set(key, clone(value));
+        else if (type === "remove") map.delete(key);
+        else if (type === "removeRange")
+          sortedKeys(range).forEach((k) => map.delete(k));
+        else if (type === "clear") map.clear();
+      });
+    },
+  };
+}
+
+function createIdbBackend(dbName, storeName) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await open();
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    await transactionDone(tx);
+    return result instanceof IDBRequest ? result.result : result;
+  };
+
+  return {
+    open,
+    get: (key) => withStore("readonly", (store) => store.get(key)),
+    keys: (range) =>
+      withStore("readonly", (store) => store.getAllKeys(toKeyRange(range))),
+    entries: async (range) => {
+      const db = await open();
+      const tx = db.transaction(storeName, "readonly");
+      const store = tx.objectStore(storeName);
+      const keyRange = toKeyRange(range);
+      const [keys, values] = await Promise.all([
+        promisify(store.getAllKeys(keyRange)),
+        promisify(store.getAll(keyRange)),
+      ]);
+      return keys.map((key, i) => [key, values[i]]);
+    },
+    // Every op runs in one readwrite transaction: all or nothing
+    batch: (ops) =>
+      withStore("readwrite", (store) => {
+        ops.forEach(({ type, key, value, range }) => {
+          if (type === "set") store.put(value, key);
+          else if (type === "remove") store.delete(key);
+          else if (type === "removeRange") store.delete(toKeyRange(range));
+          else if (type === "clear") store.clear();
+        });
+      }),
+  };
+}
+
+/**
+ * createIdbStorage - Build an IndexedDB-backed storage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - Database name (default: 'react-developer-utils')
+ * @param {string} [options.storeName] - Object store name (default: 'keyval')
+ */
+export function createIdbStorage({
+  dbName = "react-developer-utils",
+  storeName = "keyval",
+} = {}) {
+  const listeners = new Map(); // key -> Set<callback>
+  let backendPromise = null;
+  let channel = null;
+
+  const getBackend = () => {
+    if (!backendPromise) {
+      backendPromise = (async () => {
+        if (typeof indexedDB === "undefined") return createMemoryBackend();
+        try {
+          const backend = createIdbBackend(dbName, storeName);
+          await backend.open();
+          return backend;
+        } catch (err) {
+          console.warn(
+            "[idbStorage] IndexedDB unavailable, using memory:",
+            err
+          );
+          return createMemoryBackend();
+        }
+      })();
+    }
+    return backendPromise;
+  };
+
+  const unwrap = (stored) => {
+    if (stored && typeof stored === "object" && stored[ENVELOPE] === 1) {
+      return stored;
+    }
+    return { value: stored, expires: null };
+  };
+
+  const isExpired = (entry) =>
+    entry.expires !== null && entry.expires <= Date.now();
+
+  const notify = (key, value, source) => {
+    listeners.get(key)?.forEach((callback) => callback(value, { key, source }));
+  };
+
+  // Opened by the first write or subscription: a tab that only writes must
+  // still tell the others
+  const getChannel = () => {
+    if (channel || typeof BroadcastChannel === "undefined") return channel;
+    channel = new BroadcastChannel(`idb:${dbName}:${storeName}`);
+    channel.onmessage = async ({ data }) => {
+      const keys = data.keys ?? [...listeners.keys()];
+      for (const key of keys) {
+        if (listeners.has(key)) notify(key, await api.get(key), "remote");
+      }
+    };
+    return channel;
+  };
+
+  // Tell other tabs which keys changed; they re-read them
+  const broadcast = (keys) => {
+    getChannel()?.postMessage({ keys });
+  };
+
+  const api = {
+    isAsync: true,
+
+    /**
+     * @param {IDBValidKey} key
+     * @param {any} [defaultValue] - Returned when missing, expired or invalid
+     * @param {Object} [options]
+     * @param {Function|Object} [options.schema] - Same as storage.get
+     * @returns {Promise<any>}
+     */
+    get: async (key, defaultValue = null, { schema } = {}) => {
+      try {
+        const backend = await getBackend();
+        const stored = await backend.get(key);
+        if (stored === undefined) return defaultValue;
+
+        const entry = unwrap(stored);
+        if (isExpired(entry)) {
+          await backend.batch([{ type: "remove", key }]);
+          return defaultValue;
+        }
+
+        const checked = checkSchema(schema, entry.value);
+        return checked.ok ? checked.value : defaultValue;
+      } catch (err) {
+        console.error(`[idbStorage][get] Error reading key "${key}":`, err);
+        return defaultValue;
+      }
+    },
+
+    /**
+     * @param {IDBValidKey} key
+     * @param {any} value - Any structured-cloneable value
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Expire after this many ms
+     * @returns {Promise<boolean>} - false if the value couldn't be stored
+     */
+    set: async (key, value, { ttl } = {}) => {
+      try {
+        const backend = await getBackend();
+        const stored = ttl
+          ? { [ENVELOPE]: 1, value, expires: Date.now() + ttl }
+          : value;
+        await backend.batch([{ type: "set", key, value: stored }]);
+        notify(key, value, "local");
+        broadcast([key]);
+        return true;
+      } catch (err) {
+        console.error(`[idbStorage][set] Error storing key "${key}":`, err);
+        return false;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        const backend = await getBackend();
+        await backend.batch([{ type: "remove", key }]);
+        notify(key, null, "local");
+        broadcast([key]);
+      } catch (err) {
+        console.error(`[idbStorage][remove] Error removing key "${key}":`, err);
+      }
+    },
+
+    clear: async () => {
+      try {
+        const backend = await getBackend();
+        await backend.batch([{ type: "clear" }]);
+        listeners.forEach((_, key) => notify(key, null, "local"));
+        broadcast(null);
+      } catch (err) {
+        console.error("[idbStorage][clear] Error clearing storage:", err);
+      }
+    },
+
+    /**
+     * @param {Object} [range] - `{ prefix }` or any of `{ gt, gte, lt, lte }`
+     * @returns {Promise<IDBValidKey[]>}
+     */
+    keys: async (range) => {
+      try {
+        return await (await getBackend()).keys(range);
+      } catch (err) {
+        console.error("[idbStorage][keys] Error listing keys:", err);
+        return [];
+      }
+    },
+
+    /**
+     * @param {Object} [range] - Same as keys()
+     * @returns {Promise<Array<[IDBValidKey, any]>>} - Expired entries are skipped
+     */
+    entries: async (range) => {
+      try {
+        const entries = await (await getBackend()).entries(range);
+        return entries
+          .map(([key, stored]) => [key, unwrap(stored)])
+          .filter(([, entry]) => !isExpired(entry))
+          .map(([key, entry]) => [key, entry.value]);
+      } catch (err) {
+        console.error("[idbStorage][entries] Error reading entries:", err);
+        return [];
+      }
+    },
+
+    /**
+     * Remove every key in a range, e.g. `{ prefix: 'draft:' }`.
+     */
+    removeRange: async (range) => {
+      try {
+        const backend = await getBackend();
+        const keys = await backend.keys(range);
+        await backend.batch([{ type: "removeRange", range }]);
+        keys.forEach((key) => notify(key, null, "local"));
+        broadcast(keys);
+      } catch (err) {
+        console.error("[idbStorage][removeRange] Error removing range:", err);
+      }
+    },
+
+    /**
+     * Run several writes in a single transaction; either all apply or none.
+     *
+     * @param {Array<{ type: 'set'|'remove', key, value?, ttl? }>} ops
+     * @returns {Promise<boolean>}
+     */
+    batch: async (ops) => {
+      try {
+        const backend = await getBackend();
+        await backend.batch(
+          ops.map((op) =>
+            op.type === "set" && op.ttl
+              ? {
+                  ...op,
+                  value: {
+                    [ENVELOPE]: 1,
+                    value: op.value,
+                    expires: Date.now() + op.ttl,
+                  },
+                }
+              : op
+          )
+        );
+        ops.forEach((op) =>
+          notify(op.key, op.type === "set" ? op.value : null, "local")
+        );
+        broadcast(ops.map((op) => op.key));
+        return true;
+      } catch (err) {
+        console.error("[idbStorage][batch] Error running batch:", err);
+        return false;
+      }
+    },
+
+    /**
+     * Listen for changes to a key, from this tab or others.
+     *
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (key, callback) => {
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+      getChannel();
+
+      return () => {
+        const set = listeners.get(key);
+        set?.delete(callback);
+        if (set?.size === 0) listeners.delete(key);
+        if (listeners.size === 0 && channel) {
+          channel.close();
+          channel = null;
+        }
+      };
+    },
+  };
+
+  return api;
+}
+
+export const idbStorage = createIdbStorage();
+
+// Example Usage:
+// await idbStorage.set('report', new Blob([csv], { type: 'text/csv' }));
+// const report = await idbStorage.get('report'); // Blob
+// await idbStorage.removeRange({ prefix: 'cache:' });
+export default idbStorage;
@@ -0,0 +1,89 @@
+/**
+ * mergeProps - Helpers for adding behaviour to cloned children and prop getters
+ *
+ * Usage:
+ *   const getButtonProps = (props) => mergeProps({ onClick: toggle }, props);
+ *
+ *   const child = React.Children.only(children);
+ *   React.cloneElement(child, {
+ *     ...chainHandlers(child.props, { onFocus: show, onBlur: hide }),
+ *     ref: mergeRefs(getElementRef(child), triggerRef),
+ *   });
+ */
+
+/**
+ * mergeRefs - Combine several refs (callback or object) into one callback ref
+ *
+ * @param  {...(Function|Object|null)} refs
+ * @returns {Function} - Callback ref
+ */
+export function mergeRefs(...refs) {
+  return (node) => {
+    refs.forEach((ref) => {
+      if (typeof ref === "function") ref(node);
+      else if (ref) ref.current = node;
+    });
+  };
+}
+
+/**
+ * getElementRef - Read the ref attached to a React element
+ *
+ * React 19 passes `ref` as a regular prop; earlier versions keep it on the
+ * element itself.
+ */
+export function getElementRef(element) {
+  return element?.props?.ref ?? element?.ref ?? null;
+}
+
+/**
+ * chainHandlers - Merge event handlers so the child's own run first
+ *
+ * Non-function props in `props` simply override the child's.
+ *
+ * @param {Object} childProps - The cloned element's props
+ * @param {Object} props - Props to add
+ * @returns {Object}
+ */
+export function chainHandlers(childProps, props) {
+  return Object.fromEntries(
+    Object.entries(props).map(([name, value]) => {
+      const own = childProps[name];
+      if (typeof value !== "function" || typeof own !== "function") {
+        return [name, value];
+      }
+      return [
+        name,
+        (...args) => {
+          own(...args);
+          value(...args);
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * mergeProps - Combine a prop getter's own props with the caller's
+ *
+ * The caller's values win, both handlers run (the caller's first) and
+ * both refs are attached.
+ *
+ * @param {Object} own - Props the getter needs
+ * @param {Object} props - Props passed to the getter
+ * @returns {Object}
+ */
+export function mergeProps(own, props = {}) {
+  const handlers = Object.fromEntries(
+    Object.entries(own).filter(
+      ([name, value]) => name !== "ref" && typeof value === "function"
+    )
+  );
+  const merged = { ...own, ...props, ...chainHandlers(props, handlers) };
+  if (own.ref && props.ref) merged.ref = mergeRefs(props.ref, own.ref);
+  return merged;
+}
+
+// Example Usage:
+// <input ref={mergeRefs(localRef, forwardedRef)} />
+export default mergeRefs;
@@ -0,0 +1,195 @@
+/**
+ * observers - Shared Intersection/Resize/Mutation observers
+ *
+ * One native observer per distinct options set, no matter how many elements
+ * use it: a 500-row list with lazy images creates a single
+ * IntersectionObserver, not 500. Each function returns an unobserve
+ * function, and is a no-op where the observer API doesn't exist (SSR, old
+ * test environments).
+ *
+ * Usage:
+ *   const stop = observeIntersection(img, (entry) => {
+ *     if (entry.isIntersecting) { img.src = img.dataset.src; stop(); }
+ *   }, { rootMargin: '200px' });
+ *
+ *   const stopResize = observeResize(panel, (entry) => {
+ *     console.log(entry.contentRect.width);
+ *   });
+ */
+
+const noop = () => {};
+
+// Object roots can't be part of a string key; give each one an id
+const rootIds = new WeakMap();
+let nextRootId = 0;
+const rootKey = (root) => {
+  if (!root) return "viewport";
+  if (!rootIds.has(root)) rootIds.set(root, ++nextRootId);
+  return `root${rootIds.get(root)}`;
+};
+
+// Shared bookkeeping: pool key -> { observer, targets: Map<Element, Set<callback>> }.
+// With `replay`, a callback joining an already-observed element gets that
+// element's latest entry, since the observer won't report it again.
+const latest = new WeakMap(); // callback set -> last value dispatched
+
+function createPool({ create, observe, unobserve, replay = false }) {
+  const pool = new Map();
+
+  return (key, element, callback, options) => {
+    let entry = pool.get(key);
+    if (!entry) {
+      entry = { targets: new Map() };
+      entry.observer = create(entry.targets, options);
+      pool.set(key, entry);
+    }
+
+    const { observer, targets } = entry;
+    if (!targets.has(element)) {
+      targets.set(element, new Set());
+      observe(observer, element, options, targets);
+    } else if (replay && latest.has(targets.get(element))) {
+      callback(latest.get(targets.get(element)));
+    }
+    targets.get(element).add(callback);
+
+    return () => {
+      const callbacks = targets.get(element);
+      if (!callbacks?.delete(callback) || callbacks.size > 0) return;
+      targets.delete(element);
+      unobserve(observer, element, options, targets);
+      if (targets.size === 0) {
+        observer.disconnect();
+        pool.delete(key);
+      }
+    };
+  };
+}
+
+const dispatch = (targets, element, value) => {
+  const callbacks = targets.get(element);
+  if (!callbacks) return;
+  latest.set(callbacks, value);
+  callbacks.forEach((callback) => callback(value));
+};
+
+const intersectionPool = createPool({
+  create: (targets, { root, rootMargin, threshold }) =>
+    new IntersectionObserver(
+      (entries) =>
+        entries.forEach((entry) => dispatch(targets, entry.target, entry)),
+      { root, rootMargin, threshold }
+    ),
+  observe: (observer, element) => observer.observe(element),
+  unobserve: (observer, element) => observer.unobserve(element),
+  replay: true,
+});
+
+/**
+ * observeIntersection - Watch an element's visibility
+ *
+ * @param {Element} element
+ * @param {Function} callback - (IntersectionObserverEntry) => void
+ * @param {Object} [options]
+ * @param {Element} [options.root] - Scroll container (default: viewport)
+ * @param {string} [options.rootMargin] - default '0px'
+ * @param {number|number[]} [options.threshold] - default 0
+ * @returns {Function} unobserve
+ */
+export function observeIntersection(element, callback, options = {}) {
+  if (!element || typeof IntersectionObserver === "undefined") return noop;
+  const { root = null, rootMargin = "0px", threshold = 0 } = options;
+  const key = `${rootKey(root)}|${rootMargin}|${[].concat(threshold)}`;
+  return intersectionPool(key, element, callback, {
+    root,
+    rootMargin,
+    threshold,
+  });
+}
+
+const resizePool = createPool({
+  create: (targets) => {
+    // Coalesce bursts (e.g. during a window drag) into one update per frame,
+    // keeping only the latest entry per element
+    const pending = new Map();
+    let frame = null;
+    const flush = () => {
+      frame = null;
+      const entries = [...pending.values()];
+      pending.clear();
+      entries.forEach((entry) => dispatch(targets, entry.target, entry));
+    };
+
+    return new ResizeObserver((entries) => {
+      entries.forEach((entry) => pending.set(entry.target, entry));
+      if (frame === null) {
+        frame =
+          typeof requestAnimationFrame === "function"
+            ? requestAnimationFrame(flush)
+            : setTimeout(flush, 16);
+      }
+    });
+  },
+  observe: (observer, element, { box }) => observer.observe(element, { box }),
+  unobserve: (observer, element) => observer.unobserve(element),
+  replay: true,
+});
+
+/**
+ * observeResize - Watch an element's size, batched to one update per frame
+ *
+ * @param {Element} element
+ * @param {Function} callback - (ResizeObserverEntry) => void
+ * @param {Object} [options]
+ * @param {'content-box'|'border-box'|'device-pixel-content-box'} [options.box]
+ * @returns {Function} unobserve
+ */
+export function observeResize(element, callback, { box = "content-box" } = {}) {
+  if (!element || typeof ResizeObserver === "undefined") return noop;
+  return resizePool(box, element, callback, { box });
+}
+
+const mutationPool = createPool({
+  create: (targets, { subtree }) =>
+    new MutationObserver((records) => {
+      // Records report the node that changed; route them to every observed
+      // element they belong to
+      targets.forEach((callbacks, element) => {
+        const own = records.filter(
+          (record) =>
+            record.target === element ||
+            (subtree && element.contains(record.target))
+        );
+        if (own.length) callbacks.forEach((callback) => callback(own));
+      });
+    }),
+  observe: (observer, element, options) => observer.observe(element, options),
+  // MutationObserver has no unobserve: reconnect to the remaining targets
+  unobserve: (observer, element, options, targets) => {
+    observer.disconnect();
+    targets.forEach((_, target) => observer.observe(target, options));
+  },
+});
+
+/**
+ * observeMutation - Watch DOM changes to an element
+ *
+ * @param {Element} element
+ * @param {Function} callback - (MutationRecord[]) => void
+ * @param {MutationObserverInit} [options] - default `{ childList: true, subtree: true }`
+ * @returns {Function} unobserve
+ */
+export function observeMutation(
+  element,
+  callback,
+  options = { childList: true, subtree: true }
+) {
+  if (!element || typeof MutationObserver === "undefined") return noop;
+  const key = JSON.stringify(options, Object.keys(options).sort());
+  return mutationPool(key, element, callback, options);
+}
+
+// Example Usage:
+// const stop = observeMutation(list, (records) => console.log(records.length), { childList: true });
+// stop();
+export default observeIntersection;
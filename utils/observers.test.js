@@ -0,0 +1,168 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { observeIntersection, observeResize } from "./observers";
+
+// Records every native observer the pool creates
+function stubObserver(name) {
+  const instances = [];
+  class Observer {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      this.disconnected = false;
+      instances.push(this);
+    }
+    observe(element) {
+      this.targets.add(element);
+    }
+    unobserve(element) {
+      this.targets.delete(element);
+    }
+    disconnect() {
+      this.targets.clear();
+      this.disconnected = true;
+    }
+  }
+  vi.stubGlobal(name, Observer);
+  return instances;
+}
+
+const element = () => document.createElement("div");
+
+describe("observeIntersection", () => {
+  let observers;
+  beforeEach(() => {
+    observers = stubObserver("IntersectionObserver");
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("shares one native observer per options set", () => {
+    const a = element();
+    const b = element();
+    const stops = [
+      observeIntersection(a, () => {}, { rootMargin: "10px" }),
+      observeIntersection(b, () => {}, { rootMargin: "10px" }),
+      observeIntersection(a, () => {}, { rootMargin: "20px" }),
+    ];
+
+    expect(observers).toHaveLength(2);
+    expect([...observers[0].targets]).toEqual([a, b]);
+    expect(observers[1].options.rootMargin).toBe("20px");
+    stops.forEach((stop) => stop());
+  });
+
+  it("treats equal threshold arrays as the same options", () => {
+    const stops = [
+      observeIntersection(element(), () => {}, { threshold: [0, 0.5] }),
+      observeIntersection(element(), () => {}, { threshold: [0, 0.5] }),
+    ];
+    expect(observers).toHaveLength(1);
+    stops.forEach((stop) => stop());
+  });
+
+  it("unobserves when an element's last callback leaves and disconnects with the last element", () => {
+    const a = element();
+    const b = element();
+    const stopA1 = observeIntersection(a, () => {});
+    const stopA2 = observeIntersection(a, () => {});
+    const stopB = observeIntersection(b, () => {});
+    const [observer] = observers;
+
+    stopA1();
+    expect(observer.targets.has(a)).toBe(true);
+    stopA2();
+    expect(observer.targets.has(a)).toBe(false);
+    expect(observer.disconnected).toBe(false);
+
+    stopB();
+    expect(observer.disconnected).toBe(true);
+
+    // The next subscriber gets a fresh observer
+    observeIntersection(a, () => {})();
+    expect(observers).toHaveLength(2);
+  });
+
+  it("routes entries to the element's callbacks and replays the latest to late joiners", () => {
+    const a = element();
+    const b = element();
+    const onA = vi.fn();
+    const onB = vi.fn();
+    const stops = [observeIntersection(a, onA), observeIntersection(b, onB)];
+    const entry = { target: a, isIntersecting: true };
+
+    observers[0].callback([entry]);
+    expect(onA).toHaveBeenCalledWith(entry);
+    expect(onB).not.toHaveBeenCalled();
+
+    const late = vi.fn();
+    stops.push(observeIntersection(a, late));
+    expect(late).toHaveBeenCalledWith(entry);
+    stops.forEach((stop) => stop());
+  });
+
+  it("is a no-op without IntersectionObserver", () => {
+    vi.stubGlobal("IntersectionObserver", undefined);
+    const stop = observeIntersection(element(), () => {});
+    expect(stop).toBeTypeOf("function");
+    expect(stop).not.toThrow();
+  });
+});
+
+describe("observeResize", () => {
+  let observers;
+  let frames;
+  beforeEach(() => {
+    observers = stubObserver("ResizeObserver");
+    frames = [];
+    vi.stubGlobal("requestAnimationFrame", (callback) => {
+      frames.push(callback);
+      return frames.length;
+    });
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const runFrame = () => frames.splice(0).forEach((callback) => callback());
+
+  it("batches entries into one update per frame, keeping the latest per element", () => {
+    const a = element();
+    const b = element();
+    const onA = vi.fn();
+    const onB = vi.fn();
+    const stops = [observeResize(a, onA), observeResize(b, onB)];
+    const [observer] = observers;
+
+    observer.callback([{ target: a, width: 1 }]);
+    observer.callback([
+      { target: a, width: 2 },
+      { target: b, width: 3 },
+    ]);
+    expect(frames).toHaveLength(1);
+    expect(onA).not.toHaveBeenCalled();
+
+    runFrame();
+    expect(onA.mock.calls).toEqual([[{ target: a, width: 2 }]]);
+    expect(onB.mock.calls).toEqual([[{ target: b, width: 3 }]]);
+
+    observer.callback([{ target: a, width: 4 }]);
+    expect(frames).toHaveLength(1);
+    runFrame();
+    expect(onA).toHaveBeenCalledTimes(2);
+    stops.forEach((stop) => stop());
+  });
+
+  it("keeps one observer per box option", () => {
+    const stops = [
+      observeResize(element(), () => {}),
+      observeResize(element(), () => {}),
+      observeResize(element(), () => {}, { box: "border-box" }),
+    ];
+    expect(observers).toHaveLength(2);
+    stops.forEach((stop) => stop());
+    expect(observers.every((observer) => observer.disconnected)).toBe(true);
+  });
+});
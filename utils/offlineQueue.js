@@ -0,0 +1,356 @@
+import { storage as localStorageWrapper } from "./storage";
+import { request, isRetryable, backoffDelay, HttpError } from "./http";
+
+/**
+ * offlineQueue - Persisted queue of writes that failed for lack of network
+ *
+ * `queue.send(mutation)` tries the request right away. If it fails with a
+ * network error (or a retryable status), the mutation is saved to storage
+ * and replayed in order when the browser comes back online, on the next
+ * page load, or when you call `queue.replay()`. While anything is queued,
+ * new mutations line up behind it so the server sees writes in the order
+ * they were made.
+ *
+ * Mutations are plain data (`{ url, method, body, headers, meta }`) so they
+ * survive a reload. Pass `perform` to send them some other way.
+ *
+ * Keeping the order means a mutation that keeps failing holds back
+ * everything behind it. After `maxAttempts` failed replays while the
+ * browser is online, it's dropped and reported through `onError`, and the
+ * rest of the queue goes out.
+ *
+ * Usage:
+ *   const todoQueue = createOfflineQueue({
+ *     key: 'todo-writes',
+ *     // 409/412 during replay: the server copy changed while we were offline
+ *     onConflict: async (mutation, error) => {
+ *       const latest = await request(mutation.url);
+ *       return { ...mutation, body: { ...mutation.body, version: latest.version } };
+ *     },
+ *   });
+ *
+ *   const result = await todoQueue.send({
+ *     url: `/api/todos/${id}`,
+ *     method: 'PATCH',
+ *     body: { done: true },
+ *   });
+ *   if (result.queued) toast('Saved offline, will sync when back online');
+ */
+
+const DEFAULT_KEY = "offline-queue";
+// A mutation that still conflicts after this many rewrites is dropped
+const MAX_CONFLICT_RESOLUTIONS = 3;
+// With the retry backoff capped at a minute, about five minutes online
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+const isConflictError = (error) =>
+  error instanceof HttpError && (error.status === 409 || error.status === 412);
+
+// Worth keeping for later: network failures, timeouts, 408/429/5xx
+const isOfflineError = (error) =>
+  (typeof navigator !== "undefined" && navigator.onLine === false) ||
+  isRetryable(error);
+
+const defaultPerform = ({ url, method = "POST", body, headers }) =>
+  request(url, {
+    method,
+    headers:
+      body !== undefined && typeof body !== "string"
+        ? { "Content-Type": "application/json", ...headers }
+        : headers,
+    body:
+      body === undefined || typeof body === "string"
+        ? body
+        : JSON.stringify(body),
+  });
+
+let nextId = 0;
+const createId = () =>
+  `${Date.now().toString(36)}-${(nextId++).toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+
+/**
+ * createOfflineQueue - Build a queue persisted under one storage key
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key] - Storage key (default: 'offline-queue')
+ * @param {Object} [options.storage] - `storage`, `idbStorage` or any
+ *   createStorage() wrapper (default: localStorage)
+ * @param {Function} [options.perform] - (mutation) => Promise, default: request()
+ * @param {Function} [options.shouldQueue] - (error) => boolean, which
+ *   failures to keep for later (default: network errors and retryable statuses)
+ * @param {Function} [options.isConflict] - (error) => boolean (default: 409/412)
+ * @param {Function} [options.onConflict] - (mutation, error) => mutation |
+ *   'retry' | 'drop'. Return an updated mutation to send instead, 'retry' to
+ *   keep it queued, anything else drops it. Without it conflicts are dropped;
+ *   if it throws, the mutation is kept as with 'retry'.
+ * @param {Function} [options.onSuccess] - (result, mutation) after a replayed send
+ * @param {Function} [options.onError] - (error, mutation) when a replayed
+ *   mutation fails for good and is dropped
+ * @param {number} [options.maxAttempts] - Drop after this many replays
+ *   that failed while online (default: 10); `Infinity` keeps a failing
+ *   mutation, and everything behind it, queued until it goes through
+ * @param {boolean} [options.autoReplay] - Replay on `online` and on
+ *   creation (default: true)
+ */
+export function createOfflineQueue(options = {}) {
+  const {
+    key = DEFAULT_KEY,
+    storage = localStorageWrapper,
+    perform = defaultPerform,
+    shouldQueue = isOfflineError,
+    isConflict = isConflictError,
+    onConflict,
+    onSuccess,
+    onError,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    autoReplay = true,
+  } = options;
+
+  let items = [];
+  let replaying = null;
+  let retryTimer = null;
+  let retryAttempt = 0;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener(items));
+
+  const save = async (next) => {
+    items = next;
+    notify();
+    try {
+      await storage.set(key, items);
+    } catch (err) {
+      console.error("[offlineQueue][save] Error saving queue:", err);
+    }
+  };
+
+  const load = async () => {
+    try {
+      const stored = await storage.get(key, []);
+      return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+      console.error("[offlineQueue][load] Error reading queue:", err);
+      return [];
+    }
+  };
+
+  const ready = load().then((stored) => {
+    // Keep anything enqueued before the stored copy finished loading
+    const ids = new Set(stored.map((item) => item.id));
+    items = [...stored, ...items.filter((item) => !ids.has(item.id))];
+    notify();
+  });
+
+  // Another tab changed the queue
+  const unsubscribeStorage = storage.subscribe?.(key, (value, { source }) => {
+    if (source !== "remote") return;
+    items = Array.isArray(value) ? value : [];
+    notify();
+  });
+
+  const update = (id, changes) =>
+    save(
+      items.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  const remove = (id) => save(items.filter((item) => item.id !== id));
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(
+      () => api.replay(),
+      backoffDelay(retryAttempt++, { base: 1000, max: 60000 })
+    );
+  };
+
+  // Send the head of the queue until it's empty or the network fails again
+  const drain = async () => {
+    const resolutions = new Map(); // id -> rewrites by onConflict this run
+    while (items.length > 0) {
+      const mutation = items[0];
+      try {
+        const result = await perform(mutation);
+        await remove(mutation.id);
+        retryAttempt = 0;
+        onSuccess?.(result, mutation);
+      } catch (error) {
+        if (isConflict(error)) {
+          let resolution;
+          try {
+            resolution = await onConflict?.(mutation, error);
+          } catch (err) {
+            // Keep the mutation and back off rather than stall the queue
+            console.error(
+              `[offlineQueue][drain] Error resolving conflict for "${mutation.id}":`,
+              err
+            );
+            resolution = "retry";
+          }
+          const rewrites = (resolutions.get(mutation.id) ?? 0) + 1;
+          resolutions.set(mutation.id, rewrites);
+          if (
+            resolution &&
+            typeof resolution === "object" &&
+            rewrites <= MAX_CONFLICT_RESOLUTIONS
+          ) {
+            await update(mutation.id, { ...resolution, id: mutation.id });
+            continue;
+          }
+          if (resolution !== "retry") {
+            await remove(mutation.id);
+            onError?.(error, mutation);
+            continue;
+          }
+        } else if (!shouldQueue(error)) {
+          await remove(mutation.id);
+          onError?.(error, mutation);
+          continue;
+        }
+
+        // Still offline: wait for the `online` event, without counting
+        // the attempt. Otherwise back off.
+        if (typeof navigator !== "undefined" && navigator.onLine === false) {
+          return;
+        }
+        const attempts = (mutation.attempts ?? 0) + 1;
+        if (attempts >= maxAttempts) {
+          await remove(mutation.id);
+          onError?.(error, mutation);
+          continue;
+        }
+        await update(mutation.id, { attempts });
+        scheduleRetry();
+        return;
+      }
+    }
+  };
+
+  // Only one tab should replay a shared queue at a time
+  const withLock = (fn) =>
+    typeof navigator !== "undefined" && navigator.locks?.request
+      ? navigator.locks.request(`offline-queue:${key}`, fn)
+      : fn();
+
+  const handleOnline = () => api.replay();
+  if (autoReplay && typeof window !== "undefined") {
+    window.addEventListener("online", handleOnline);
+  }
+
+  const api = {
+    /**
+     * Send a mutation now, or queue it if the network is the problem.
+     *
+     * @param {Object} mutation - `{ url, method, body, headers, meta }`
+     * @returns {Promise<{ queued: boolean, result?: any, id?: string }>}
+     *   Rejects for failures that queueing can't fix (validation errors etc.)
+     */
+    send: async (mutation) => {
+      await ready;
+      // Something is already waiting: don't overtake it
+      if (items.length > 0 || replaying) {
+        const id = await api.enqueue(mutation);
+        return { queued: true, id };
+      }
+      try {
+        return { queued: false, result: await perform(mutation) };
+      } catch (error) {
+        if (!shouldQueue(error)) throw error;
+        const id = await api.enqueue(mutation);
+        return { queued: true, id };
+      }
+    },
+
+    /**
+     * Add a mutation to the end of the queue without trying it first.
+     *
+     * @returns {Promise<string>} The queued mutation's id
+     */
+    enqueue: async (mutation) => {
+      await ready;
+      const id = createId();
+      await save([
+        ...items,
+        { ...mutation, id, createdAt: Date.now(), attempts: 0 },
+      ]);
+      if (typeof navigator === "undefined" || navigator.onLine !== false) {
+        scheduleRetry();
+      }
+      return id;
+    },
+
+    /**
+     * Send queued mutations in order. Concurrent calls share one run.
+     *
+     * @returns {Promise<void>}
+     */
+    replay: () => {
+      clearTimeout(retryTimer);
+      if (!replaying) {
+        replaying = ready
+          .then(() => withLock(drain))
+          .catch((err) => {
+            console.error("[offlineQueue][replay] Error replaying queue:", err);
+          })
+          .finally(() => {
+            replaying = null;
+            notify();
+          });
+        notify();
+      }
+      return replaying;
+    },
+
+    /** Current queued mutations, oldest first */
+    getAll: () => items,
+
+    get size() {
+      return items.length;
+    },
+
+    get isReplaying() {
+      return replaying !== null;
+    },
+
+    /** Drop a queued mutation by id */
+    remove: async (id) => {
+      await ready;
+      await remove(id);
+    },
+
+    /** Drop everything */
+    clear: async () => {
+      await ready;
+      await save([]);
+    },
+
+    /**
+     * @param {Function} listener - (mutations) => void
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** Stop listening for `online` and cancel any scheduled retry */
+    destroy: () => {
+      clearTimeout(retryTimer);
+      unsubscribeStorage?.();
+      listeners.clear();
+      if (typeof window !== "undefined") {
+        window.removeEventListener("online", handleOnline);
+      }
+    },
+  };
+
+  if (autoReplay) ready.then(() => items.length > 0 && api.replay());
+
+  return api;
+}
+
+// Example Usage:
+// const queue = createOfflineQueue({ key: 'comments', storage: idbStorage });
+// await queue.send({ url: '/api/comments', body: { text } });
+// queue.subscribe((pending) => setPendingCount(pending.length));
+export default createOfflineQueue;
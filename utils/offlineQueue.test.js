@@ -0,0 +1,175 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { HttpError } from "./http";
+import { createOfflineQueue } from "./offlineQueue";
+
+// Round-trips through JSON like the real storages do
+const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    get: async (key, fallback) =>
+      data.has(key) ? JSON.parse(data.get(key)) : fallback,
+    set: async (key, value) => {
+      data.set(key, JSON.stringify(value));
+    },
+  };
+};
+
+const httpError = (status) => new HttpError(new Response(null, { status }));
+
+describe("offlineQueue", () => {
+  const queues = [];
+
+  afterEach(() => {
+    queues.splice(0).forEach((queue) => queue.destroy());
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  function create(options) {
+    const queue = createOfflineQueue({
+      storage: createMemoryStorage(),
+      autoReplay: false,
+      ...options,
+    });
+    queues.push(queue);
+    return queue;
+  }
+
+  it("replays mutations in the order they were made", async () => {
+    const sent = [];
+    let online = false;
+    const queue = create({
+      perform: async (mutation) => {
+        if (!online) throw new TypeError("Failed to fetch");
+        sent.push(mutation.url);
+      },
+    });
+
+    await queue.send({ url: "/a" });
+    online = true;
+    // Goes behind /a even though the network is back
+    await expect(queue.send({ url: "/b" })).resolves.toMatchObject({
+      queued: true,
+    });
+    await queue.enqueue({ url: "/c" });
+
+    await queue.replay();
+    expect(sent).toEqual(["/a", "/b", "/c"]);
+    expect(queue.size).toBe(0);
+  });
+
+  it("sends the mutation onConflict rewrote", async () => {
+    const storage = createMemoryStorage();
+    const sent = [];
+    const queue = create({
+      storage,
+      perform: async (mutation) => {
+        if (mutation.body.version < 2) throw httpError(409);
+        sent.push(mutation);
+      },
+      onConflict: async (mutation) => ({
+        ...mutation,
+        body: { ...mutation.body, version: 2 },
+      }),
+    });
+    const id = await queue.enqueue({ url: "/todos/1", body: { version: 1 } });
+
+    await queue.replay();
+    expect(sent).toEqual([
+      expect.objectContaining({ id, body: { version: 2 } }),
+    ]);
+    expect(await storage.get("offline-queue")).toEqual([]);
+  });
+
+  it("drops a conflict onConflict doesn't resolve", async () => {
+    const onError = vi.fn();
+    const queue = create({
+      perform: async () => {
+        throw httpError(412);
+      },
+      onError,
+    });
+    await queue.enqueue({ url: "/todos/1" });
+
+    await queue.replay();
+    expect(queue.size).toBe(0);
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 412 }),
+      expect.objectContaining({ url: "/todos/1" })
+    );
+  });
+
+  it("keeps queued mutations across a reload", async () => {
+    const storage = createMemoryStorage();
+    const first = create({
+      storage,
+      perform: async () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    await first.send({ url: "/a", method: "PUT", body: { done: true } });
+    await first.send({ url: "/b" });
+    first.destroy();
+    expect(await storage.get("offline-queue")).toHaveLength(2);
+
+    const sent = [];
+    const second = create({
+      storage,
+      autoReplay: true,
+      perform: async (mutation) => {
+        sent.push(mutation);
+      },
+    });
+    await vi.waitFor(() => expect(sent).toHaveLength(2));
+    expect(second.size).toBe(0);
+    expect(sent).toEqual([
+      expect.objectContaining({
+        url: "/a",
+        method: "PUT",
+        body: { done: true },
+      }),
+      expect.objectContaining({ url: "/b" }),
+    ]);
+  });
+
+  it("drops a mutation that keeps failing so the rest can go out", async () => {
+    const onError = vi.fn();
+    const sent = [];
+    const queue = create({
+      perform: async (mutation) => {
+        if (mutation.url === "/broken") throw httpError(503);
+        sent.push(mutation.url);
+      },
+      onError,
+    });
+    await queue.enqueue({ url: "/broken" });
+    await queue.enqueue({ url: "/b" });
+
+    for (let i = 0; i < 9; i++) await queue.replay();
+    expect(sent).toEqual([]);
+    expect(queue.getAll()[0].attempts).toBe(9);
+
+    await queue.replay();
+    expect(sent).toEqual(["/b"]);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 503 }),
+      expect.objectContaining({ url: "/broken" })
+    );
+  });
+
+  it("doesn't count replays that fail while the browser is offline", async () => {
+    vi.stubGlobal("navigator", { onLine: false });
+    const queue = create({
+      perform: async () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    await queue.enqueue({ url: "/a" });
+
+    for (let i = 0; i < 12; i++) await queue.replay();
+    expect(queue.getAll()).toEqual([
+      expect.objectContaining({ url: "/a", attempts: 0 }),
+    ]);
+  });
+});
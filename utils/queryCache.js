@@ -0,0 +1,370 @@
+/**
+ * queryCache - Shared request cache used by useFetch
+ *
+ * Entries are keyed by an array (usually `[url, params]`) that is hashed
+ * with stable key ordering, so `{ a: 1, b: 2 }` and `{ b: 2, a: 1 }` hit
+ * the same entry.
+ *
+ * Usage:
+ *   queryCache.fetch(["/api/users", { page: 1 }], ({ signal }) =>
+ *     fetch("/api/users?page=1", { signal }).then((r) => r.json())
+ *   );
+ *
+ *   invalidate("/api/users");                        // every /api/users entry
+ *   invalidate(["/api/users", { page: 1 }]);         // one entry
+ *   invalidate((key) => key[0].startsWith("/api/")); // predicate
+ *
+ * - Concurrent fetches for the same key share one in-flight promise.
+ * - Data older than `staleTime` is served while it revalidates.
+ * - Entries without subscribers are dropped after `cacheTime`.
+ */
+
+export const DEFAULT_STALE_TIME = 0;
+export const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+const IDLE_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  status: "idle", // 'idle' | 'loading' | 'success' | 'error'
+  isFetching: false,
+  isInvalidated: false,
+  updatedAt: 0,
+});
+
+function stableValue(value) {
+  if (Array.isArray(value)) return value.map(stableValue);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        if (value[key] !== undefined) acc[key] = stableValue(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Normalize a key to array form. A bare string is treated as `[string]`.
+ */
+export function toQueryKey(key) {
+  return Array.isArray(key) ? key : [key];
+}
+
+/**
+ * Hash a query key into a string that ignores object key order.
+ */
+export function hashKey(key) {
+  return JSON.stringify(stableValue(toQueryKey(key)));
+}
+
+// `["/api/users"]` matches `["/api/users", { page: 1 }]`
+function partialMatch(key, partial) {
+  return (
+    partial.length <= key.length &&
+    partial.every((part, i) => hashKey([part]) === hashKey([key[i]]))
+  );
+}
+
+export function createQueryCache({
+  staleTime: defaultStaleTime = DEFAULT_STALE_TIME,
+  cacheTime: defaultCacheTime = DEFAULT_CACHE_TIME,
+} = {}) {
+  const entries = new Map();
+  const errorListeners = new Set();
+
+  const getEntry = (key) => {
+    const hash = hashKey(key);
+    let entry = entries.get(hash);
+    if (!entry) {
+      entry = {
+        key: toQueryKey(key),
+        hash,
+        state: IDLE_STATE,
+        listeners: new Set(),
+        promise: null,
+        controller: null,
+        fetcher: null,
+        cacheTime: defaultCacheTime,
+        gcTimer: null,
+      };
+      entries.set(hash, entry);
+    }
+    return entry;
+  };
+
+  const setState = (entry, patch) => {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((listener) => listener(entry.state));
+  };
+
+  const scheduleGc = (entry) => {
+    clearTimeout(entry.gcTimer);
+    if (entry.listeners.size > 0 || entry.promise) return;
+    if (!Number.isFinite(entry.cacheTime)) return;
+
+    entry.gcTimer = setTimeout(() => {
+      if (entry.listeners.size === 0 && !entry.promise) {
+        entries.delete(entry.hash);
+      }
+    }, entry.cacheTime);
+  };
+
+  const cancel = (entry) => {
+    if (!entry.promise) return;
+    entry.controller?.abort();
+    entry.promise = null;
+    entry.controller = null;
+    setState(entry, {
+      isFetching: false,
+      status: entry.state.status === "loading" ? "idle" : entry.state.status,
+    });
+  };
+
+  const isStale = (entry, staleTime = defaultStaleTime) =>
+    entry.state.isInvalidated ||
+    entry.state.updatedAt === 0 ||
+    Date.now() - entry.state.updatedAt >= staleTime;
+
+  const matching = (keyOrPredicate) => {
+    if (keyOrPredicate === undefined) return [...entries.values()];
+    if (typeof keyOrPredicate === "function") {
+      return [...entries.values()].filter((entry) =>
+        keyOrPredicate(entry.key, entry.state)
+      );
+    }
+    const partial = toQueryKey(keyOrPredicate);
+    return [...entries.values()].filter((entry) =>
+      partialMatch(entry.key, partial)
+    );
+  };
+
+  const cache = {
+    /**
+     * Current state snapshot for a key. Returns the same object until the
+     * entry changes, so it is safe to use with useSyncExternalStore.
+     */
+    getState(key) {
+      return entries.get(hashKey(key))?.state ?? IDLE_STATE;
+    },
+
+    getData(key) {
+      return cache.getState(key).data;
+    },
+
+    /**
+     * Write data directly, e.g. for optimistic updates.
+     * `updater` may be a value or a function of the previous data.
+     */
+    setData(key, updater) {
+      const entry = getEntry(key);
+      const data =
+        typeof updater === "function" ? updater(entry.state.data) : updater;
+      setState(entry, {
+        data,
+        error: null,
+        status: "success",
+        isInvalidated: false,
+        updatedAt: Date.now(),
+      });
+      scheduleGc(entry);
+      return data;
+    },
+
+    /**
+     * Optimistically replace the data for a key.
+     *
+     * Cancels any in-flight request for the key (so a late response can't
+     * overwrite the optimistic value) and returns a function that restores
+     * the previous state.
+     *
+     * @returns {Function} rollback
+     */
+    optimisticUpdate(key, updater) {
+      const entry = getEntry(key);
+      cancel(entry);
+      const previous = entry.state;
+      cache.setData(key, updater);
+
+      return () => {
+        setState(entry, previous);
+        scheduleGc(entry);
+      };
+    },
+
+    isStale(key, staleTime) {
+      const entry = entries.get(hashKey(key));
+      return entry ? isStale(entry, staleTime) : true;
+    },
+
+    subscribe(key, listener) {
+      const entry = getEntry(key);
+      clearTimeout(entry.gcTimer);
+      entry.listeners.add(listener);
+
+      return () => {
+        entry.listeners.delete(listener);
+        // Nobody is waiting for the response any more
+        if (entry.listeners.size === 0) cancel(entry);
+        scheduleGc(entry);
+      };
+    },
+
+    /**
+     * Listen for failed fetches on any key (for logging and telemetry).
+     * Cancelled requests are not reported.
+     *
+     * @param {Function} listener - (error, key) => void
+     * @returns {Function} unsubscribe
+     */
+    subscribeErrors(listener) {
+      errorListeners.add(listener);
+      return () => errorListeners.delete(listener);
+    },
+
+    /**
+     * Fetch data for a key.
+     *
+     * Resolves from cache when the data is still fresh, joins an in-flight
+     * request for the same key, or calls `fetcher({ signal })`.
+     *
+     * @param {Array|string} key
+     * @param {Function} fetcher - ({ signal }) => Promise<data>
+     * @param {Object} [options]
+     * @param {number} [options.staleTime] - ms before cached data is stale
+     * @param {number} [options.cacheTime] - ms to keep unused entries
+     * @param {boolean} [options.force] - ignore freshness and refetch
+     * @param {boolean} [options.transient] - don't reuse this fetcher for
+     *   later invalidation refetches
+     * @returns {Promise<any>}
+     */
+    fetch(key, fetcher, options = {}) {
+      const {
+        staleTime = defaultStaleTime,
+        cacheTime,
+        force = false,
+        transient = false,
+      } = options;
+      const entry = getEntry(key);
+
+      if (cacheTime !== undefined) entry.cacheTime = cacheTime;
+      if (fetcher && !transient) entry.fetcher = fetcher;
+      const run = fetcher ?? entry.fetcher;
+
+      if (entry.promise) return entry.promise;
+      if (!force && !isStale(entry, staleTime)) {
+        return Promise.resolve(entry.state.data);
+      }
+      if (!run) {
+        return Promise.reject(
+          new Error(`[queryCache] No fetcher registered for ${entry.hash}`)
+        );
+      }
+
+      const controller = new AbortController();
+      const promise = Promise.resolve()
+        .then(() => run({ signal: controller.signal, key: entry.key }))
+        .then(
+          (data) => {
+            if (entry.promise !== promise) return data;
+            entry.promise = null;
+            entry.controller = null;
+            setState(entry, {
+              data,
+              error: null,
+              status: "success",
+              isFetching: false,
+              isInvalidated: false,
+              updatedAt: Date.now(),
+            });
+            scheduleGc(entry);
+            return data;
+          },
+          (error) => {
+            if (entry.promise !== promise) throw error;
+            entry.promise = null;
+            entry.controller = null;
+            // Keep the last good data around so the UI can still show it
+            setState(entry, {
+              error,
+              status: "error",
+              isFetching: false,
+            });
+            scheduleGc(entry);
+            // One broken listener mustn't keep the others from hearing
+            errorListeners.forEach((listener) => {
+              try {
+                listener(error, entry.key);
+              } catch (err) {
+                console.error(
+                  "[queryCache][fetch] Error in error listener:",
+                  err
+                );
+              }
+            });
+            throw error;
+          }
+        );
+
+      entry.promise = promise;
+      entry.controller = controller;
+      setState(entry, {
+        isFetching: true,
+        status: entry.state.data === undefined ? "loading" : entry.state.status,
+      });
+
+      return promise;
+    },
+
+    /**
+     * Mark matching entries as stale. Entries that are currently mounted
+     * are refetched right away; the rest refetch on next use.
+     *
+     * @param {Array|string|Function} [keyOrPredicate] - key prefix or
+     *   `(key, state) => boolean`. Omit to invalidate everything.
+     * @returns {Promise<void>}
+     */
+    invalidate(keyOrPredicate) {
+      const refetches = matching(keyOrPredicate).map((entry) => {
+        setState(entry, { isInvalidated: true });
+        if (entry.listeners.size === 0 || !entry.fetcher) return null;
+        return cache.fetch(entry.key, null, { force: true }).catch(() => {});
+      });
+      return Promise.all(refetches).then(() => {});
+    },
+
+    /**
+     * Drop matching entries, aborting any in-flight request. Entries with
+     * subscribers are emptied in place instead, so mounted components
+     * still hear about the next fetch for their key.
+     */
+    remove(keyOrPredicate) {
+      matching(keyOrPredicate).forEach((entry) => {
+        cancel(entry);
+        clearTimeout(entry.gcTimer);
+        if (entry.listeners.size > 0) setState(entry, IDLE_STATE);
+        else entries.delete(entry.hash);
+      });
+    },
+
+    clear() {
+      cache.remove();
+    },
+  };
+
+  return cache;
+}
+
+export const queryCache = createQueryCache();
+
+export const invalidate = (keyOrPredicate) =>
+  queryCache.invalidate(keyOrPredicate);
+
+export const optimisticUpdate = (key, updater) =>
+  queryCache.optimisticUpdate(key, updater);
+
+// Example Usage:
+// queryCache.setData(["/api/user", null], { name: "Jackson" });
+// queryCache.getData(["/api/user", null]); // { name: "Jackson" }
+// invalidate("/api/user");
+export default queryCache;
@@ -0,0 +1,60 @@
+import { describe, expect, it, vi } from "vitest";
+import { createQueryCache } from "./queryCache";
+
+describe("queryCache.remove", () => {
+  it("drops entries nobody is subscribed to", async () => {
+    const cache = createQueryCache();
+    await cache.fetch(["/a"], async () => 1);
+
+    cache.remove("/a");
+    expect(cache.getState(["/a"]).status).toBe("idle");
+    expect(cache.isStale(["/a"])).toBe(true);
+  });
+
+  it("keeps subscribers of a removed entry listening for the next fetch", async () => {
+    const cache = createQueryCache();
+    const listener = vi.fn();
+    cache.subscribe(["/a"], listener);
+    await cache.fetch(["/a"], async () => "first");
+
+    cache.remove("/a");
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: "idle", data: undefined })
+    );
+
+    await cache.fetch(["/a"], async () => "second");
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: "success", data: "second" })
+    );
+  });
+
+  it("keeps subscribers listening through clear() and refetches them on invalidate", async () => {
+    const cache = createQueryCache();
+    const listener = vi.fn();
+    let version = 0;
+    cache.subscribe(["/a"], listener);
+    await cache.fetch(["/a"], async () => ++version);
+
+    cache.clear();
+    await cache.invalidate();
+    expect(cache.getData(["/a"])).toBe(2);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: "success", data: 2 })
+    );
+  });
+
+  it("aborts a request in flight for a removed key", async () => {
+    const cache = createQueryCache();
+    let signal;
+    const pending = cache.fetch(["/a"], (context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    });
+    await Promise.resolve();
+
+    cache.remove("/a");
+    expect(signal.aborted).toBe(true);
+    expect(cache.getState(["/a"]).isFetching).toBe(false);
+    pending.catch(() => {});
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * rovingFocus - Keyboard model shared by composite widgets (tabs, menus,
+ * accordions, toolbars)
+ *
+ * Pure helpers: which item an arrow/Home/End key moves to, and typeahead
+ * matching. useRovingTabIndex wires them to the DOM.
+ *
+ * Usage:
+ *   getNextIndex("ArrowDown", 2, 5, { orientation: "vertical" }); // 3
+ *   getNextIndex("ArrowLeft", 0, 5, { orientation: "horizontal", loop: false }); // 0
+ *
+ *   const typeahead = createTypeahead();
+ *   typeahead("b"); typeahead("a"); // "ba" (reset after 500ms of silence)
+ */
+
+// Keys that move forward/backward for each orientation
+const KEYS = {
+  vertical: { ArrowDown: 1, ArrowUp: -1 },
+  horizontal: { ArrowRight: 1, ArrowLeft: -1 },
+  both: { ArrowDown: 1, ArrowUp: -1, ArrowRight: 1, ArrowLeft: -1 },
+};
+
+/**
+ * getNextIndex - Index to move to for a key press, skipping disabled items
+ *
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} current - Current index (-1 for none)
+ * @param {number} count - Number of items
+ * @param {object} [options]
+ * @param {'vertical'|'horizontal'|'both'} [options.orientation] - Default: 'vertical'
+ * @param {boolean} [options.loop] - Wrap around the ends (default: true)
+ * @param {boolean} [options.rtl] - Swap ArrowLeft/ArrowRight
+ * @param {Function} [options.isDisabled] - (index) => boolean
+ * @returns {number|null} - null when the key isn't a navigation key, or there's nowhere to go
+ */
+export function getNextIndex(key, current, count, options = {}) {
+  const {
+    orientation = "vertical",
+    loop = true,
+    rtl = false,
+    isDisabled = () => false,
+  } = options;
+  if (count === 0) return null;
+
+  const enabled = (index) => !isDisabled(index);
+  const scan = (start, step) => {
+    for (let i = start; i >= 0 && i < count; i += step) {
+      if (enabled(i)) return i;
+    }
+    return null;
+  };
+
+  if (key === "Home") return scan(0, 1);
+  if (key === "End") return scan(count - 1, -1);
+
+  let step = KEYS[orientation]?.[key];
+  if (!step) return null;
+  if (rtl && key.startsWith("ArrowL")) step = 1;
+  else if (rtl && key.startsWith("ArrowR")) step = -1;
+
+  if (current < 0) return step > 0 ? scan(0, 1) : scan(count - 1, -1);
+
+  const next = scan(current + step, step);
+  if (next !== null || !loop) return next;
+  return step > 0 ? scan(0, 1) : scan(count - 1, -1);
+}
+
+/**
+ * findTypeaheadMatch - First label starting with `search`, looking after
+ * the current item first. Repeating one character ("bbb") cycles through
+ * the items starting with it.
+ *
+ * @param {string[]} labels - Text of each item
+ * @param {string} search - Accumulated typeahead string
+ * @param {number} current - Current index
+ * @param {Function} [isDisabled] - (index) => boolean
+ * @returns {number} - Matching index, or -1
+ */
+export function findTypeaheadMatch(
+  labels,
+  search,
+  current,
+  isDisabled = () => false
+) {
+  const normalized = search.toLowerCase();
+  const repeated = [...normalized].every((char) => char === normalized[0]);
+  const query = repeated ? normalized[0] : normalized;
+  // A longer search may still match the current item; a repeated key moves on
+  const offset = repeated ? 1 : 0;
+
+  for (let i = 0; i < labels.length; i++) {
+    const index = (Math.max(current, 0) + offset + i) % labels.length;
+    if (
+      !isDisabled(index) &&
+      labels[index].trim().toLowerCase().startsWith(query)
+    ) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * createTypeahead - Accumulates printable keys into a search string that
+ * resets after `timeout` ms without typing
+ *
+ * @param {number} [timeout] - Default: 500
+ * @returns {Function} - (char) => search string so far
+ */
+export function createTypeahead(timeout = 500) {
+  let buffer = "";
+  let timer = null;
+
+  return (char) => {
+    clearTimeout(timer);
+    buffer += char;
+    timer = setTimeout(() => {
+      buffer = "";
+    }, timeout);
+    return buffer;
+  };
+}
+
+/** Whether a keydown should feed typeahead (single printable character) */
+export const isTypeaheadKey = (event) =>
+  event.key.length === 1 &&
+  event.key !== " " &&
+  !event.ctrlKey &&
+  !event.metaKey &&
+  !event.altKey;
+
+// Example Usage:
+// const next = getNextIndex(event.key, index, items.length, { orientation: 'horizontal' });
+// if (next !== null) { event.preventDefault(); focus(next); }
+export default getNextIndex;
@@ -8,50 +8,336 @@
  *   storage.clear();                           // clears all localStorage
  *
  *   storage.session.set('token', 'abc123');   // sessionStorage
+ *
+ *   storage.set('draft', text, { ttl: 60 * 60 * 1000 }); // expires in 1h
+ *   storage.get('user', null, { schema: (u) => typeof u?.id === 'number' });
+ *   const unsubscribe = storage.subscribe('cart', (cart) => render(cart));
+ *
+ *   // Namespaced + versioned: keys are stored as "shop:<key>"
+ *   const shopStorage = createStorage('local', {
+ *     namespace: 'shop',
+ *     version: 2,
+ *     migrations: { 2: (value, key) => (key === 'cart' ? { items: value } : value) },
+ *   });
+ *
+ * Falls back to an in-memory store when Web Storage is unavailable (SSR,
+ * Safari private mode, blocked cookies), so calls never throw.
  */
 
-const createStorage = (type = "local") => ({
-  set: (key, value) => {
-    try {
-      const str = JSON.stringify(value);
-      (type === "local" ? localStorage : sessionStorage).setItem(key, str);
-    } catch (err) {
-      console.error(`[storage][set] Error storing key "${key}":`, err);
+const META_KEY = "__version";
+const ENVELOPE = "__storage";
+// Default for has(): any stored value, including null, differs from it
+const MISSING = Symbol("missing");
+
+// Minimal in-memory Storage for SSR and locked-down browsers
+function createMemoryStorage() {
+  const map = new Map();
+  return {
+    get length() {
+      return map.size;
+    },
+    key: (index) => [...map.keys()][index] ?? null,
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    clear: () => map.clear(),
+  };
+}
+
+const memoryBackends = {};
+
+function resolveBackend(type) {
+  try {
+    const backend = type === "local" ? localStorage : sessionStorage;
+    const probe = "__storage_probe__";
+    backend.setItem(probe, probe);
+    backend.removeItem(probe);
+    return backend;
+  } catch {
+    memoryBackends[type] ??= createMemoryStorage();
+    return memoryBackends[type];
+  }
+}
+
+function isQuotaError(err) {
+  return (
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err?.code === 22
+  );
+}
+
+/**
+ * Validate a stored value with a predicate or a `safeParse`/`parse` schema.
+ *
+ * @returns {{ ok: boolean, value: any }}
+ */
+export function checkSchema(schema, value) {
+  if (!schema) return { ok: true, value };
+  try {
+    if (typeof schema === "function") {
+      return { ok: Boolean(schema(value)), value };
+    }
+    if (typeof schema.safeParse === "function") {
+      const result = schema.safeParse(value);
+      return { ok: result.success, value: result.data };
+    }
+    if (typeof schema.parse === "function") {
+      return { ok: true, value: schema.parse(value) };
     }
-  },
+  } catch {
+    return { ok: false, value };
+  }
+  return { ok: true, value };
+}
 
-  get: (key, defaultValue = null) => {
-    try {
-      const item = (type === "local" ? localStorage : sessionStorage).getItem(
-        key
-      );
-      if (item === null) return defaultValue;
-      return JSON.parse(item);
-    } catch (err) {
-      console.error(`[storage][get] Error reading key "${key}":`, err);
-      return defaultValue;
+/**
+ * createStorage - Build a storage wrapper
+ *
+ * @param {'local'|'session'} type
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Prefix for every key ("ns:key")
+ * @param {number} [options.version] - Namespace schema version
+ * @param {Object} [options.migrations] - `{ [version]: (value, key) => newValue }`,
+ *   run in order for every key when the stored version is older. Return
+ *   `undefined` to drop a key.
+ */
+export const createStorage = (type = "local", options = {}) => {
+  const { namespace = "", version, migrations = {} } = options;
+  const prefix = namespace ? `${namespace}:` : "";
+  const listeners = new Map(); // key -> Set<callback>
+  let backend = null;
+  let migrated = false;
+
+  const getBackend = () => {
+    if (!backend) backend = resolveBackend(type);
+    if (!migrated) {
+      migrated = true;
+      migrate(backend);
     }
-  },
+    return backend;
+  };
 
-  remove: (key) => {
+  const fullKey = (key) => `${prefix}${key}`;
+
+  const ownKeys = (store) => {
+    const keys = [];
+    for (let i = 0; i < store.length; i++) {
+      const key = store.key(i);
+      if (key !== null && key.startsWith(prefix) && key !== fullKey(META_KEY)) {
+        keys.push(key.slice(prefix.length));
+      }
+    }
+    return keys;
+  };
+
+  // Returns { value, expires } or null; legacy plain-JSON values have no envelope
+  const read = (store, key) => {
+    const item = store.getItem(fullKey(key));
+    if (item === null) return null;
+    const parsed = JSON.parse(item);
+    if (parsed && typeof parsed === "object" && parsed[ENVELOPE] === 1) {
+      return { value: parsed.value, expires: parsed.expires ?? null };
+    }
+    return { value: parsed, expires: null };
+  };
+
+  const write = (store, key, value, expires) => {
+    const str = JSON.stringify(
+      expires ? { [ENVELOPE]: 1, value, expires } : value
+    );
     try {
-      (type === "local" ? localStorage : sessionStorage).removeItem(key);
+      store.setItem(fullKey(key), str);
     } catch (err) {
-      console.error(`[storage][remove] Error removing key "${key}":`, err);
+      if (!isQuotaError(err)) throw err;
+      // Free space held by expired entries and try once more
+      api.purgeExpired();
+      store.setItem(fullKey(key), str);
     }
-  },
+  };
 
-  clear: () => {
+  function migrate(store) {
+    if (version === undefined) return;
     try {
-      (type === "local" ? localStorage : sessionStorage).clear();
+      const from = Number(store.getItem(fullKey(META_KEY))) || 0;
+      if (from >= version) return;
+
+      const steps = Object.keys(migrations)
+        .map(Number)
+        .filter((v) => v > from && v <= version)
+        .sort((a, b) => a - b);
+
+      ownKeys(store).forEach((key) => {
+        const entry = read(store, key);
+        if (!entry) return;
+        const value = steps.reduce(
+          (acc, step) => (acc === undefined ? acc : migrations[step](acc, key)),
+          entry.value
+        );
+        if (value === undefined) store.removeItem(fullKey(key));
+        else write(store, key, value, entry.expires);
+      });
+      store.setItem(fullKey(META_KEY), String(version));
     } catch (err) {
-      console.error("[storage][clear] Error clearing storage:", err);
+      console.error(`[storage][migrate] Error migrating "${namespace}":`, err);
     }
-  },
-});
+  }
+
+  const notify = (key, value, source) => {
+    listeners.get(key)?.forEach((callback) => callback(value, { key, source }));
+  };
+
+  let storageListener = null;
+
+  // Cross-tab updates: the `storage` event only fires in *other* tabs
+  const listenToOtherTabs = () => {
+    if (storageListener || typeof window === "undefined") return;
+    storageListener = (event) => {
+      if (event.storageArea && event.storageArea !== backend) return;
+      if (event.key === null) {
+        listeners.forEach((_, key) => notify(key, null, "remote"));
+        return;
+      }
+      if (!event.key.startsWith(prefix)) return;
+      const key = event.key.slice(prefix.length);
+      if (listeners.has(key)) notify(key, api.get(key), "remote");
+    };
+    window.addEventListener("storage", storageListener);
+  };
+
+  const stopListening = () => {
+    if (!storageListener || listeners.size > 0) return;
+    window.removeEventListener("storage", storageListener);
+    storageListener = null;
+  };
+
+  const api = {
+    namespace,
+
+    /**
+     * @param {string} key
+     * @param {any} value - Anything JSON-serializable
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Expire after this many ms
+     * @returns {boolean} - false if the value couldn't be stored
+     */
+    set: (key, value, { ttl } = {}) => {
+      try {
+        write(getBackend(), key, value, ttl ? Date.now() + ttl : null);
+        notify(key, value, "local");
+        return true;
+      } catch (err) {
+        console.error(`[storage][set] Error storing key "${key}":`, err);
+        return false;
+      }
+    },
+
+    /**
+     * @param {string} key
+     * @param {any} [defaultValue] - Returned when missing, expired or invalid
+     * @param {Object} [options]
+     * @param {Function|Object} [options.schema] - Predicate, or an object with
+     *   `safeParse`/`parse` (e.g. a zod schema)
+     */
+    get: (key, defaultValue = null, { schema } = {}) => {
+      try {
+        const store = getBackend();
+        const entry = read(store, key);
+        if (entry === null) return defaultValue;
+
+        if (entry.expires !== null && entry.expires <= Date.now()) {
+          store.removeItem(fullKey(key));
+          return defaultValue;
+        }
+
+        const checked = checkSchema(schema, entry.value);
+        return checked.ok ? checked.value : defaultValue;
+      } catch (err) {
+        console.error(`[storage][get] Error reading key "${key}":`, err);
+        return defaultValue;
+      }
+    },
+
+    has: (key) => api.get(key, MISSING) !== MISSING,
+
+    remove: (key) => {
+      try {
+        getBackend().removeItem(fullKey(key));
+        notify(key, null, "local");
+      } catch (err) {
+        console.error(`[storage][remove] Error removing key "${key}":`, err);
+      }
+    },
+
+    /**
+     * Clear the namespace, or the whole storage area when not namespaced.
+     */
+    clear: () => {
+      try {
+        const store = getBackend();
+        if (prefix)
+          ownKeys(store).forEach((key) => store.removeItem(fullKey(key)));
+        else store.clear();
+        listeners.forEach((_, key) => notify(key, null, "local"));
+      } catch (err) {
+        console.error("[storage][clear] Error clearing storage:", err);
+      }
+    },
+
+    keys: () => {
+      try {
+        return ownKeys(getBackend());
+      } catch (err) {
+        console.error("[storage][keys] Error listing keys:", err);
+        return [];
+      }
+    },
+
+    /**
+     * Remove every expired entry. Runs automatically when the quota is hit.
+     */
+    purgeExpired: () => {
+      const store = getBackend();
+      ownKeys(store).forEach((key) => {
+        try {
+          const entry = read(store, key);
+          if (entry?.expires !== null && entry?.expires <= Date.now()) {
+            store.removeItem(fullKey(key));
+          }
+        } catch {
+          // Not ours / not JSON: leave it alone
+        }
+      });
+    },
+
+    /**
+     * Listen for changes to a key, from this tab or others.
+     *
+     * @param {string} key
+     * @param {Function} callback - (value, { key, source: 'local' | 'remote' })
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (key, callback) => {
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+      getBackend();
+      listenToOtherTabs();
+
+      return () => {
+        const set = listeners.get(key);
+        set?.delete(callback);
+        if (set?.size === 0) listeners.delete(key);
+        stopListening();
+      };
+    },
+  };
+
+  return api;
+};
 
 export const storage = createStorage("local");
 export const sessionStorageWrapper = createStorage("session");
+storage.session = sessionStorageWrapper;
 
 // Example Usage:
 // storage.set('user', { name: 'Jackson' });
@@ -0,0 +1,438 @@
+import { queryCache as defaultQueryCache } from "./queryCache";
+
+/**
+ * telemetry - Client error and Web Vitals reporting
+ *
+ * Collects uncaught errors, unhandled rejections, ErrorBoundary errors,
+ * failed useFetch requests and Web Vitals (LCP, CLS, INP). Events are
+ * sampled, deduplicated and sent in batches: when the batch is full, every
+ * `flushInterval` ms, and when the page is hidden (via `sendBeacon`, which
+ * survives unload).
+ *
+ * Usage:
+ *   initTelemetry({
+ *     endpoint: '/api/telemetry',
+ *     sampleRate: { error: 1, metric: 0.2 },
+ *     context: () => ({ release: APP_VERSION, route: location.pathname }),
+ *   });
+ *
+ *   captureError(err, { feature: 'checkout' }); // anywhere
+ *
+ *   // Tests
+ *   const transport = createMemoryTransport();
+ *   const telemetry = createTelemetry({ transport, flushInterval: 0 });
+ *   telemetry.captureError(new Error('boom'));
+ *   await telemetry.flush();
+ *   transport.events; // [{ type: 'error', message: 'boom', ... }]
+ */
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const DEFAULT_DEDUPE_WINDOW = 60 * 1000;
+// Events kept while the transport is failing; older ones are dropped
+const MAX_QUEUE_SIZE = 100;
+
+// "Good" / "poor" thresholds from web.dev
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+};
+
+const rate = (name, value) => {
+  const [good, poor] = VITAL_THRESHOLDS[name];
+  if (value <= good) return "good";
+  return value <= poor ? "needs-improvement" : "poor";
+};
+
+const toError = (value) =>
+  value instanceof Error
+    ? value
+    : new Error(typeof value === "string" ? value : JSON.stringify(value));
+
+// Same message from the same line counts as the same error, as long as
+// it came through the same channel for the same query or URL: one failing
+// endpoint mustn't hide another that throws the same "HTTP 500"
+const fingerprint = (event) =>
+  [
+    event.type,
+    event.source,
+    JSON.stringify(event.key ?? event.url ?? null),
+    event.name,
+    event.message,
+    event.stack
+      ?.split("\n")
+      .find((line) => /:\d+:\d+/.test(line))
+      ?.replace(/:\d+(\)?)$/, "$1"),
+  ].join("|");
+
+/**
+ * createHttpTransport - POST batches as JSON, preferring sendBeacon
+ *
+ * `sendBeacon` is fire-and-forget and keeps working while the page
+ * unloads; when it's unavailable or refuses the payload, falls back to
+ * `fetch` with `keepalive`.
+ *
+ * @param {string} url
+ * @returns {Function} (events) => Promise<void>
+ */
+export function createHttpTransport(url) {
+  return async (events) => {
+    const body = JSON.stringify({ events });
+    if (typeof navigator !== "undefined" && navigator.sendBeacon) {
+      const blob = new Blob([body], { type: "application/json" });
+      if (navigator.sendBeacon(url, blob)) return;
+    }
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+      keepalive: true,
+    });
+    if (!response.ok) {
+      throw new Error(`Telemetry upload failed with ${response.status}`);
+    }
+  };
+}
+
+/**
+ * createMemoryTransport - Keep sent events in memory (tests, debugging)
+ *
+ * @returns {Function} transport with `.events`, `.batches` and `.clear()`
+ */
+export function createMemoryTransport() {
+  const transport = (events) => {
+    transport.batches.push(events);
+    transport.events.push(...events);
+  };
+  transport.events = [];
+  transport.batches = [];
+  transport.clear = () => {
+    transport.events.length = 0;
+    transport.batches.length = 0;
+  };
+  return transport;
+}
+
+// --- Web Vitals ------------------------------------------------------------
+
+function observe(type, callback, options = {}) {
+  if (typeof PerformanceObserver === "undefined") return null;
+  if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+  try {
+    const observer = new PerformanceObserver((list) =>
+      callback(list.getEntries())
+    );
+    observer.observe({ type, buffered: true, ...options });
+    return observer;
+  } catch {
+    return null;
+  }
+}
+
+// Tracks LCP, CLS and INP; `read()` returns their current values
+function watchWebVitals() {
+  const values = {};
+  const observers = [];
+
+  // LCP: the last candidate before the first interaction
+  observers.push(
+    observe("largest-contentful-paint", (entries) => {
+      const last = entries[entries.length - 1];
+      if (last) values.LCP = last.startTime;
+    })
+  );
+
+  // CLS: largest burst of shifts (gaps < 1s, window <= 5s)
+  let session = { value: 0, first: 0, last: 0 };
+  observers.push(
+    observe("layout-shift", (entries) => {
+      entries.forEach((entry) => {
+        if (entry.hadRecentInput) return;
+        const continues =
+          session.value > 0 &&
+          entry.startTime - session.last < 1000 &&
+          entry.startTime - session.first < 5000;
+        session = continues
+          ? { ...session, value: session.value + entry.value }
+          : { value: entry.value, first: entry.startTime, last: 0 };
+        session.last = entry.startTime;
+        values.CLS = Math.max(values.CLS ?? 0, session.value);
+      });
+    })
+  );
+
+  // INP: roughly the 98th percentile of interaction latencies
+  const interactions = new Map(); // interactionId -> longest duration
+  const updateInp = (entries) => {
+    entries.forEach((entry) => {
+      if (!entry.interactionId) return;
+      const previous = interactions.get(entry.interactionId) ?? 0;
+      interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+    });
+    if (interactions.size === 0) return;
+    const sorted = [...interactions.values()].sort((a, b) => b - a);
+    values.INP =
+      sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+  };
+  observers.push(observe("event", updateInp, { durationThreshold: 40 }));
+  observers.push(observe("first-input", updateInp));
+
+  return {
+    read: () => values,
+    stop: () => observers.forEach((observer) => observer?.disconnect()),
+  };
+}
+
+// --- Client ----------------------------------------------------------------
+
+/**
+ * createTelemetry - Build a telemetry client
+ *
+ * @param {Object} options
+ * @param {string} [options.endpoint] - URL for the default HTTP transport
+ * @param {Function} [options.transport] - (events, { unloading }) => Promise;
+ *   overrides `endpoint`
+ * @param {number|Object} [options.sampleRate] - 0..1, or per type
+ *   `{ error, metric, event }` (default: 1)
+ * @param {number} [options.batchSize] - Flush once this many events are queued (default: 20)
+ * @param {number} [options.flushInterval] - ms between flushes; 0 disables (default: 5000)
+ * @param {number} [options.dedupeWindow] - ms during which a repeated error is dropped (default: 60000)
+ * @param {Object|Function} [options.context] - Merged into every event
+ * @param {Function} [options.beforeSend] - (event) => event | null, to scrub or drop
+ * @param {boolean} [options.captureGlobalErrors] - window `error` / `unhandledrejection` (default: true)
+ * @param {boolean} [options.captureFetchErrors] - failed queryCache/useFetch requests (default: true)
+ * @param {boolean} [options.captureWebVitals] - LCP/CLS/INP, reported each time the page is hidden, if changed (default: true)
+ * @param {Object} [options.queryCache] - Cache to watch (default: the shared one)
+ */
+export function createTelemetry(options = {}) {
+  const {
+    endpoint,
+    transport = endpoint ? createHttpTransport(endpoint) : null,
+    sampleRate = 1,
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushInterval = DEFAULT_FLUSH_INTERVAL,
+    dedupeWindow = DEFAULT_DEDUPE_WINDOW,
+    context,
+    beforeSend,
+    captureGlobalErrors = true,
+    captureFetchErrors = true,
+    captureWebVitals = true,
+    queryCache = defaultQueryCache,
+  } = options;
+
+  if (!transport) {
+    console.error(
+      "[telemetry] No `endpoint` or `transport`: events are dropped"
+    );
+  }
+
+  let queue = [];
+  const seen = new Map(); // fingerprint -> last seen timestamp
+  const cleanups = [];
+  const reportedVitals = {}; // name -> last value sent
+
+  const isSampled = (type) => {
+    const value =
+      typeof sampleRate === "number" ? sampleRate : (sampleRate[type] ?? 1);
+    return value >= 1 || Math.random() < value;
+  };
+
+  const isDuplicate = (event) => {
+    if (event.type !== "error" || !dedupeWindow) return false;
+    const key = fingerprint(event);
+    const last = seen.get(key);
+    if (last !== undefined && event.timestamp - last < dedupeWindow) {
+      return true;
+    }
+    // The window starts at the last error sent, so one that keeps
+    // repeating is still reported once per window
+    seen.delete(key);
+    seen.set(key, event.timestamp);
+    // Don't let the map grow forever on a page with many distinct errors
+    if (seen.size > 500) seen.delete(seen.keys().next().value);
+    return false;
+  };
+
+  const flush = async ({ unloading = false } = {}) => {
+    if (queue.length === 0 || !transport) return;
+    const batch = queue;
+    queue = [];
+    try {
+      await transport(batch, { unloading });
+    } catch (err) {
+      // Put the batch back for the next attempt, newest events win
+      queue = [...batch, ...queue].slice(-MAX_QUEUE_SIZE);
+      console.error("[telemetry][flush] Error sending events:", err);
+    }
+  };
+
+  const enqueue = (event) => {
+    if (!isSampled(event.type) || isDuplicate(event)) return;
+
+    let next = {
+      ...(typeof context === "function" ? context() : context),
+      ...event,
+      url: typeof location !== "undefined" ? location.href : undefined,
+    };
+    if (beforeSend) {
+      try {
+        next = beforeSend(next);
+      } catch (err) {
+        console.error("[telemetry][beforeSend] Error in beforeSend:", err);
+        return;
+      }
+      if (!next) return;
+    }
+
+    queue.push(next);
+    if (queue.length > MAX_QUEUE_SIZE) queue.shift();
+    if (queue.length >= batchSize) flush();
+  };
+
+  const client = {
+    /**
+     * Report an error.
+     *
+     * @param {Error|any} error
+     * @param {Object} [data] - Extra fields, e.g. `{ source, componentStack }`
+     */
+    captureError(error, data = {}) {
+      const err = toError(error);
+      enqueue({
+        type: "error",
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+        timestamp: Date.now(),
+        ...data,
+      });
+    },
+
+    /**
+     * Report a custom event.
+     *
+     * @param {string} name
+     * @param {Object} [data]
+     */
+    captureEvent(name, data = {}) {
+      enqueue({ type: "event", name, timestamp: Date.now(), ...data });
+    },
+
+    /**
+     * Report a measurement.
+     *
+     * @param {string} name
+     * @param {number} value
+     * @param {Object} [data]
+     */
+    captureMetric(name, value, data = {}) {
+      enqueue({ type: "metric", name, value, timestamp: Date.now(), ...data });
+    },
+
+    flush,
+
+    /** Remove all listeners and observers, then send what's left */
+    destroy() {
+      cleanups.splice(0).forEach((cleanup) => cleanup());
+      return flush();
+    },
+  };
+
+  // On every hide, not just the first: CLS and INP keep changing when the
+  // user comes back to the tab. Unchanged values aren't sent again.
+  const reportVitals = (vitals) => {
+    Object.entries(vitals.read()).forEach(([name, value]) => {
+      if (reportedVitals[name] === value) return;
+      reportedVitals[name] = value;
+      client.captureMetric(name, value, { rating: rate(name, value) });
+    });
+  };
+
+  if (typeof window !== "undefined") {
+    if (captureGlobalErrors) {
+      const handleError = (event) =>
+        client.captureError(event.error ?? event.message, {
+          source: "window",
+          filename: event.filename,
+          lineno: event.lineno,
+          colno: event.colno,
+        });
+      const handleRejection = (event) =>
+        client.captureError(event.reason, { source: "unhandledrejection" });
+
+      window.addEventListener("error", handleError);
+      window.addEventListener("unhandledrejection", handleRejection);
+      cleanups.push(() => {
+        window.removeEventListener("error", handleError);
+        window.removeEventListener("unhandledrejection", handleRejection);
+      });
+    }
+
+    const vitals = captureWebVitals ? watchWebVitals() : null;
+    if (vitals) cleanups.push(vitals.stop);
+
+    // The last chance to send anything: the page may never become visible again
+    const handleHidden = () => {
+      if (document.visibilityState !== "hidden") return;
+      if (vitals) reportVitals(vitals);
+      flush({ unloading: true });
+    };
+    document.addEventListener("visibilitychange", handleHidden);
+    window.addEventListener("pagehide", handleHidden);
+    cleanups.push(() => {
+      document.removeEventListener("visibilitychange", handleHidden);
+      window.removeEventListener("pagehide", handleHidden);
+    });
+  }
+
+  if (captureFetchErrors && queryCache?.subscribeErrors) {
+    cleanups.push(
+      queryCache.subscribeErrors((error, key) =>
+        client.captureError(error, {
+          source: "fetch",
+          key,
+          status: error?.status,
+        })
+      )
+    );
+  }
+
+  if (flushInterval > 0) {
+    const timer = setInterval(flush, flushInterval);
+    cleanups.push(() => clearInterval(timer));
+  }
+
+  return client;
+}
+
+// --- Default client --------------------------------------------------------
+// Lets library code (ErrorBoundary) report without being handed a client.
+
+let activeClient = null;
+
+/**
+ * initTelemetry - Create the app-wide client used by captureError()
+ *
+ * Calling it again replaces (and shuts down) the previous client.
+ */
+export function initTelemetry(options) {
+  activeClient?.destroy();
+  activeClient = createTelemetry(options);
+  return activeClient;
+}
+
+/** The client created by initTelemetry(), or null */
+export const getTelemetry = () => activeClient;
+
+/**
+ * captureError - Report to the initTelemetry() client; no-op without one
+ */
+export function captureError(error, data) {
+  activeClient?.captureError(error, data);
+}
+
+// Example Usage:
+// initTelemetry({ endpoint: '/api/telemetry', sampleRate: 0.5 });
+// getTelemetry()?.captureEvent('checkout_started', { items: 3 });
+export default initTelemetry;
@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createTelemetry } from "./telemetry";
+
+describe("telemetry error dedupe", () => {
+  let telemetry;
+
+  afterEach(() => {
+    telemetry?.destroy();
+    vi.useRealTimers();
+  });
+
+  function create(options) {
+    const sent = [];
+    telemetry = createTelemetry({
+      transport: async (batch) => {
+        sent.push(...batch);
+      },
+      flushInterval: 0,
+      captureGlobalErrors: false,
+      captureFetchErrors: false,
+      captureWebVitals: false,
+      ...options,
+    });
+    return sent;
+  }
+
+  it("tells the same error apart by source and query key", async () => {
+    const sent = create();
+    const error = new Error("HTTP 500");
+    telemetry.captureError(error, { source: "fetch", key: ["/api/users"] });
+    telemetry.captureError(error, { source: "fetch", key: ["/api/orders"] });
+    telemetry.captureError(error, { source: "window" });
+    telemetry.captureError(error, { source: "fetch", key: ["/api/users"] });
+    await telemetry.flush();
+
+    expect(sent.map((event) => [event.source, event.key])).toEqual([
+      ["fetch", ["/api/users"]],
+      ["fetch", ["/api/orders"]],
+      ["window", undefined],
+    ]);
+  });
+
+  it("reports an error that keeps repeating once per window", async () => {
+    vi.useFakeTimers();
+    const sent = create({ dedupeWindow: 1000 });
+    const error = new Error("boom");
+    for (let i = 0; i < 5; i++) {
+      telemetry.captureError(error);
+      vi.advanceTimersByTime(400);
+    }
+    await telemetry.flush();
+
+    // Sent at 0 and 1200; the ones in between don't extend the window
+    expect(sent).toHaveLength(2);
+    expect(sent[1].timestamp - sent[0].timestamp).toBe(1200);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * theme - Framework-agnostic helpers behind ThemeProvider
+ *
+ * Themes are plain objects of CSS custom properties:
+ *
+ *   const themes = {
+ *     light: { "--bg": "#ffffff", "--fg": "#111827" },
+ *     dark: { "--bg": "#111827", "--fg": "#f9fafb" },
+ *     sepia: { "--bg": "#f4ecd8", "--fg": "#5b4636" },
+ *   };
+ *
+ * System mode picks `systemThemes.light` or `systemThemes.dark` from the
+ * OS preference, so maps without plain light/dark entries can use it too:
+ *   getThemeScript({ themes, systemThemes: { light: "day", dark: "night" } })
+ *
+ * Usage (Next.js app/layout.js, runs before hydration so there's no flash):
+ *   <html lang="en" suppressHydrationWarning>
+ *     <head>
+ *       <script dangerouslySetInnerHTML={{ __html: getThemeScript({ themes }) }} />
+ *     </head>
+ *     ...
+ */
+
+export const DEFAULT_STORAGE_KEY = "theme";
+export const SYSTEM_THEME = "system";
+export const COLOR_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+export const DEFAULT_THEMES = { light: {}, dark: {} };
+export const DEFAULT_SYSTEM_THEMES = { light: "light", dark: "dark" };
+
+/**
+ * Current OS preference: 'dark' or 'light'.
+ */
+export function getSystemTheme() {
+  if (typeof window === "undefined" || !window.matchMedia) return "light";
+  return window.matchMedia(COLOR_SCHEME_QUERY).matches ? "dark" : "light";
+}
+
+/**
+ * Theme name to apply for a choice: 'system' goes through systemThemes.
+ *
+ * @param {string} theme - 'system' or a theme name
+ * @param {'light'|'dark'} systemTheme - Current OS preference
+ * @param {Object} [systemThemes] - Theme names for the light and dark OS preference
+ */
+export function resolveTheme(
+  theme,
+  systemTheme,
+  systemThemes = DEFAULT_SYSTEM_THEMES
+) {
+  return theme === SYSTEM_THEME ? systemThemes[systemTheme] : theme;
+}
+
+/**
+ * Read the saved theme choice ('system' or a theme name).
+ */
+export function getStoredTheme(storageKey = DEFAULT_STORAGE_KEY) {
+  try {
+    return localStorage.getItem(storageKey);
+  } catch {
+    return null; // storage blocked (private mode, sandboxed iframe)
+  }
+}
+
+/**
+ * Apply a resolved theme to <html>: class or data attribute, CSS
+ * variables and `color-scheme` (for the themes in systemThemes).
+ *
+ * @param {string} name - Resolved theme name (never 'system')
+ * @param {Object} themes - Map of theme name to CSS variables
+ * @param {string} attribute - 'class' or a data attribute like 'data-theme'
+ * @param {Object} [systemThemes] - Theme names for the light and dark OS preference
+ */
+export function applyTheme(
+  name,
+  themes,
+  attribute,
+  systemThemes = DEFAULT_SYSTEM_THEMES
+) {
+  const root = document.documentElement;
+  const names = Object.keys(themes);
+
+  if (attribute === "class") {
+    names.forEach((n) => root.classList.remove(n));
+    root.classList.add(name);
+  } else {
+    root.setAttribute(attribute, name);
+  }
+
+  // Clear variables from other themes before setting this one's
+  names.forEach((n) =>
+    Object.keys(themes[n]).forEach((v) => root.style.removeProperty(v))
+  );
+  const vars = themes[name] || {};
+  Object.keys(vars).forEach((v) => root.style.setProperty(v, vars[v]));
+
+  if (name === systemThemes.dark) root.style.colorScheme = "dark";
+  else if (name === systemThemes.light) root.style.colorScheme = "light";
+  else root.style.removeProperty("color-scheme");
+}
+
+/**
+ * Inline script that applies the saved (or system) theme before the page
+ * paints. Inject it in <head>; ThemeProvider takes over after hydration.
+ *
+ * The script is written out here rather than built from applyTheme's
+ * source, which a minifier is free to rename or rewrite; keep the two in
+ * step.
+ *
+ * @param {Object} options - Same as ThemeProvider's storageKey, defaultTheme, themes, systemThemes and attribute
+ * @returns {string}
+ */
+export function getThemeScript({
+  storageKey = DEFAULT_STORAGE_KEY,
+  defaultTheme = SYSTEM_THEME,
+  themes = DEFAULT_THEMES,
+  systemThemes = DEFAULT_SYSTEM_THEMES,
+  attribute = "class",
+} = {}) {
+  // Escape "<" so values can't close the surrounding <script> tag
+  const config = JSON.stringify({
+    storageKey,
+    defaultTheme,
+    themes,
+    systemThemes,
+    attribute,
+  }).replace(/</g, "\\u003c");
+
+  return `(function () {
+  try {
+    var c = ${config};
+    var root = document.documentElement;
+    var t = null;
+    try { t = localStorage.getItem(c.storageKey); } catch (e) {}
+    if (!t || (t !== "${SYSTEM_THEME}" && !c.themes[t])) t = c.defaultTheme;
+    if (t === "${SYSTEM_THEME}") {
+      t = c.systemThemes[window.matchMedia("${COLOR_SCHEME_QUERY}").matches ? "dark" : "light"];
+    }
+    if (c.attribute === "class") root.classList.add(t);
+    else root.setAttribute(c.attribute, t);
+    var vars = c.themes[t] || {};
+    for (var v in vars) root.style.setProperty(v, vars[v]);
+    if (t === c.systemThemes.dark) root.style.colorScheme = "dark";
+    else if (t === c.systemThemes.light) root.style.colorScheme = "light";
+  } catch (e) {}
+})();`;
+}
+
+// Example Usage:
+// applyTheme(getSystemTheme(), DEFAULT_THEMES, "class");
+// getStoredTheme(); // "dark" | "system" | null
+export default getThemeScript;
@@ -1,37 +1,44 @@
+import { debounce, debouncePromise } from "./debounce";
+
 /**
  * throttle - Limits how often a function can run
  *
+ * Runs at most once every `wait` ms: immediately on the first call, then
+ * once more at the end of the window with the latest arguments.
+ *
  * Usage:
  *   const throttled = throttle(() => console.log('Called!'), 1000);
  *   window.addEventListener('resize', throttled);
  *
+ *   throttled.cancel();   // drop the pending trailing call (e.g. on unmount)
+ *   throttled.flush();    // run it now
+ *   throttled.pending();  // true while a trailing call is scheduled
+ *
  * @param {Function} fn - Function to throttle
  * @param {number} wait - Minimum time (ms) between calls
- * @returns {Function} - Throttled function
+ * @param {Object} [options]
+ * @param {boolean} [options.leading=true] - Call on the leading edge
+ * @param {boolean} [options.trailing=true] - Call on the trailing edge
+ * @param {AbortSignal} [options.signal] - Cancels, and ignores later calls, once aborted
+ * @returns {Function} - Throttled function with cancel(), flush() and pending()
  */
-export function throttle(fn, wait = 1000) {
-  let lastTime = 0;
-  let timeoutId = null;
-
-  return function (...args) {
-    const now = Date.now();
+export function throttle(fn, wait = 1000, options = {}) {
+  const { leading = true, trailing = true, signal } = options;
+  return debounce(fn, wait, { leading, trailing, maxWait: wait, signal });
+}
 
-    const remaining = wait - (now - lastTime);
-    if (remaining <= 0) {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-        timeoutId = null;
-      }
-      lastTime = now;
-      fn.apply(this, args);
-    } else if (!timeoutId) {
-      timeoutId = setTimeout(() => {
-        lastTime = Date.now();
-        timeoutId = null;
-        fn.apply(this, args);
-      }, remaining);
-    }
-  };
+/**
+ * throttlePromise - throttle() whose calls return a promise for the result
+ * of the invocation they were folded into. See debouncePromise.
+ */
+export function throttlePromise(fn, wait = 1000, options = {}) {
+  const { leading = true, trailing = true, signal } = options;
+  return debouncePromise(fn, wait, {
+    leading,
+    trailing,
+    maxWait: wait,
+    signal,
+  });
 }
 
 // Example Usage:
@@ -0,0 +1,112 @@
+import { mergeClasses } from "./classNames";
+
+/**
+ * @typedef {Object} VariantsConfig
+ * @property {string} [base] - Classes applied to every variant
+ * @property {Object<string, Object<string, string>>} [variants] - `{ size: { sm: '...', lg: '...' } }`;
+ *   use `true`/`false` keys for boolean props
+ * @property {Array<Object>} [compoundVariants] - Extra classes when several
+ *   variants match: `{ intent: 'danger', size: 'lg', className: '...' }`;
+ *   a condition can be an array of allowed values
+ * @property {Object<string, string|boolean>} [defaultVariants]
+ */
+
+/**
+ * variants - Build a class-name function from named variants
+ *
+ * Lets primitives expose `size` / `intent` props instead of ad-hoc class
+ * strings. The caller's `className` is merged last with mergeClasses, so it
+ * overrides conflicting utilities instead of fighting them.
+ *
+ * Usage:
+ *   const button = variants({
+ *     base: 'inline-flex items-center rounded font-medium',
+ *     variants: {
+ *       intent: {
+ *         primary: 'bg-indigo-600 text-white hover:bg-indigo-700',
+ *         secondary: 'bg-gray-100 text-gray-900 hover:bg-gray-200',
+ *         danger: 'bg-red-600 text-white hover:bg-red-700',
+ *       },
+ *       size: { sm: 'px-2 py-1 text-sm', md: 'px-4 py-2' },
+ *       disabled: { true: 'opacity-50 pointer-events-none' },
+ *     },
+ *     compoundVariants: [{ intent: 'danger', size: 'md', className: 'font-bold' }],
+ *     defaultVariants: { intent: 'primary', size: 'md' },
+ *   });
+ *
+ *   button({ size: 'sm' });                 // base + primary + sm
+ *   button({ intent: 'danger', className: 'px-6' });
+ *
+ *   function Button({ intent, size, className, ...props }) {
+ *     return <button className={button({ intent, size, className })} {...props} />;
+ *   }
+ *
+ * @param {VariantsConfig} config
+ * @returns {Function} - `(props) => className`, with `variantKeys` and
+ *   `defaultVariants` attached for splitting props
+ */
+export function variants({
+  base = "",
+  variants: variantMap = {},
+  compoundVariants = [],
+  defaultVariants = {},
+} = {}) {
+  const variantKeys = Object.keys(variantMap);
+
+  function resolve(props = {}) {
+    const { className, class: classProp } = props;
+
+    // `undefined` falls back to the default; anything else is a choice
+    const selected = { ...defaultVariants };
+    variantKeys.forEach((key) => {
+      if (props[key] !== undefined) selected[key] = props[key];
+    });
+
+    const variantClasses = variantKeys.map(
+      (key) => variantMap[key][String(selected[key])]
+    );
+
+    const compoundClasses = compoundVariants
+      .filter(({ className: _c, class: _cls, ...conditions }) =>
+        Object.entries(conditions).every(([key, condition]) =>
+          Array.isArray(condition)
+            ? condition.includes(selected[key])
+            : condition === selected[key]
+        )
+      )
+      .map((compound) => [compound.className, compound.class]);
+
+    return mergeClasses(
+      base,
+      variantClasses,
+      compoundClasses,
+      classProp,
+      className
+    );
+  }
+
+  resolve.variantKeys = variantKeys;
+  resolve.defaultVariants = defaultVariants;
+  return resolve;
+}
+
+/**
+ * Split a component's props into variant props and the rest.
+ *
+ * Usage:
+ *   const [variantProps, rest] = splitVariantProps(props, button);
+ */
+export function splitVariantProps(props, variantFn) {
+  const picked = {};
+  const rest = {};
+  Object.entries(props).forEach(([key, value]) => {
+    if (variantFn.variantKeys.includes(key)) picked[key] = value;
+    else rest[key] = value;
+  });
+  return [picked, rest];
+}
+
+// Example Usage:
+// const badge = variants({ base: 'rounded px-2', variants: { tone: { info: 'bg-blue-100', warn: 'bg-amber-100' } } });
+// badge({ tone: 'warn', className: 'px-3' }) => "rounded bg-amber-100 px-3"
+export default variants;